@@ -0,0 +1,39 @@
+const storage = require('./storage');
+
+// Append-only audit trail of changes to patients and appointments. Callers
+// pass the record before and after the change in its API shape (serialized),
+// so entries read like the API: { Reason: { from: 'Check-up', to: 'Follow-up' } }.
+
+// Fields whose value differs between the two snapshots; a missing snapshot
+// (create or delete) counts as null for every field.
+function diffFields(before, after) {
+  const changes = {};
+  for (const field of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+    const from = before ? before[field] ?? null : null;
+    const to = after ? after[field] ?? null : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  }
+  return changes;
+}
+
+// Writes one entry. `db` is the connection of the transaction
+// making the change, so the entry commits or rolls back with it. Changes that
+// alter nothing (e.g. a PUT with the current values) are not recorded.
+// Returns whether an entry was written.
+async function recordAudit(db, { entity, entityId, action, actor, requestId, organizationId, before, after }) {
+  const changes = diffFields(before, after);
+  if (Object.keys(changes).length === 0) return false;
+  await storage.auditLog.insert({
+    entity,
+    entity_id: entityId,
+    action,
+    actor_user_id: actor ? actor.id : null,
+    actor_role: actor ? actor.role : null,
+    request_id: requestId || null,
+    organization_id: organizationId || null,
+    changes
+  }, { db });
+  return true;
+}
+
+module.exports = { recordAudit };
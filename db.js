@@ -0,0 +1,63 @@
+const mysql = require('mysql2/promise');
+
+// DATETIME columns holding UTC instants (see timezones.js). Appointment
+// times and every time an outbox (reminders, webhook deliveries) schedules
+// work by are UTC and compared with UTC_TIMESTAMP(); other DATETIME and
+// TIMESTAMP columns, such as created_at or delivered_at, stay in the server's
+// local time and are compared with NOW().
+const UTC_COLUMNS = ['starts_at', 'ends_at', 'send_at', 'next_attempt_at'];
+
+const pool = mysql.createPool({
+  host: process.env.MYSQL_ADDON_HOST,
+  user: process.env.MYSQL_ADDON_USER,
+  password: process.env.MYSQL_ADDON_PASSWORD,
+  database: process.env.MYSQL_ADDON_DB,
+  port: process.env.MYSQL_ADDON_PORT || 3306,
+  waitForConnections: true,
+  connectionLimit: 5,
+  // Return DATE columns as 'YYYY-MM-DD' instead of local-midnight Date objects
+  dateStrings: ['DATE'],
+  typeCast(field, next) {
+    if (field.type === 'DATETIME' && UTC_COLUMNS.includes(field.name)) {
+      const value = field.string();
+      return value && new Date(`${value.replace(' ', 'T')}Z`);
+    }
+    return next();
+  }
+});
+
+
+// --- Schema helpers for migrations ---
+// Databases created before migrations existed already have most of the
+// schema, so migrations use these instead of plain ALTER TABLE.
+
+async function columnExists(conn, table, column) {
+  const [cols] = await conn.query(
+    'SELECT COLUMN_NAME FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+    [table, column]
+  );
+  return cols.length > 0;
+}
+
+async function addColumnIfMissing(conn, table, column, definition) {
+  if (!(await columnExists(conn, table, column))) {
+    await conn.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+// Drops the column together with any foreign key on it (MySQL refuses to
+// drop a column that is still part of a constraint).
+async function dropColumnIfExists(conn, table, column) {
+  if (!(await columnExists(conn, table, column))) return;
+  const [constraints] = await conn.query(
+    `SELECT CONSTRAINT_NAME FROM information_schema.KEY_COLUMN_USAGE
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ? AND REFERENCED_TABLE_NAME IS NOT NULL`,
+    [table, column]
+  );
+  for (const { CONSTRAINT_NAME } of constraints) {
+    await conn.query(`ALTER TABLE ${table} DROP FOREIGN KEY ${CONSTRAINT_NAME}`);
+  }
+  await conn.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+}
+
+module.exports = { pool, addColumnIfMissing, dropColumnIfExists };
@@ -0,0 +1,125 @@
+const storage = require('./storage');
+
+// Live appointment changes for GET /appointments/stream. Every audited change
+// of an appointment is written to appointment_events in the transaction
+// making it. One poller per process reads new rows every EVENT_POLL_MS and
+// hands them to the open streams, so it works across several API instances
+// and a client can resume from the last event ID it saw.
+
+const POLL_MS = parseInt(process.env.EVENT_POLL_MS, 10) || 1000;
+const RETENTION_HOURS = parseInt(process.env.EVENT_RETENTION_HOURS, 10) || 24;
+const BATCH_SIZE = 500;
+// IDs are assigned at insert but become visible at commit, so a lower ID can
+// show up after a higher one. A missing ID is waited for this long before it
+// is taken to be a rolled-back transaction.
+const GAP_TIMEOUT_MS = 60 * 1000;
+
+// `row` is the appointment after the change (before it, for deletes) and
+// `previousRow` its state before an update. `data` and `previous` are the
+// same in their API shape, sent to clients like a webhook payload.
+async function recordEvent(db, { organizationId, event, row, previousRow, data, previous }) {
+  const payload = {
+    Event: event,
+    OccurredAt: new Date().toISOString(),
+    Data: data,
+    ...(previous && { Previous: previous })
+  };
+  await storage.appointmentEvents.insert({
+    organization_id: organizationId,
+    appointment_id: row.id,
+    event,
+    patient_id: row.patient_id,
+    provider_id: row.provider_id,
+    appointment_date: row.appointment_date,
+    previous_provider_id: previousRow ? previousRow.provider_id : null,
+    previous_date: previousRow ? previousRow.appointment_date : null,
+    payload
+  }, { db });
+}
+
+// Whether a stream with `filter` ({ organizationId, date, providerId,
+// patientId }, each optional but the organization) wants the event. An
+// event matches a date or provider before or after a reschedule.
+function matches(row, { organizationId, date, providerId, patientId }) {
+  return row.organization_id === organizationId
+    && (!date || row.appointment_date === date || row.previous_date === date)
+    && (!providerId || row.provider_id === providerId || row.previous_provider_id === providerId)
+    && (!patientId || row.patient_id === patientId);
+}
+
+const listeners = new Set();
+let cursor = null; // every ID up to here has been handed out
+const seen = new Map(); // IDs above the cursor already handed out -> when
+let timer = null;
+
+async function poll() {
+  const rows = await storage.appointmentEvents.listAfter(cursor, { limit: BATCH_SIZE });
+  const now = Date.now();
+  for (const row of rows) {
+    if (seen.has(row.id)) continue;
+    seen.set(row.id, now);
+    for (const listener of listeners) listener(row);
+  }
+  // Move past IDs that are in, and past gaps that have been open too long
+  while (seen.size > 0) {
+    const next = cursor + 1;
+    if (seen.has(next)) {
+      seen.delete(next);
+      cursor = next;
+      continue;
+    }
+    const oldest = Math.min(...seen.values());
+    if (now - oldest < GAP_TIMEOUT_MS) break;
+    cursor = next;
+  }
+}
+
+async function tick() {
+  try {
+    if (cursor === null) cursor = (await storage.appointmentEvents.idRange()).last;
+    await poll();
+  } catch (err) {
+    console.error('Event poll failed:', err.message);
+  } finally {
+    if (listeners.size > 0) {
+      timer = setTimeout(tick, POLL_MS);
+    } else {
+      // Idle: the next subscriber starts from the newest event again
+      [timer, cursor] = [null, null];
+      seen.clear();
+    }
+  }
+}
+
+// Calls `listener(row)` with events recorded from about now on, in all
+// organizations and not always in ID order. The first poll may miss the
+// moment of subscribing, so streams replay from their start with
+// eventsSince as well. Returns the function that stops it.
+function subscribe(listener) {
+  listeners.add(listener);
+  if (!timer) timer = setTimeout(tick, 0);
+  return () => listeners.delete(listener);
+}
+
+// Events after `lastEventId` for a resuming stream. Returns null when they
+// can no longer be replayed: older than EVENT_RETENTION_HOURS, or more than
+// `limit` of them; the client then has to reload instead.
+async function eventsSince(lastEventId, organizationId, limit) {
+  const { first } = await storage.appointmentEvents.idRange();
+  if (first > lastEventId + 1) return null;
+  const rows = await storage.appointmentEvents.listAfter(lastEventId, { organizationId, limit: limit + 1 });
+  return rows.length > limit ? null : rows;
+}
+
+// ID of the newest event, where a fresh stream starts
+async function latestEventId() {
+  return (await storage.appointmentEvents.idRange()).last;
+}
+
+// Deletes events older than EVENT_RETENTION_HOURS; run by the worker.
+// Returns the number deleted.
+async function purgeOldEvents() {
+  return storage.appointmentEvents.deleteOlderThan(RETENTION_HOURS);
+}
+
+module.exports = { recordEvent, matches, subscribe, eventsSince, latestEventId, purgeOldEvents };
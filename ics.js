@@ -0,0 +1,67 @@
+// Minimal iCalendar (RFC 5545) writer for appointments. Times are written in
+// UTC so calendar clients show them in the viewer's own zone.
+
+const PRODID = '-//Appointment Management API//EN';
+// Domain part of event UIDs; keep it stable or clients will duplicate events
+const UID_DOMAIN = process.env.ICS_UID_DOMAIN || 'appointments-management-api.vercel.app';
+
+const ICS_STATUS = {
+  scheduled: 'TENTATIVE',
+  cancelled: 'CANCELLED'
+};
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting
+// with a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// `appt` is an appointments row joined with patient_name and provider_name
+function appointmentEvent(appt) {
+  return [
+    'BEGIN:VEVENT',
+    `UID:appointment-${appt.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtc(new Date())}`,
+    `DTSTART:${formatUtc(appt.starts_at)}`,
+    `DTEND:${formatUtc(appt.ends_at)}`,
+    `SEQUENCE:${appt.sequence || 0}`,
+    `STATUS:${ICS_STATUS[appt.status] || 'CONFIRMED'}`,
+    `SUMMARY:${escapeText(`Appointment: ${appt.reason || 'Visit'}`)}`,
+    `DESCRIPTION:${escapeText(`Patient: ${appt.patient_name}\nProvider: ${appt.provider_name || 'Unassigned'}`)}`,
+    'END:VEVENT'
+  ];
+}
+
+function buildCalendar(name, appointments) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...appointments.flatMap(appointmentEvent),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+module.exports = { buildCalendar };
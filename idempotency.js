@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const storage = require('./storage');
+
+// Idempotency keys let clients retry a POST or PUT (e.g. after a timeout)
+// without doing it twice. The first request with a key claims it and its
+// response is stored; later requests of the same user with that key get the
+// stored response. Keys are forgotten after IDEMPOTENCY_KEY_TTL_HOURS.
+
+const TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+
+// What a key is bound to: reusing it for a different request is an error
+const fingerprint = ({ method, url, tenantId, body }) => crypto.createHash('sha256')
+  .update(JSON.stringify([method, url, tenantId, body === undefined ? null : body]))
+  .digest('hex');
+
+// Claims `key` for the request. Returns { id } when the request should run,
+// { replay: { status, body } } when it already ran, or { error } with
+// 'in_progress' (the first request has not finished) or 'mismatch' (the key
+// was used for another request).
+async function claimKey(userId, key, request) {
+  const hash = fingerprint(request);
+  await storage.idempotencyKeys.deleteExpired(TTL_HOURS, { userId, key });
+  try {
+    const id = await storage.idempotencyKeys.insert({ user_id: userId, idempotency_key: key, request_hash: hash });
+    return { id };
+  } catch (err) {
+    if (err.code !== 'ER_DUP_ENTRY') throw err;
+  }
+
+  const row = await storage.idempotencyKeys.find(userId, key);
+  // Released by a failed first attempt in the meantime: try again
+  if (!row) return claimKey(userId, key, request);
+  if (row.request_hash !== hash) return { error: 'mismatch' };
+  if (row.response_status === null) return { error: 'in_progress' };
+  return { replay: { status: row.response_status, body: row.response_body } };
+}
+
+async function saveResponse(id, status, body) {
+  await storage.idempotencyKeys.update(id, { response_status: status, response_body: body === undefined ? null : body });
+}
+
+// Forgets a claimed key whose request failed, so a retry runs again
+async function releaseKey(id) {
+  await storage.idempotencyKeys.delete(id);
+}
+
+// Deletes expired keys; run by the worker. Returns the number deleted.
+async function purgeExpiredKeys() {
+  return storage.idempotencyKeys.deleteExpired(TTL_HOURS);
+}
+
+module.exports = { claimKey, saveResponse, releaseKey, purgeExpiredKeys };
@@ -1,23 +1,58 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const mysql = require('mysql2/promise');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJSDoc = require('swagger-jsdoc');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const Ajv2019 = require('ajv/dist/2019');
+const addFormats = require('ajv-formats');
+const { parse: parseCsv } = require('csv-parse/sync');
+const { stringify: stringifyCsv } = require('csv-stringify');
+const storage = require('./storage');
+const { scheduleReminders, cancelReminders, sendToPatient } = require('./notifications');
+const { buildCalendar } = require('./ics');
+const { recordAudit } = require('./audit');
+const { findHeldSlots, offerSlot, releaseHold } = require('./waitlist');
+const { claimKey, saveResponse, releaseKey } = require('./idempotency');
+const { generateSecret, queueEvent, redeliver } = require('./webhooks');
+const { recordEvent, matches, subscribe, eventsSince, latestEventId } = require('./events');
+const {
+  DEFAULT_TIME_ZONE, isValidTimeZone, resolveLocalTime, toLocal, formatInstant, sqlUtc
+} = require('./timezones');
 
 const app = express();
 
 const PORT = process.env.PORT || 3000;
 
+// Appointment length used when neither the request, the reason nor the
+// provider specifies one. REASON_DURATIONS maps reasons to minutes, e.g.
+// {"Physiotherapy": 45, "Dialysis": 240}.
+const DEFAULT_DURATION_MINUTES = parseInt(process.env.DEFAULT_DURATION_MINUTES, 10) || 30;
+const REASON_DURATIONS = JSON.parse(process.env.REASON_DURATIONS || '{}');
+
 app.use(cors({
   origin: [
     'http://localhost:3000',
     'https://appointments-management-api.vercel.app'
   ],
   methods: ["GET", "POST", "PUT", "DELETE"], 
+  exposedHeaders: ['X-Request-Id', 'Idempotent-Replayed'],
   credentials: true
 }));
 
+// Every request gets an ID, returned in X-Request-Id and stored with audit
+// entries. A well-formed X-Request-Id from the caller (e.g. a proxy) is kept.
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+});
+
 app.use(express.json());
 
 // Swagger setup
@@ -29,6 +64,9 @@ const swaggerSpec = swaggerJSDoc({
       version: '1.0.0',
       description: 'API to create/manage appointments'
     },
+    // Every route needs a bearer token unless its doc block overrides this;
+    // platform admins also name the organization they work in
+    security: [{ bearerAuth: [] }, { bearerAuth: [], organization: [] }],
     servers: [
       {
         url: process.env.NODE_ENV === 'production'
@@ -42,674 +80,8243 @@ const swaggerSpec = swaggerJSDoc({
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 
+// --- Errors ---
+// Handlers throw ApiError; the error middleware at the bottom of this file
+// turns it into { error: { code, message, details } }. Anything else becomes
+// a generic 500 so driver messages never reach clients.
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const badRequest = (message, details) => new ApiError(400, 'VALIDATION_ERROR', message, details);
+const notFound = (message) => new ApiError(404, 'NOT_FOUND', message);
+const forbidden = () => new ApiError(403, 'FORBIDDEN', 'Forbidden');
+
+
+// --- Serializers ---
+// One per resource so every route returns the same PascalCase shape.
+const formatTime = (time) => (time ? String(time).slice(0, 5) : null);
+
+// Nested patient objects and the columns behind their fields
+const PATIENT_ADDRESS_FIELDS = [
+  ['Line1', 'address_line1'],
+  ['Line2', 'address_line2'],
+  ['City', 'address_city'],
+  ['Region', 'address_region'],
+  ['PostalCode', 'address_postal_code'],
+  ['Country', 'address_country']
+];
+const PATIENT_EMERGENCY_FIELDS = [
+  ['Name', 'emergency_contact_name'],
+  ['Phone', 'emergency_contact_phone'],
+  ['Relationship', 'emergency_contact_relationship']
+];
+
+const serializePatient = (row) => ({
+  PatientId: row.id,
+  Name: row.name,
+  Contact: row.contact,
+  FirstName: row.first_name,
+  LastName: row.last_name,
+  DateOfBirth: row.date_of_birth,
+  Sex: row.sex,
+  Email: row.email,
+  Phone: row.phone,
+  Address: PATIENT_ADDRESS_FIELDS.some(([, column]) => row[column])
+    ? Object.fromEntries(PATIENT_ADDRESS_FIELDS.map(([field, column]) => [field, row[column]]))
+    : null,
+  EmergencyContact: PATIENT_EMERGENCY_FIELDS.some(([, column]) => row[column])
+    ? Object.fromEntries(PATIENT_EMERGENCY_FIELDS.map(([field, column]) => [field, row[column]]))
+    : null,
+  Mrn: row.mrn,
+  DeletedAt: row.deleted_at
+});
+
+const serializeProvider = (row) => ({
+  ProviderId: row.id,
+  Name: row.name,
+  Specialty: row.specialty,
+  Contact: row.contact,
+  DefaultDurationMinutes: row.default_duration_minutes,
+  TimeZone: row.time_zone || DEFAULT_TIME_ZONE,
+  LocationId: row.location_id
+});
+
+const serializeOrganization = (row) => ({
+  OrganizationId: row.id,
+  Name: row.name,
+  CreatedAt: row.created_at
+});
+
+const serializeLocation = (row) => ({
+  LocationId: row.id,
+  OrganizationId: row.organization_id,
+  Name: row.name,
+  Address: row.address,
+  CreatedAt: row.created_at
+});
+
+// StartsAt/EndsAt are shown in `timeZone` (the caller's ?timeZone=) or else
+// in the zone the appointment was booked in
+const serializeAppointment = (row, timeZone = null) => ({
+  AppointmentId: row.id,
+  PatientId: row.patient_id,
+  ProviderId: row.provider_id,
+  AppointmentDate: row.appointment_date,
+  AppointmentTime: formatTime(row.appointment_time),
+  TimeZone: row.time_zone,
+  StartsAt: formatInstant(row.starts_at, timeZone || row.time_zone || DEFAULT_TIME_ZONE),
+  EndsAt: formatInstant(row.ends_at, timeZone || row.time_zone || DEFAULT_TIME_ZONE),
+  DurationMinutes: row.duration_minutes,
+  Reason: row.reason,
+  Status: row.status,
+  CancellationReason: row.cancellation_reason,
+  ConfirmedAt: row.confirmed_at,
+  CheckedInAt: row.checked_in_at,
+  CompletedAt: row.completed_at,
+  CancelledAt: row.cancelled_at,
+  NoShowAt: row.no_show_at,
+  SeriesId: row.series_id,
+  ArchivedAt: row.archived_at,
+  CreatedAt: row.created_at
+});
+
+const serializeSeries = (row, occurrences, timeZone = null) => ({
+  SeriesId: row.id,
+  PatientId: row.patient_id,
+  ProviderId: row.provider_id,
+  Recurrence: {
+    Frequency: row.frequency,
+    Interval: row.interval_count,
+    Until: row.until_date,
+    Count: row.occurrence_count
+  },
+  StartDate: row.start_date,
+  AppointmentTime: formatTime(row.appointment_time),
+  DurationMinutes: row.duration_minutes,
+  Reason: row.reason,
+  CancelledAt: row.cancelled_at,
+  Occurrences: occurrences.map((occ) => serializeAppointment(occ, timeZone))
+});
+
+const serializeUser = (row) => ({
+  UserId: row.id,
+  Email: row.email,
+  Role: row.role,
+  OrganizationId: row.organization_id,
+  PatientId: row.patient_id,
+  ProviderId: row.provider_id
+});
+
+const serializeWorkingHours = (row) => ({
+  Weekday: row.weekday,
+  StartTime: formatTime(row.start_time),
+  EndTime: formatTime(row.end_time)
+});
+
+const serializeBreak = (row) => ({
+  BreakId: row.id,
+  ProviderId: row.provider_id,
+  Weekday: row.weekday,
+  StartTime: formatTime(row.start_time),
+  EndTime: formatTime(row.end_time),
+  Label: row.label
+});
+
+const serializeClosure = (row) => ({
+  ClosureId: row.id,
+  ProviderId: row.provider_id,
+  Date: row.closure_date,
+  StartTime: formatTime(row.start_time),
+  EndTime: formatTime(row.end_time),
+  Reason: row.reason
+});
+
+const serializeCalendarToken = (row) => ({
+  TokenId: row.id,
+  OwnerType: row.owner_type,
+  OwnerId: row.owner_id,
+  Label: row.label,
+  CreatedAt: row.created_at,
+  RevokedAt: row.revoked_at
+});
+
+const serializePortalToken = (row) => ({
+  PortalTokenId: row.id,
+  PatientId: row.patient_id,
+  ExpiresAt: row.expires_at,
+  CreatedAt: row.created_at,
+  LastUsedAt: row.last_used_at,
+  RevokedAt: row.revoked_at
+});
+
+const serializeSlotHold = (row, timeZone = null) => ({
+  SlotHoldId: row.id,
+  PatientId: row.patient_id,
+  ProviderId: row.provider_id,
+  AppointmentDate: row.appointment_date,
+  AppointmentTime: formatTime(row.appointment_time),
+  StartsAt: formatInstant(row.starts_at, timeZone || DEFAULT_TIME_ZONE),
+  DurationMinutes: row.duration_minutes,
+  WaitlistEntryId: row.waitlist_entry_id,
+  Reason: row.reason,
+  Status: row.status,
+  ExpiresAt: row.expires_at,
+  AppointmentId: row.appointment_id,
+  CreatedAt: row.created_at
+});
+
+// `offer` is the entry's active slot hold, if any
+const serializeWaitlistEntry = (row, offer = null, timeZone = null) => ({
+  WaitlistEntryId: row.id,
+  PatientId: row.patient_id,
+  ProviderId: row.provider_id,
+  DateFrom: row.date_from,
+  DateTo: row.date_to,
+  PreferredTimeFrom: formatTime(row.preferred_time_from),
+  PreferredTimeTo: formatTime(row.preferred_time_to),
+  DurationMinutes: row.duration_minutes,
+  Reason: row.reason,
+  Priority: row.priority,
+  Status: row.status,
+  Offer: offer && serializeSlotHold(offer, timeZone),
+  CreatedAt: row.created_at
+});
+
+const serializeAuditEntry = (row) => ({
+  AuditId: row.id,
+  Entity: row.entity,
+  EntityId: row.entity_id,
+  Action: row.action,
+  ActorUserId: row.actor_user_id,
+  ActorRole: row.actor_role,
+  RequestId: row.request_id,
+  Changes: row.changes,
+  CreatedAt: row.created_at
+});
+
+const serializeReminder = (row) => ({
+  ReminderId: row.id,
+  AppointmentId: row.appointment_id,
+  Channel: row.channel,
+  Recipient: row.recipient,
+  OffsetMinutes: row.offset_minutes,
+  SendAt: row.send_at,
+  Status: row.status,
+  Attempts: row.attempts,
+  LastError: row.last_error,
+  SentAt: row.sent_at
+});
+
+// The secret is only shown when it is set (see POST /webhooks)
+const serializeWebhook = (row, secret = null) => ({
+  WebhookId: row.id,
+  Url: row.url,
+  Events: row.events,
+  Description: row.description,
+  Active: Boolean(row.active),
+  ...(secret && { Secret: secret }),
+  CreatedAt: row.created_at
+});
+
+const serializeWebhookDelivery = (row) => ({
+  DeliveryId: row.id,
+  WebhookId: row.webhook_id,
+  Event: row.event,
+  Payload: row.payload,
+  Status: row.status,
+  Attempts: row.attempts,
+  NextAttemptAt: row.next_attempt_at,
+  ResponseStatus: row.response_status,
+  LastError: row.last_error,
+  DeliveredAt: row.delivered_at,
+  RedeliveryOf: row.redelivery_of,
+  CreatedAt: row.created_at
+});
+
+
+// --- Helpers ---
+// Rejects impossible calendar dates such as 2025-02-31
+const isValidDate = (s) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return false;
+  const [y, m, d] = s.split('-').map(Number);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  return date.getUTCMonth() === m - 1 && date.getUTCDate() === d;
+};
+const isValidTime = (s) => /^([01]\d|2[0-3]):[0-5]\d$/.test(s);
+
+async function ensurePatientExists(patientId, tenantId) {
+  return (await storage.patients.findById(patientId, { tenantId })) !== null;
+}
+
+// Maps a PatientInput body onto patients columns. Omitted fields become null
+// because PUT replaces the whole record.
+function patientColumns(body) {
+  const text = (value) => (typeof value === 'string' && value.trim()) || null;
+  const firstName = text(body.FirstName);
+  const lastName = text(body.LastName);
+  const address = body.Address || {};
+  const emergency = body.EmergencyContact || {};
+  return {
+    name: text(body.name) || [firstName, lastName].filter(Boolean).join(' '),
+    contact: text(body.contact),
+    first_name: firstName,
+    last_name: lastName,
+    date_of_birth: body.DateOfBirth || null,
+    sex: body.Sex || null,
+    email: text(body.Email),
+    phone: body.Phone || null,
+    ...Object.fromEntries(PATIENT_ADDRESS_FIELDS.map(([field, column]) => [column, text(address[field])])),
+    ...Object.fromEntries(PATIENT_EMERGENCY_FIELDS.map(([field, column]) => [column, text(emergency[field])])),
+    mrn: text(body.Mrn)
+  };
+}
+
+// Inserts a patient, or updates the given columns of patient `id`, and
+// returns the saved row. `db` is the connection of the caller's
+// transaction, if any.
+async function savePatient(db, columns, id = null) {
+  if (columns.date_of_birth && columns.date_of_birth > new Date().toISOString().slice(0, 10)) {
+    throw badRequest('DateOfBirth cannot be in the future');
+  }
+  try {
+    return id
+      ? await storage.patients.update(id, columns, { db })
+      : await storage.patients.insert(columns, { db });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      throw new ApiError(409, 'MRN_IN_USE', 'Another patient already has this MRN');
+    }
+    throw err;
+  }
+}
+
+// Maps a provider body onto providers columns; PUT replaces the whole record
+function providerColumns({ Name, Specialty, Contact, DefaultDurationMinutes, TimeZone, LocationId }) {
+  return {
+    name: Name.trim(),
+    specialty: Specialty || null,
+    contact: Contact || null,
+    default_duration_minutes: DefaultDurationMinutes || null,
+    time_zone: TimeZone || null,
+    location_id: LocationId || null
+  };
+}
+
+async function ensureProviderExists(providerId, tenantId) {
+  return Boolean(await storage.providers.findById(providerId, { tenantId }));
+}
+
+// LocationId of a provider must be one of the organization's locations
+async function assertLocation(locationId, tenantId) {
+  if (!locationId) return;
+  if (!(await storage.locations.findById(locationId, { tenantId }))) throw badRequest('LocationId does not exist');
+}
+
+function assertTimeZone(zone, field) {
+  if (zone !== undefined && zone !== null && !isValidTimeZone(zone)) {
+    throw badRequest(`${field} must be an IANA time zone such as Europe/Berlin`);
+  }
+}
+
+async function providerTimeZone(providerId, db = null) {
+  const provider = await storage.providers.findById(providerId, { db });
+  return (provider && provider.time_zone) || DEFAULT_TIME_ZONE;
+}
+
+// Where a booking starts: either StartsAt (ISO-8601 with an offset) or
+// AppointmentDate + AppointmentTime read in TimeZone, by default the
+// provider's zone. Returns the UTC instant and the provider's wall-clock date
+// and time, which working hours are checked against. Local times skipped or
+// repeated by a DST change need an explicit Disambiguation.
+function resolveStart({ StartsAt, AppointmentDate, AppointmentTime, TimeZone, Disambiguation }, providerZone) {
+  assertTimeZone(TimeZone, 'TimeZone');
+  let startsAt;
+  if (StartsAt) {
+    startsAt = new Date(StartsAt);
+  } else {
+    const { instant, error, message } = resolveLocalTime(
+      AppointmentDate, AppointmentTime, TimeZone || providerZone, Disambiguation
+    );
+    if (error) throw new ApiError(422, error, message);
+    startsAt = instant;
+  }
+  return { ...toLocal(startsAt, providerZone), startsAt };
+}
+
+// A booking gives its start either as StartsAt or as AppointmentDate +
+// AppointmentTime, never both
+function assertOneStart({ StartsAt, AppointmentDate, AppointmentTime, TimeZone, Disambiguation }) {
+  if (StartsAt && (AppointmentDate || AppointmentTime || TimeZone || Disambiguation)) {
+    throw badRequest('Give either StartsAt or AppointmentDate and AppointmentTime, not both');
+  }
+}
+
+// starts_at, ends_at and time_zone column values
+const instantValues = (startsAt, durationMinutes, timeZone) =>
+  [sqlUtc(startsAt), sqlUtc(new Date(startsAt.getTime() + durationMinutes * 60000)), timeZone];
+
+// Appointments of other organizations are reported as missing. Pass
+// `tenantId` null only to re-read a row that was already checked.
+async function fetchAppointment(id, db = null, tenantId = null) {
+  const appt = await storage.appointments.findById(id, { tenantId, db });
+  if (!appt) throw notFound('Appointment not found');
+  return appt;
+}
+
+// Audit entries and webhook payloads use the API's field names
+const AUDIT_SERIALIZERS = { patient: serializePatient, appointment: serializeAppointment };
+
+// Event (webhooks, appointment stream) of each audited action; other actions
+// of an existing record (update, merge) are <entity>.updated, or
+// appointment.rescheduled when the time or provider changed
+const CHANGE_EVENTS = {
+  patient: { delete: 'patient.deleted', restore: 'patient.restored' },
+  appointment: {
+    cancel: 'appointment.cancelled',
+    archive: 'appointment.deleted',
+    restore: 'appointment.restored',
+    confirm: 'appointment.status_changed',
+    'check-in': 'appointment.status_changed',
+    complete: 'appointment.status_changed',
+    'no-show': 'appointment.status_changed'
+  }
+};
+
+function changeEvent(entity, action, before, after) {
+  if (!before) return `${entity}.created`;
+  if (!after) return `${entity}.deleted`;
+  if (CHANGE_EVENTS[entity][action]) return CHANGE_EVENTS[entity][action];
+  if (entity === 'appointment'
+    && (before.StartsAt !== after.StartsAt || before.ProviderId !== after.ProviderId)) {
+    return 'appointment.rescheduled';
+  }
+  return `${entity}.updated`;
+}
+
+// Records a change made by the current request, queues its webhook event
+// and, for appointments, adds it to the event stream. `before` and `after`
+// are table rows; `before` is null for creates and `after` for deletes.
+// Changes that alter nothing do none of this.
+async function auditChange(db, req, entity, action, before, after) {
+  const serialize = AUDIT_SERIALIZERS[entity];
+  const [previous, current] = [before && serialize(before), after && serialize(after)];
+  const recorded = await recordAudit(db, {
+    entity,
+    entityId: (after || before).id,
+    action,
+    actor: req.user,
+    requestId: req.id,
+    organizationId: req.tenantId,
+    before: previous,
+    after: current
+  });
+  if (!recorded) return;
+  const event = changeEvent(entity, action, previous, current);
+  await queueEvent(db, req.tenantId, event, current || previous, current && previous);
+  if (entity === 'appointment') {
+    await recordEvent(db, {
+      organizationId: req.tenantId,
+      event,
+      row: after || before,
+      previousRow: after && before,
+      data: current || previous,
+      previous: current && previous
+    });
+  }
+}
+
+// Explicit value wins, then the per-reason default, then the provider's own
+// default, then DEFAULT_DURATION_MINUTES.
+async function resolveDuration(durationMinutes, reason, providerId) {
+  if (durationMinutes !== undefined && durationMinutes !== null) return durationMinutes;
+
+  const reasonKey = Object.keys(REASON_DURATIONS)
+    .find((key) => key.toLowerCase() === String(reason || '').trim().toLowerCase());
+  if (reasonKey) return REASON_DURATIONS[reasonKey];
+
+  const provider = await storage.providers.findById(providerId);
+  return (provider && provider.default_duration_minutes) || DEFAULT_DURATION_MINUTES;
+}
+
+// Returns the IDs of non-cancelled appointments of the same patient or
+// provider whose [starts_at, ends_at) interval overlaps the requested one,
+// compared in UTC so appointments in different zones are caught too. Pass
+// excludeId when rescheduling so the appointment does not collide with itself,
+// and a connection as `db` to see rows inserted earlier in its transaction.
+async function findConflictingAppointments(patientId, providerId, startsAt, durationMinutes, excludeId = null, db = null) {
+  const [starts, ends] = instantValues(startsAt, durationMinutes);
+  return storage.appointments.findOverlapping({ patientId, providerId, startsAt: starts, endsAt: ends, excludeId, db });
+}
+
+// Slots held for another patient (a waitlist offer) cannot be booked
+async function assertSlotNotHeld(patientId, providerId, startsAt, durationMinutes, db = null) {
+  const held = await findHeldSlots(db, { patientId, providerId, startsAt, durationMinutes });
+  if (held.length > 0) {
+    throw new ApiError(409, 'SLOT_HELD', 'This time slot is held for another patient', { slotHoldIds: held });
+  }
+}
+
+// Overlap and hold check of a booking, run on the booking's transaction
+// after lockBookingParties. On a connection both are locking reads, so they
+// see every committed competitor even when the transaction already read
+// something (e.g. earlier rows of an import).
+async function assertBookable(db, patientId, providerId, startsAt, durationMinutes, excludeId = null) {
+  const conflicts = await findConflictingAppointments(patientId, providerId, startsAt, durationMinutes, excludeId, db);
+  if (conflicts.length > 0) {
+    throw new ApiError(409, 'SLOT_CONFLICT', 'This time slot overlaps another appointment of this patient or provider',
+      { conflictingAppointmentIds: conflicts });
+  }
+  await assertSlotNotHeld(patientId, providerId, startsAt, durationMinutes, db);
+}
+
+// Serializes bookings that involve the same patient or provider: their rows
+// stay locked until the transaction ends, so a concurrent booking waits and
+// then finds this one in its overlap check instead of double-booking. Lock
+// before any plain read in the transaction, since InnoDB takes the snapshot
+// of those at the first one. Patients go before providers, each in ID order,
+// so two bookings cannot deadlock each other.
+async function lockBookingParties(conn, patientIds, providerIds) {
+  const ids = (values) => [...new Set([].concat(values).filter(Boolean))].sort((a, b) => a - b);
+  await storage.patients.lock(ids(patientIds), { db: conn });
+  await storage.providers.lock(ids(providerIds), { db: conn });
+}
+
+// Offers the slot a cancelled or moved appointment occupied to the waitlist.
+// Pass the transaction's connection as `db` when there is one.
+async function offerFreedSlot(appt, db = null) {
+  if (!appt.provider_id) return;
+  const slot = {
+    providerId: appt.provider_id,
+    date: appt.appointment_date,
+    time: appt.appointment_time,
+    startsAt: appt.starts_at,
+    durationMinutes: appt.duration_minutes,
+    sourceAppointmentId: appt.id
+  };
+  if (db) {
+    await offerSlot(db, slot);
+    return;
+  }
+  await storage.withTransaction((conn) => offerSlot(conn, slot));
+}
+
+
+// --- Appointment status lifecycle ---
+// Each action moves an appointment into `to` from one of the `from` statuses
+// and stamps the matching *_at column. completed, cancelled and no_show are final.
+const APPOINTMENT_TRANSITIONS = {
+  confirm: { to: 'confirmed', from: ['scheduled'], timestamp: 'confirmed_at' },
+  'check-in': { to: 'checked_in', from: ['scheduled', 'confirmed'], timestamp: 'checked_in_at' },
+  complete: { to: 'completed', from: ['checked_in'], timestamp: 'completed_at' },
+  cancel: { to: 'cancelled', from: ['scheduled', 'confirmed'], timestamp: 'cancelled_at' },
+  'no-show': { to: 'no_show', from: ['scheduled', 'confirmed'], timestamp: 'no_show_at' }
+};
+const APPOINTMENT_STATUSES = ['scheduled', 'confirmed', 'checked_in', 'completed', 'cancelled', 'no_show'];
+const FINAL_STATUSES = ['completed', 'cancelled', 'no_show'];
+
+// Applies the action on behalf of the request's user and returns the updated
+// appointment row
+async function transitionAppointment(req, id, action, reason) {
+  const { to, from, timestamp } = APPOINTMENT_TRANSITIONS[action];
+  const appt = await fetchAppointment(id, null, req.tenantId);
+  if (!canAccessAppointment(req.user, appt)) throw forbidden();
+
+  const current = appt.status;
+  // The status guard keeps concurrent transitions honest
+  const updated = from.includes(current)
+    ? await storage.appointments.update(id, {
+      status: to,
+      [timestamp]: storage.now(),
+      ...(reason !== undefined && reason !== null && { cancellation_reason: reason })
+    }, { status: current, bumpSequence: to === 'cancelled' })
+    : null;
+  if (!updated) {
+    throw new ApiError(409, 'INVALID_STATUS_TRANSITION', `Cannot ${action} an appointment that is ${current}`);
+  }
+  // Reminders only make sense while the patient still has to show up
+  if (to !== 'confirmed') await cancelReminders(null, id);
+  if (to === 'cancelled') await offerFreedSlot(appt);
+
+  await auditChange(null, req, 'appointment', action, appt, updated);
+  return updated;
+}
+
+
+// --- Schedule helpers ---
+// Times are handled as minutes since midnight, intervals as [start, end).
+const MAX_AVAILABILITY_DAYS = 31;
+
+const toMinutes = (time) => {
+  const [h, m] = String(time).split(':').map(Number);
+  return h * 60 + m;
+};
+const fromMinutes = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+function subtractIntervals(intervals, blocks) {
+  return blocks.reduce((free, [bStart, bEnd]) => free.flatMap(([start, end]) => {
+    if (bEnd <= start || bStart >= end) return [[start, end]];
+    const parts = [];
+    if (bStart > start) parts.push([start, bStart]);
+    if (bEnd < end) parts.push([bEnd, end]);
+    return parts;
+  }), intervals);
+}
+
+// Loads everything needed to compute a provider's open hours between two
+// dates (inclusive). Clinic-wide closures are those of the provider's
+// organization.
+async function loadProviderSchedule(providerId, from, to) {
+  const [hours, breaks, closures] = await Promise.all([
+    storage.workingHours.list(providerId),
+    storage.breaks.list(providerId),
+    storage.closures.listForProvider(providerId, from, to)
+  ]);
+  return { hours, breaks, closures };
+}
+
+// Working hours for the date's weekday minus breaks and closures.
+function openIntervalsFor(schedule, date) {
+  const weekday = weekdayOf(date);
+  const working = schedule.hours
+    .filter((h) => h.weekday === weekday)
+    .map((h) => [toMinutes(h.start_time), toMinutes(h.end_time)])
+    .sort((a, b) => a[0] - b[0]);
+  const blocked = [
+    ...schedule.breaks
+      .filter((b) => b.weekday === weekday)
+      .map((b) => [toMinutes(b.start_time), toMinutes(b.end_time)]),
+    ...schedule.closures
+      .filter((c) => c.closure_date === date)
+      .map((c) => (c.start_time ? [toMinutes(c.start_time), toMinutes(c.end_time)] : [0, 24 * 60]))
+  ];
+  return subtractIntervals(working, blocked);
+}
+
+// Returns null when the provider is open for the whole appointment, otherwise
+// a message explaining why the booking cannot be placed.
+async function checkWithinWorkingHours(providerId, date, time, durationMinutes) {
+  const schedule = await loadProviderSchedule(providerId, date, date);
+  if (schedule.hours.length === 0) {
+    return 'Provider has no working hours configured';
+  }
+  const start = toMinutes(time);
+  const end = start + durationMinutes;
+  const fits = openIntervalsFor(schedule, date).some(([s, e]) => start >= s && end <= e);
+  return fits ? null : "Appointment is outside the provider's working hours";
+}
+
+// --- Recurrence helpers ---
+const MAX_SERIES_OCCURRENCES = 200;
+
+// Accepts either { Frequency, Interval, Until, Count } or an RRULE string
+// such as "FREQ=WEEKLY;INTERVAL=2;COUNT=10". Until is checked against the
+// series' `startDate`. Returns { rule } or { error }.
+function parseRecurrence(input, startDate) {
+  let raw = input;
+  if (typeof input === 'string') {
+    const parts = Object.fromEntries(input.replace(/^RRULE:/i, '').split(';')
+      .map((part) => part.split('=')).map(([k, v]) => [String(k).toUpperCase(), v]));
+    const until = parts.UNTIL && parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})/);
+    raw = {
+      Frequency: parts.FREQ,
+      Interval: parts.INTERVAL !== undefined ? Number(parts.INTERVAL) : undefined,
+      Count: parts.COUNT !== undefined ? Number(parts.COUNT) : undefined,
+      Until: until ? `${until[1]}-${until[2]}-${until[3]}` : parts.UNTIL
+    };
+  }
+  if (!raw || typeof raw !== 'object') return { error: 'Recurrence is required' };
+
+  const frequency = String(raw.Frequency || '').toLowerCase();
+  const interval = raw.Interval === undefined ? 1 : raw.Interval;
+  if (!['daily', 'weekly'].includes(frequency)) {
+    return { error: "Recurrence.Frequency must be 'daily' or 'weekly'" };
+  }
+  if (!Number.isInteger(interval) || interval <= 0) {
+    return { error: 'Recurrence.Interval must be a positive integer' };
+  }
+  if ((raw.Until === undefined) === (raw.Count === undefined)) {
+    return { error: 'Recurrence needs exactly one of Until or Count' };
+  }
+  if (raw.Until !== undefined && !isValidDate(raw.Until)) {
+    return { error: "Recurrence.Until must be 'YYYY-MM-DD'" };
+  }
+  if (raw.Until !== undefined) {
+    if (raw.Until < startDate) return { error: 'Recurrence.Until must not be before StartDate' };
+    const days = (Date.parse(raw.Until) - Date.parse(startDate)) / 86400000;
+    if (Math.floor(days / (frequency === 'weekly' ? interval * 7 : interval)) >= MAX_SERIES_OCCURRENCES) {
+      return { error: `Recurrence.Until allows at most ${MAX_SERIES_OCCURRENCES} occurrences` };
+    }
+  }
+  if (raw.Count !== undefined &&
+      (!Number.isInteger(raw.Count) || raw.Count <= 0 || raw.Count > MAX_SERIES_OCCURRENCES)) {
+    return { error: `Recurrence.Count must be an integer between 1 and ${MAX_SERIES_OCCURRENCES}` };
+  }
+  return { rule: { frequency, interval, until: raw.Until || null, count: raw.Count || null } };
+}
+
+function expandRecurrence(startDate, { frequency, interval, until, count }) {
+  const step = frequency === 'weekly' ? interval * 7 : interval;
+  const dates = [];
+  for (let date = startDate; dates.length < MAX_SERIES_OCCURRENCES; date = addDays(date, step)) {
+    if (until ? date > until : dates.length >= count) break;
+    dates.push(date);
+  }
+  return dates;
+}
+
+const DST_CLASH_REASONS = { NONEXISTENT_LOCAL_TIME: 'nonexistent_time', AMBIGUOUS_LOCAL_TIME: 'ambiguous_time' };
+
+// DST, working-hour and overlap check for a single occurrence at local
+// `date` and `time` in `timeZone`. Returns { startsAt } when it can be booked
+// or { clash } with a report entry describing the problem. Pass the booking's
+// transaction as `db` (after lockBookingParties) for the overlap checks.
+async function checkOccurrence({
+  patientId, providerId, date, time, duration, timeZone, disambiguation, excludeId = null, db = null
+}) {
+  const { instant: startsAt, error, message } = resolveLocalTime(date, time, timeZone, disambiguation);
+  if (error) {
+    return { clash: { AppointmentDate: date, Reason: DST_CLASH_REASONS[error], Message: message } };
+  }
+  const scheduleError = await checkWithinWorkingHours(providerId, date, time, duration);
+  if (scheduleError) {
+    return { clash: { AppointmentDate: date, Reason: 'outside_working_hours', Message: scheduleError } };
+  }
+  const conflicts = await findConflictingAppointments(patientId, providerId, startsAt, duration, excludeId, db);
+  if (conflicts.length > 0) {
+    return { clash: { AppointmentDate: date, Reason: 'conflict', ConflictingAppointmentIds: conflicts } };
+  }
+  const held = await findHeldSlots(db, { patientId, providerId, startsAt, durationMinutes: duration });
+  if (held.length > 0) {
+    return { clash: { AppointmentDate: date, Reason: 'held', SlotHoldIds: held } };
+  }
+  return { startsAt };
+}
+
+// Shape and formats are checked against the WeeklyInterval schema; this is
+// the part a schema cannot express.
+function validateWeeklyInterval({ StartTime, EndTime }) {
+  if (toMinutes(StartTime) >= toMinutes(EndTime)) {
+    return 'StartTime must be before EndTime';
+  }
+  return null;
+}
+
+
+// --- Listing helpers ---
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 200;
+
+// Reads ?limit=&offset= and returns { limit, offset } or { error }
+function parsePagination(query) {
+  const limit = query.limit === undefined ? DEFAULT_PAGE_LIMIT : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+    return { error: `limit must be an integer between 1 and ${MAX_PAGE_LIMIT}` };
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: 'offset must be a non-negative integer' };
+  }
+  return { limit, offset };
+}
+
+// Turns ?sort=-date,time into an ORDER BY clause using only whitelisted
+// fields. `fields` maps API sort names to SQL columns. Returns { orderBy } or { error }.
+function parseSort(sort, fields, fallback) {
+  if (sort === undefined || sort === '') return { orderBy: fallback };
+  const clauses = [];
+  for (const item of String(sort).split(',')) {
+    const desc = item.startsWith('-');
+    const name = desc ? item.slice(1) : item;
+    if (!Object.prototype.hasOwnProperty.call(fields, name)) {
+      return { error: `Cannot sort by '${name}'. Allowed: ${Object.keys(fields).join(', ')}` };
+    }
+    clauses.push(`${fields[name]} ${desc ? 'DESC' : 'ASC'}`);
+  }
+  return { orderBy: clauses.join(', ') };
+}
+
+
+// --- Duplicate detection ---
+// Candidates are pre-selected in SQL (same date of birth, phone, email or MRN,
+// or a last name that sounds alike) and scored here. Same name alone scores
+// 0.5; a differing date of birth pulls the score below the threshold.
+const DUPLICATE_MIN_SCORE = 0.5;
+const DUPLICATE_NAME_MATCH = 0.8;
+
+// Lowercase, without accents and punctuation, words sorted so that
+// "Doe, John" and "John Doe" compare equal
+const normalizeName = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z]+/)
+  .filter(Boolean)
+  .sort()
+  .join(' ');
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function nameSimilarity(a, b) {
+  const [x, y] = [normalizeName(a), normalizeName(b)];
+  if (!x || !y) return 0;
+  return 1 - editDistance(x, y) / Math.max(x.length, y.length);
+}
+
+// `probe` and `row` use patients column names
+function scoreDuplicate(probe, row) {
+  const matchedOn = [];
+  const nameScore = nameSimilarity(probe.name, row.name);
+  if (nameScore >= DUPLICATE_NAME_MATCH) matchedOn.push('name');
+  let score = 0.5 * nameScore;
+  if (probe.date_of_birth && row.date_of_birth) {
+    if (probe.date_of_birth === row.date_of_birth) {
+      score += 0.3;
+      matchedOn.push('dateOfBirth');
+    } else {
+      score -= 0.3;
+    }
+  }
+  if (probe.phone && probe.phone === row.phone) {
+    score += 0.2;
+    matchedOn.push('phone');
+  }
+  if (probe.email && row.email && probe.email.toLowerCase() === row.email.toLowerCase()) {
+    score += 0.2;
+    matchedOn.push('email');
+  }
+  if (probe.mrn && probe.mrn === row.mrn) {
+    score = 1;
+    matchedOn.push('mrn');
+  }
+  return { score: Math.round(Math.min(1, Math.max(0, score)) * 100) / 100, matchedOn };
+}
+
+async function findDuplicateCandidates(probe, tenantId, excludeId = null) {
+  const lastName = probe.last_name || normalizeName(probe.name).split(' ').pop() || null;
+  const rows = await storage.patients.findDuplicateCandidates(probe, { tenantId, excludeId, lastName });
+  return rows
+    .map((row) => ({ row, ...scoreDuplicate(probe, row) }))
+    .filter((candidate) => candidate.score >= DUPLICATE_MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .map(({ row, score, matchedOn }) => ({ Patient: serializePatient(row), Score: score, MatchedOn: matchedOn }));
+}
+
+
+// --- Authentication & authorization ---
+// Tokens are HS256 JWTs signed with JWT_SECRET and carry the user's role, their
+// organization and, for patient/provider accounts, the record they are linked to.
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '8h';
+const ROLES = ['admin', 'receptionist', 'provider', 'patient'];
+const STAFF_ROLES = ['admin', 'receptionist'];
+
+function signToken(user) {
+  return jwt.sign(
+    {
+      sub: user.id,
+      role: user.role,
+      organizationId: user.organization_id,
+      patientId: user.patient_id,
+      providerId: user.provider_id
+    },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+}
+
+// Verifies the bearer token and sets req.user. Tokens issued before
+// organizations existed carry no organizationId and are refused rather than
+// read as a platform admin's.
+function authenticate(req) {
+  if (!JWT_SECRET) {
+    console.error('JWT_SECRET is not set');
+    throw new ApiError(500, 'AUTH_NOT_CONFIGURED', 'Authentication is not configured');
+  }
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    throw new ApiError(401, 'UNAUTHORIZED', 'Authentication required');
+  }
+  let claims;
+  try {
+    claims = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    throw new ApiError(401, 'UNAUTHORIZED', 'Invalid or expired token');
+  }
+  if (!('organizationId' in claims)) {
+    throw new ApiError(401, 'UNAUTHORIZED', 'Token is outdated; log in again');
+  }
+  req.user = {
+    id: claims.sub,
+    role: claims.role,
+    organizationId: claims.organizationId || null,
+    patientId: claims.patientId || null,
+    providerId: claims.providerId || null
+  };
+}
+
+const isPlatformAdmin = (user) => user.role === 'admin' && !user.organizationId;
+
+// The organization the request works in. Users work in their own; the
+// X-Organization-Id header may repeat it but not name another one. Platform
+// admins pick any existing organization with the header.
+async function resolveTenant(req) {
+  const header = req.get('X-Organization-Id');
+  const requested = header === undefined ? null : Number(header);
+  if (header !== undefined && !(Number.isInteger(requested) && requested > 0)) {
+    throw badRequest('X-Organization-Id must be an organization ID');
+  }
+  if (req.user.organizationId) {
+    if (requested && requested !== req.user.organizationId) {
+      throw new ApiError(403, 'TENANT_MISMATCH', 'You do not have access to this organization');
+    }
+    return req.user.organizationId;
+  }
+  if (!isPlatformAdmin(req.user)) throw forbidden();
+  if (!requested) {
+    throw new ApiError(400, 'TENANT_REQUIRED', 'Platform admins must choose an organization with X-Organization-Id');
+  }
+  if (!(await storage.organizations.findById(requested))) throw notFound('Organization not found');
+  return requested;
+}
+
+// Verifies the bearer token, checks the caller's role against `roles`, sets
+// req.tenantId and then validates the request (see assertValidRequest). Every query of the handlers behind it is limited to that
+// organization; records of other organizations answer 404 like missing ones.
+// Record-level checks (a patient reading only their own data) happen in the
+// handlers via canAccessPatient/canAccessAppointment.
+function authorize(...roles) {
+  return async (req, res, next) => {
+    authenticate(req);
+    if (!roles.includes(req.user.role)) {
+      throw forbidden();
+    }
+    req.tenantId = await resolveTenant(req);
+    assertValidRequest(req);
+    await handleIdempotencyKey(req, res, next);
+  };
+}
+
+// Any signed-in user, inside or outside an organization
+function authenticated(req, res, next) {
+  authenticate(req);
+  assertValidRequest(req);
+  next();
+}
+
+// Organizations themselves are managed by platform admins
+async function authorizePlatformAdmin(req, res, next) {
+  authenticate(req);
+  if (!isPlatformAdmin(req.user)) throw forbidden();
+  assertValidRequest(req);
+  await handleIdempotencyKey(req, res, next);
+}
+
+// A POST or PUT sent again with the same Idempotency-Key (e.g. a retry after
+// a timeout) gets the response of the first one instead of running twice.
+// Runs after authentication since keys belong to the user. Server errors are
+// not kept, so such requests can be retried.
+const IDEMPOTENT_METHODS = ['POST', 'PUT'];
+
+async function handleIdempotencyKey(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (!IDEMPOTENT_METHODS.includes(req.method) || key === undefined) return next();
+  if (!/^[\x21-\x7e]{1,255}$/.test(key)) {
+    throw badRequest('Idempotency-Key must be 1 to 255 printable ASCII characters');
+  }
+
+  const claim = await claimKey(req.user.id, key, {
+    method: req.method, url: req.originalUrl, tenantId: req.tenantId || null, body: req.body
+  });
+  if (claim.error === 'mismatch') {
+    throw new ApiError(422, 'IDEMPOTENCY_KEY_REUSED', 'This Idempotency-Key was already used for a different request');
+  }
+  if (claim.error === 'in_progress') {
+    throw new ApiError(409, 'IDEMPOTENCY_KEY_IN_USE', 'A request with this Idempotency-Key is still being processed');
+  }
+  if (claim.replay) {
+    const { status, body } = claim.replay;
+    res.set('Idempotent-Replayed', 'true').status(status);
+    return body === null ? res.end() : res.json(body);
+  }
+
+  let sentBody;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    sentBody = body;
+    return json(body);
+  };
+  res.on('close', () => {
+    const stored = res.writableFinished && res.statusCode < 500
+      ? saveResponse(claim.id, res.statusCode, sentBody)
+      : releaseKey(claim.id);
+    stored.catch((err) => console.error(`Storing idempotent response failed (request ${req.id}):`, err));
+  });
+  next();
+}
+
+const canAccessPatient = (user, patientId) =>
+  user.role !== 'patient' || user.patientId === patientId;
+
+const canAccessProvider = (user, providerId) =>
+  user.role !== 'provider' || user.providerId === providerId;
+
+// Works for appointment and series rows alike (both carry patient_id/provider_id)
+const canAccessAppointment = (user, row) =>
+  (user.role !== 'patient' || user.patientId === row.patient_id) &&
+  (user.role !== 'provider' || user.providerId === row.provider_id);
+
+// The `scope` of storage list queries limiting appointment-like rows to what
+// the user may see within its organization
+function ownRecords(user) {
+  if (user.role === 'patient') return { patientId: user.patientId };
+  if (user.role === 'provider') return { providerId: user.providerId };
+  return {};
+}
+
+
+// --- Request validation ---
+// Bodies, path parameters and query strings are checked against the swagger
+// docs of each route, so the docs are the contract. Handlers only need to do
+// checks a schema cannot express (existence, ordering of two fields, ...).
+function createAjv(options) {
+  const instance = new Ajv2019({ allErrors: true, strict: false, ...options });
+  addFormats(instance, ['date-time', 'email']);
+  instance.addFormat('date', isValidDate);
+  instance.addFormat('HH:MM', isValidTime);
+  instance.addKeyword({ keyword: 'example' });
+  instance.addSchema({ $id: 'spec', components: swaggerSpec.components });
+  return instance;
+}
+// Query and path values arrive as strings and are coerced before checking
+const bodyAjv = createAjv({});
+const paramAjv = createAjv({ coerceTypes: 'array' });
+
+const toAjvRefs = (schema) => JSON.parse(JSON.stringify(schema).replace(/"#\/components\//g, '"spec#/components/'));
+
+// Request bodies reject unknown fields. unevaluatedProperties (rather than
+// additionalProperties) keeps allOf compositions such as Break and $ref
+// bodies such as PatientInput working.
+function closeObjects(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const closed = { ...schema };
+  if (closed.properties) {
+    closed.properties = Object.fromEntries(
+      Object.entries(closed.properties).map(([name, prop]) => [name, closeObjects(prop)])
+    );
+  }
+  if (closed.items) closed.items = closeObjects(closed.items);
+  if ((closed.properties || closed.allOf || closed.$ref) && closed.additionalProperties === undefined) {
+    closed.unevaluatedProperties = false;
+  }
+  return closed;
+}
+
+function paramsSchema(parameters, location) {
+  const own = parameters.filter((param) => param.in === location);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(own.map((param) => [param.name, param.schema || {}])),
+    required: own.filter((param) => param.required).map((param) => param.name)
+  };
+}
+
+const routeValidators = Object.entries(swaggerSpec.paths || {})
+  .flatMap(([path, operations]) => Object.entries(operations).map(([method, operation]) => {
+    const parameters = (operation.parameters || []).map((param) =>
+      param.$ref ? swaggerSpec.components.parameters[param.$ref.split('/').pop()] : param);
+    const bodySchema = operation.requestBody && (operation.requestBody.content['application/json'] || {}).schema;
+    const pathNames = [...path.matchAll(/{(\w+)}/g)].map((m) => m[1]);
+    return {
+      method: method.toUpperCase(),
+      pattern: new RegExp(`^${path.replace(/\./g, '\\.').replace(/{\w+}/g, '([^/]+?)')}/?$`),
+      pathNames,
+      literalLength: path.replace(/{\w+}/g, '').length,
+      validatePath: paramAjv.compile(toAjvRefs(paramsSchema(parameters, 'path'))),
+      validateQuery: paramAjv.compile(toAjvRefs(paramsSchema(parameters, 'query'))),
+      validateBody: bodySchema && bodyAjv.compile(toAjvRefs(closeObjects(bodySchema))),
+      bodyRequired: Boolean(operation.requestBody && operation.requestBody.required)
+    };
+  }))
+  // The most specific path wins, e.g. /appointments/{id}.ics over /appointments/{id}
+  .sort((a, b) => a.pathNames.length - b.pathNames.length || b.literalLength - a.literalLength);
+
+// Ajv errors as [{ field, message }], e.g. { field: 'body.PatientId', message: 'must be integer' }.
+// Without a location the field is just the property name.
+function describeErrors(location, errors) {
+  return errors
+    .filter((err) => !['oneOf', 'anyOf', 'if'].includes(err.keyword))
+    .map((err) => {
+      const path = [location, ...err.instancePath.split('/')].filter(Boolean);
+      if (err.keyword === 'required') {
+        return { field: [...path, err.params.missingProperty].join('.'), message: 'is required' };
+      }
+      if (err.keyword === 'unevaluatedProperties' || err.keyword === 'additionalProperties') {
+        const property = err.params.unevaluatedProperty || err.params.additionalProperty;
+        return { field: [...path, property].join('.'), message: 'is not allowed' };
+      }
+      if (err.keyword === 'pattern' && err.params.pattern === '\\S') {
+        return { field: path.join('.'), message: 'must not be blank' };
+      }
+      return { field: path.join('.'), message: err.message };
+    });
+}
+
+// Runs after authentication (see authorize and the other guards), so callers
+// who may not use a route learn nothing about its schema. Public routes use
+// validateRequest as their own middleware instead.
+function assertValidRequest(req) {
+  const route = routeValidators.find((r) => r.method === req.method && r.pattern.test(req.path));
+  if (!route) return;
+
+  const match = req.path.match(route.pattern);
+  const pathValues = Object.fromEntries(route.pathNames.map((name, i) => [name, match[i + 1]]));
+  const errors = [];
+  if (!route.validatePath(pathValues)) errors.push(...describeErrors('path', route.validatePath.errors));
+  // Validate copies: coercion must not change what the handlers see
+  if (!route.validateQuery({ ...req.query })) errors.push(...describeErrors('query', route.validateQuery.errors));
+  if (route.validateBody && (req.body !== undefined || route.bodyRequired)) {
+    if (!route.validateBody(req.body === undefined ? {} : req.body)) {
+      errors.push(...describeErrors('body', route.validateBody.errors));
+    }
+  }
+  if (errors.length > 0) {
+    throw badRequest('Request validation failed', { errors });
+  }
+}
+
+function validateRequest(req, res, next) {
+  assertValidRequest(req);
+  next();
+}
+
+// ?timeZone=Area/City on any request picks the zone StartsAt/EndsAt are shown in
+app.use((req, res, next) => {
+  const { timeZone } = req.query;
+  assertTimeZone(timeZone, 'timeZone');
+  req.timeZone = timeZone || null;
+  next();
+});
+
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     limit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 200
+ *         default: 50
+ *       description: Page size
+ *     offset:
+ *       in: query
+ *       name: offset
+ *       schema:
+ *         type: integer
+ *         minimum: 0
+ *         default: 0
+ *       description: Number of records to skip
+ *     timeZone:
+ *       in: query
+ *       name: timeZone
+ *       schema:
+ *         type: string
+ *         example: America/New_York
+ *       description: >
+ *         IANA zone to show StartsAt/EndsAt in. Accepted by every endpoint; by default each
+ *         appointment's own zone is used.
+ *     idempotencyKey:
+ *       in: header
+ *       name: Idempotency-Key
+ *       schema:
+ *         type: string
+ *         maxLength: 255
+ *         example: 3f1c9a52-7d1e-4b8e-9a7e-2c4d5b6a7f80
+ *       description: >
+ *         Accepted by every POST and PUT. Repeating a request with the same key (e.g. after a
+ *         timeout) returns the first response, marked with Idempotent-Replayed: true, instead of
+ *         running it again. Reusing a key for a different request gives 422 IDEMPOTENCY_KEY_REUSED;
+ *         repeating it while the first is still running gives 409 IDEMPOTENCY_KEY_IN_USE. Keys
+ *         are kept for 24 hours; responses with server errors are not kept.
+ *   schemas:
+ *     Disambiguation:
+ *       type: string
+ *       enum: [reject, earlier, later]
+ *       default: reject
+ *       description: >
+ *         What to do with a local time that a daylight saving change skips (e.g. 02:30 when clocks
+ *         jump from 02:00 to 03:00) or repeats (when clocks go back). "reject" refuses it with 422
+ *         NONEXISTENT_LOCAL_TIME or AMBIGUOUS_LOCAL_TIME; "earlier" and "later" take the instant
+ *         before or after the change.
+ *     Pagination:
+ *       type: object
+ *       properties:
+ *         total:
+ *           type: integer
+ *           description: Number of records matching the filters
+ *           example: 1342
+ *         limit:
+ *           type: integer
+ *           example: 50
+ *         offset:
+ *           type: integer
+ *           example: 0
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Auth
+ *   description: Login and user management
+ */
+
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     bearerAuth:
+ *       type: http
+ *       scheme: bearer
+ *       bearerFormat: JWT
+ *     portalToken:
+ *       type: http
+ *       scheme: bearer
+ *       description: >
+ *         A patient portal token (see POST /patients/{id}/portal-tokens) instead of a JWT. It only
+ *         works on the /portal routes, which act on the patient it belongs to.
+ *     organization:
+ *       type: apiKey
+ *       in: header
+ *       name: X-Organization-Id
+ *       description: >
+ *         The organization (tenant) to work in. Users always work in their own organization and get
+ *         403 TENANT_MISMATCH for any other; platform admins must send it (400 TENANT_REQUIRED
+ *         otherwise). Records of other organizations answer 404 as if they did not exist.
+ *   responses:
+ *     Unauthorized:
+ *       description: Missing, invalid or expired token
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Error'
+ *     Forbidden:
+ *       description: The caller's role or linked record does not allow this, or X-Organization-Id names another organization
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Error'
+ *     InternalError:
+ *       description: Unexpected server error; details are logged, not returned
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Error'
+ *   schemas:
+ *     Error:
+ *       type: object
+ *       description: Envelope returned by every failing request
+ *       properties:
+ *         error:
+ *           type: object
+ *           properties:
+ *             code:
+ *               type: string
+ *               description: Machine-readable error code
+ *               example: VALIDATION_ERROR
+ *             message:
+ *               type: string
+ *               example: Invalid PatientId
+ *             details:
+ *               type: object
+ *               description: Extra context for some codes, e.g. the clashing appointments of SLOT_CONFLICT
+ *     User:
+ *       type: object
+ *       properties:
+ *         UserId:
+ *           type: integer
+ *         Email:
+ *           type: string
+ *         Role:
+ *           type: string
+ *           enum: [admin, receptionist, provider, patient]
+ *         OrganizationId:
+ *           type: integer
+ *           nullable: true
+ *           description: The organization the user works in; null for platform admins
+ *         PatientId:
+ *           type: integer
+ *           nullable: true
+ *         ProviderId:
+ *           type: integer
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /auth/login:
+ *   post:
+ *     summary: Log in and obtain a bearer token
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Email
+ *               - Password
+ *             properties:
+ *               Email:
+ *                 type: string
+ *                 minLength: 1
+ *                 example: admin@clinic.example
+ *               Password:
+ *                 type: string
+ *                 minLength: 1
+ *                 example: change-me
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 Token:
+ *                   type: string
+ *                 ExpiresIn:
+ *                   type: string
+ *                   example: 8h
+ *                 User:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Email and password are required
+ *       401:
+ *         description: Invalid email or password
+ */
+
+// --- Login ---
+app.post('/auth/login', validateRequest, async (req, res) => {
+  const { Email, Password } = req.body;
+  if (!JWT_SECRET) {
+    console.error('JWT_SECRET is not set');
+    throw new ApiError(500, 'AUTH_NOT_CONFIGURED', 'Authentication is not configured');
+  }
+
+  const user = await storage.users.findByEmail(Email.trim().toLowerCase());
+  if (!user || !(await bcrypt.compare(Password, user.password_hash))) {
+    throw new ApiError(401, 'INVALID_CREDENTIALS', 'Invalid email or password');
+  }
+
+  res.json({ Token: signToken(user), ExpiresIn: JWT_EXPIRES_IN, User: serializeUser(user) });
+});
+
+
+/**
+ * @swagger
+ * /auth/me:
+ *   get:
+ *     summary: Get the authenticated user
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Current user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ */
+
+app.get('/auth/me', authenticated, async (req, res) => {
+  const user = await storage.users.findById(req.user.id);
+  if (!user) throw notFound('User not found');
+  res.json(serializeUser(user));
+});
+
+
+/**
+ * @swagger
+ * /users:
+ *   get:
+ *     summary: Get all users
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: List of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/User'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     summary: Create a user
+ *     description: Provider and patient accounts must be linked to their provider or patient record.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Email
+ *               - Password
+ *               - Role
+ *             properties:
+ *               Email:
+ *                 type: string
+ *                 format: email
+ *                 example: frontdesk@clinic.example
+ *               Password:
+ *                 type: string
+ *                 minLength: 8
+ *               Role:
+ *                 type: string
+ *                 enum: [admin, receptionist, provider, patient]
+ *               PatientId:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Required for patient accounts
+ *               ProviderId:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Required for provider accounts
+ *     responses:
+ *       201:
+ *         description: User created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: Email already in use
+ */
+
+app.get('/users', authorize('admin'), async (req, res) => {
+  const rows = await storage.users.list(req.tenantId);
+  res.json(rows.map(serializeUser));
+});
+
+// --- Create User ---
+app.post('/users', authorize('admin'), async (req, res) => {
+  const { Email, Password, Role, PatientId, ProviderId } = req.body;
+  if (Role === 'patient' && !(PatientId && await ensurePatientExists(PatientId, req.tenantId))) {
+    throw badRequest('Patient accounts need an existing PatientId');
+  }
+  if (Role === 'provider' && !(ProviderId && await ensureProviderExists(ProviderId, req.tenantId))) {
+    throw badRequest('Provider accounts need an existing ProviderId');
+  }
+
+  const normalizedEmail = Email.trim().toLowerCase();
+  if (await storage.users.findByEmail(normalizedEmail)) {
+    throw new ApiError(409, 'EMAIL_IN_USE', 'Email already in use');
+  }
+
+  const created = await storage.users.insert({
+    email: normalizedEmail,
+    password_hash: await bcrypt.hash(Password, 10),
+    role: Role,
+    patient_id: Role === 'patient' ? PatientId : null,
+    provider_id: Role === 'provider' ? ProviderId : null,
+    organization_id: req.tenantId
+  });
+  res.status(201).json(serializeUser(created));
+});
+
+
+/**
+ * @swagger
+ * /users/{id}:
+ *   delete:
+ *     summary: Delete a user
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: User ID
+ *     responses:
+ *       204:
+ *         description: User deleted successfully
+ *       400:
+ *         description: Admins cannot delete their own account
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: User not found
+ */
+
+// --- Delete User ---
+app.delete('/users/:id', authorize('admin'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (id === req.user.id) {
+    throw badRequest('Admins cannot delete their own account');
+  }
+  if (!(await storage.users.delete(id, { tenantId: req.tenantId }))) {
+    throw notFound('User not found');
+  }
+  res.status(204).end();
+});
+
+
+/**
+ * @swagger
+ * tags:
+ *   name: Organizations
+ *   description: >
+ *     Tenants and their locations. Every patient, provider, appointment and user belongs to one
+ *     organization and is invisible to the others. Platform admins (users without an organization)
+ *     create organizations and work in one at a time by sending X-Organization-Id.
+ * components:
+ *   schemas:
+ *     Organization:
+ *       type: object
+ *       properties:
+ *         OrganizationId:
+ *           type: integer
+ *           example: 1
+ *         Name:
+ *           type: string
+ *           example: Riverside Clinic
+ *         CreatedAt:
+ *           type: string
+ *           format: date-time
+ *     Location:
+ *       type: object
+ *       properties:
+ *         LocationId:
+ *           type: integer
+ *           example: 2
+ *         OrganizationId:
+ *           type: integer
+ *           example: 1
+ *         Name:
+ *           type: string
+ *           example: Riverside North
+ *         Address:
+ *           type: string
+ *           nullable: true
+ *           example: 12 Harbour Road, Springfield
+ *         CreatedAt:
+ *           type: string
+ *           format: date-time
+ *     LocationInput:
+ *       type: object
+ *       required:
+ *         - Name
+ *       properties:
+ *         Name:
+ *           type: string
+ *           pattern: '\S'
+ *           example: Riverside North
+ *         Address:
+ *           type: string
+ *           nullable: true
+ *           example: 12 Harbour Road, Springfield
+ */
+
+/**
+ * @swagger
+ * /organizations:
+ *   get:
+ *     summary: Get all organizations
+ *     description: Platform admins only.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of organizations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Organization'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     summary: Create an organization
+ *     description: >
+ *       Platform admins only. Create its first admin afterwards with POST /users and
+ *       X-Organization-Id set to the new organization.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Name
+ *             properties:
+ *               Name:
+ *                 type: string
+ *                 pattern: '\S'
+ *                 example: Riverside Clinic
+ *     responses:
+ *       201:
+ *         description: Organization created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Organization'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+app.get('/organizations', authorizePlatformAdmin, async (req, res) => {
+  const rows = await storage.organizations.list();
+  res.json(rows.map(serializeOrganization));
+});
+
+app.post('/organizations', authorizePlatformAdmin, async (req, res) => {
+  const created = await storage.organizations.insert({ name: req.body.Name.trim() });
+  res.status(201).json(serializeOrganization(created));
+});
+
+
+/**
+ * @swagger
+ * /locations:
+ *   get:
+ *     summary: Get the organization's locations
+ *     tags: [Organizations]
+ *     responses:
+ *       200:
+ *         description: List of locations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Location'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   post:
+ *     summary: Add a location to the organization
+ *     tags: [Organizations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LocationInput'
+ *     responses:
+ *       201:
+ *         description: Location created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Location'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+app.get('/locations', authorize(...ROLES), async (req, res) => {
+  const rows = await storage.locations.list(req.tenantId);
+  res.json(rows.map(serializeLocation));
+});
+
+app.post('/locations', authorize('admin'), async (req, res) => {
+  const { Name, Address } = req.body;
+  const created = await storage.locations.insert({ organization_id: req.tenantId, name: Name.trim(), address: Address || null });
+  res.status(201).json(serializeLocation(created));
+});
+
+
+/**
+ * @swagger
+ * /locations/{id}:
+ *   put:
+ *     summary: Update a location
+ *     tags: [Organizations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Location ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LocationInput'
+ *     responses:
+ *       200:
+ *         description: Location updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Location'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Location not found
+ *   delete:
+ *     summary: Delete a location
+ *     tags: [Organizations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Location ID
+ *     responses:
+ *       204:
+ *         description: Location deleted
+ *       404:
+ *         description: Location not found
+ *       409:
+ *         description: Providers still work at this location
+ */
+
+app.put('/locations/:id', authorize('admin'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { Name, Address } = req.body;
+  const updated = await storage.locations.update(id, { name: Name.trim(), address: Address || null }, { tenantId: req.tenantId });
+  if (!updated) throw notFound('Location not found');
+  res.json(serializeLocation(updated));
+});
+
+// Providers still pointing at the location make the delete fail with RECORD_IN_USE
+app.delete('/locations/:id', authorize('admin'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!(await storage.locations.delete(id, { tenantId: req.tenantId }))) throw notFound('Location not found');
+  res.status(204).end();
+});
+
+
+/**
+ * @swagger
+ * tags:
+ *   name: Patients
+ *   description: API to manage patients
+ * components:
+ *   schemas:
+ *     Patient:
+ *       allOf:
+ *         - type: object
+ *           properties:
+ *             PatientId:
+ *               type: integer
+ *               example: 1
+ *             Name:
+ *               type: string
+ *               description: Display name; FirstName and LastName joined unless set explicitly
+ *               example: John Doe
+ *             Contact:
+ *               type: string
+ *               nullable: true
+ *               description: Free-text contact, kept for records without Email or Phone
+ *               example: "+1234567890"
+ *             DeletedAt:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *               description: Set while the patient is deleted; see POST /patients/{id}/restore
+ *         - $ref: '#/components/schemas/PatientDetails'
+ *     PatientDetails:
+ *       type: object
+ *       properties:
+ *         FirstName:
+ *           type: string
+ *           nullable: true
+ *           pattern: '\S'
+ *           maxLength: 100
+ *           example: John
+ *         LastName:
+ *           type: string
+ *           nullable: true
+ *           pattern: '\S'
+ *           maxLength: 100
+ *           example: Doe
+ *         DateOfBirth:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           example: "1980-04-12"
+ *         Sex:
+ *           type: string
+ *           enum: [female, male, other, unknown]
+ *           nullable: true
+ *         Email:
+ *           type: string
+ *           format: email
+ *           nullable: true
+ *           maxLength: 255
+ *           example: john.doe@example.com
+ *         Phone:
+ *           $ref: '#/components/schemas/PhoneNumber'
+ *         Address:
+ *           type: object
+ *           nullable: true
+ *           additionalProperties: false
+ *           properties:
+ *             Line1:
+ *               type: string
+ *               nullable: true
+ *               maxLength: 255
+ *             Line2:
+ *               type: string
+ *               nullable: true
+ *               maxLength: 255
+ *             City:
+ *               type: string
+ *               nullable: true
+ *               maxLength: 100
+ *             Region:
+ *               type: string
+ *               nullable: true
+ *               maxLength: 100
+ *             PostalCode:
+ *               type: string
+ *               nullable: true
+ *               maxLength: 20
+ *             Country:
+ *               type: string
+ *               nullable: true
+ *               pattern: '^[A-Z]{2}$'
+ *               description: ISO 3166-1 alpha-2 code
+ *               example: US
+ *         EmergencyContact:
+ *           type: object
+ *           nullable: true
+ *           additionalProperties: false
+ *           properties:
+ *             Name:
+ *               type: string
+ *               nullable: true
+ *               maxLength: 255
+ *             Phone:
+ *               $ref: '#/components/schemas/PhoneNumber'
+ *             Relationship:
+ *               type: string
+ *               nullable: true
+ *               maxLength: 100
+ *               example: Spouse
+ *         Mrn:
+ *           type: string
+ *           nullable: true
+ *           maxLength: 64
+ *           description: Medical record number from an external system; unique
+ *           example: MRN-004211
+ *     PhoneNumber:
+ *       type: string
+ *       nullable: true
+ *       pattern: '^\+[1-9]\d{1,14}$'
+ *       description: E.164 format
+ *       example: "+14155550123"
+ *     PatientInput:
+ *       description: >
+ *         Either name or both FirstName and LastName are required. Omitted fields are
+ *         cleared on update.
+ *       allOf:
+ *         - type: object
+ *           properties:
+ *             name:
+ *               type: string
+ *               pattern: '\S'
+ *               description: Display name; defaults to FirstName LastName
+ *               example: John Doe
+ *             contact:
+ *               type: string
+ *               nullable: true
+ *               description: Free-text contact
+ *           anyOf:
+ *             - required: [name]
+ *             - required: [FirstName, LastName]
+ *         - $ref: '#/components/schemas/PatientDetails'
+ *     DuplicateCandidate:
+ *       type: object
+ *       properties:
+ *         Patient:
+ *           $ref: '#/components/schemas/Patient'
+ *         Score:
+ *           type: number
+ *           description: 0 to 1; higher is more likely the same person
+ *           example: 0.92
+ *         MatchedOn:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [name, dateOfBirth, phone, email, mrn]
+ *   parameters:
+ *     includeDeleted:
+ *       in: query
+ *       name: includeDeleted
+ *       schema:
+ *         type: boolean
+ *         default: false
+ *       description: Also return deleted patients (staff only)
+ */
+
+/**
+ * @swagger
+ * /patients:
+ *   get:
+ *     summary: List patients
+ *     tags: [Patients]
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Matches name, contact, email, phone or MRN (substring)
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Substring match on name
+ *       - in: query
+ *         name: contact
+ *         schema:
+ *           type: string
+ *         description: Substring match on contact
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: name,-id
+ *         description: "Comma-separated fields, prefix with - for descending. Allowed: id, name"
+ *       - $ref: '#/components/parameters/includeDeleted'
+ *     responses:
+ *       200:
+ *         description: A page of patients
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Patient'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameter
+ */
+
+
+const PATIENT_SORT_FIELDS = { id: 'id', name: 'name' };
+
+// Only staff may look at deleted patients
+const includeDeletedPatients = (req) =>
+  req.query.includeDeleted === 'true' && STAFF_ROLES.includes(req.user.role);
+
+app.get('/patients', authorize(...STAFF_ROLES, 'provider'), async (req, res) => {
+  const { limit, offset, error: pageError } = parsePagination(req.query);
+  if (pageError) throw badRequest(pageError);
+  const { orderBy, error: sortError } = parseSort(req.query.sort, PATIENT_SORT_FIELDS, 'id ASC');
+  if (sortError) throw badRequest(sortError);
+
+  const { rows, total } = await storage.patients.list({
+    tenantId: req.tenantId,
+    includeDeleted: includeDeletedPatients(req),
+    q: req.query.q,
+    name: req.query.name,
+    contact: req.query.contact,
+    orderBy,
+    limit,
+    offset
+  });
+  res.json({ data: rows.map(serializePatient), pagination: { total, limit, offset } });
+});
+
+
+/**
+ * @swagger
+ * /patients:
+ *   post:
+ *     summary: Create a new patient
+ *     description: Check GET /patients/duplicates first to avoid registering the same person twice.
+ *     tags: [Patients]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PatientInput'
+ *     responses:
+ *       201:
+ *         description: Patient created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Patient'
+ *       400:
+ *         description: Invalid input
+ *       409:
+ *         description: Another patient already has this MRN
+ */
+
+app.post('/patients', authorize(...STAFF_ROLES), async (req, res) => {
+  const patient = await savePatient(null, { ...patientColumns(req.body), organization_id: req.tenantId });
+  await auditChange(null, req, 'patient', 'create', null, patient);
+  res.status(201).json(serializePatient(patient));
+});
+
+
+/**
+ * @swagger
+ * /patients/duplicates:
+ *   get:
+ *     summary: Find likely duplicates of a person before registering them
+ *     description: >
+ *       Candidates share a date of birth, phone, email or MRN, or have a last name that
+ *       sounds alike, and are scored on name similarity, date of birth and contact details.
+ *       At least one of name, lastName, dateOfBirth, phone, email or mrn is required.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Full name, in any order
+ *       - in: query
+ *         name: firstName
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: lastName
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dateOfBirth
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: phone
+ *         schema:
+ *           $ref: '#/components/schemas/PhoneNumber'
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: mrn
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Candidates, most likely first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DuplicateCandidate'
+ *       400:
+ *         description: No search criteria
+ */
+
+// Registered before GET /patients/:id, which would otherwise take "duplicates" as the id
+app.get('/patients/duplicates', authorize(...STAFF_ROLES), async (req, res) => {
+  const { name, firstName, lastName, dateOfBirth, phone, email, mrn } = req.query;
+  if (!name && !lastName && !dateOfBirth && !phone && !email && !mrn) {
+    throw badRequest('Give at least one of name, lastName, dateOfBirth, phone, email or mrn');
+  }
+  const probe = {
+    name: name || [firstName, lastName].filter(Boolean).join(' '),
+    last_name: lastName || null,
+    date_of_birth: dateOfBirth || null,
+    phone: phone || null,
+    email: email || null,
+    mrn: mrn || null
+  };
+  res.json(await findDuplicateCandidates(probe, req.tenantId));
+});
+
+
+/**
+ * @swagger
+ * /patients/{id}:
+ *   get:
+ *     summary: Get a patient by ID
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: Patient ID
+ *       - $ref: '#/components/parameters/includeDeleted'
+ *     responses:
+ *       200:
+ *         description: Patient details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Patient'
+ *       404:
+ *         description: Patient not found
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+
+// --- Get Patient by ID ---
+app.get('/patients/:id', authorize(...ROLES), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!canAccessPatient(req.user, id)) {
+    throw forbidden();
+  }
+
+  const patient = await storage.patients.findById(id, {
+    tenantId: req.tenantId,
+    includeDeleted: includeDeletedPatients(req)
+  });
+  if (!patient) {
+    throw notFound('Patient not found');
+  }
+
+  res.json(serializePatient(patient));
+});
+
+
+/**
+ * @swagger
+ * /patients/{id}:
+ *   put:
+ *     summary: Update a patient by ID
+ *     description: Replaces the whole record; omitted fields are cleared. Patients cannot change their own Mrn.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: Patient ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PatientInput'
+ *     responses:
+ *       200:
+ *         description: Patient updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Patient'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Patient not found
+ *       409:
+ *         description: Another patient already has this MRN
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+
+//--- Update Patient ---
+app.put('/patients/:id', authorize(...STAFF_ROLES, 'patient'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+
+  if (!canAccessPatient(req.user, id)) {
+    throw forbidden();
+  }
+
+  const before = await storage.patients.findById(id, { tenantId: req.tenantId });
+  if (!before) {
+    throw notFound('Patient not found');
+  }
+
+  const columns = patientColumns(req.body);
+  if (req.user.role === 'patient') columns.mrn = before.mrn;
+  const patient = await savePatient(null, columns, id);
+  await auditChange(null, req, 'patient', 'update', before, patient);
+
+  res.json(serializePatient(patient));
+});
+
+
+/**
+ * @swagger
+ * /patients/{id}:
+ *   delete:
+ *     summary: Delete a patient by ID
+ *     description: >
+ *       Soft delete: the patient is hidden from listings and can be brought back with
+ *       POST /patients/{id}/restore. The appointments parameter decides what happens to
+ *       their upcoming (scheduled or confirmed) appointments.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: Patient ID
+ *       - in: query
+ *         name: appointments
+ *         schema:
+ *           type: string
+ *           enum: [block, cancel-future, archive]
+ *           default: block
+ *         description: >
+ *           block refuses while upcoming appointments exist; cancel-future cancels them;
+ *           archive hides all the patient's appointments and frees their slots
+ *     responses:
+ *       204:
+ *         description: Patient deleted successfully
+ *       404:
+ *         description: Patient not found
+ *       409:
+ *         description: Blocked by upcoming appointments, listed in error.details.appointmentIds
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+
+// --- Delete Patient ---
+app.delete('/patients/:id', authorize('admin'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const policy = req.query.appointments || 'block';
+
+  await storage.withTransaction(async (conn) => {
+    const patient = await storage.patients.findById(id, { tenantId: req.tenantId, forUpdate: true, db: conn });
+    if (!patient) {
+      throw notFound('Patient not found');
+    }
+
+    const upcoming = await storage.appointments.findAll(
+      { patientId: id, statuses: ['scheduled', 'confirmed'], archived: false, upcoming: true },
+      { forUpdate: true, db: conn }
+    );
+    if (policy === 'block' && upcoming.length > 0) {
+      throw new ApiError(409, 'PATIENT_HAS_APPOINTMENTS',
+        'Patient has upcoming appointments; cancel them first or delete with appointments=cancel-future or archive',
+        { appointmentIds: upcoming.map((appt) => appt.id) });
+    }
+
+    let affected = [];
+    if (policy === 'cancel-future' && upcoming.length > 0) {
+      affected = upcoming;
+      await storage.appointments.updateMany(upcoming.map((appt) => appt.id), {
+        status: 'cancelled', cancelled_at: storage.now(), cancellation_reason: 'Patient record deleted'
+      }, { bumpSequence: true, db: conn });
+    } else if (policy === 'archive') {
+      affected = await storage.appointments.findAll({ patientId: id, archived: false }, { forUpdate: true, db: conn });
+      await storage.appointments.updateMany(affected.map((appt) => appt.id), { archived_at: storage.now() },
+        { bumpSequence: true, db: conn });
+    }
+    if (affected.length > 0) {
+      await cancelReminders(conn, affected.map((appt) => appt.id));
+      const action = policy === 'archive' ? 'archive' : 'cancel';
+      for (const appt of affected) {
+        await auditChange(conn, req, 'appointment', action, appt, await fetchAppointment(appt.id, conn));
+      }
+    }
+
+    const deleted = await storage.patients.update(id, { deleted_at: storage.now() }, { db: conn });
+    await auditChange(conn, req, 'patient', 'delete', patient, deleted);
+
+    // Drop off the waitlist; held and freed slots go to the next patients
+    for (const entry of await storage.waitlistEntries.findAll({ patientId: id, status: 'waiting' }, { db: conn })) {
+      await storage.waitlistEntries.update(entry.id, { status: 'cancelled' }, { status: 'waiting', db: conn });
+    }
+    const holds = await storage.slotHolds.findAll({ patientId: id, status: 'held' }, { forUpdate: true, db: conn });
+    for (const hold of holds) {
+      await releaseHold(conn, hold, 'released', 'cancelled');
+    }
+    for (const appt of affected) {
+      await offerFreedSlot(appt, conn);
+    }
+  });
+
+  res.status(204).end();
+});
+
+
+/**
+ * @swagger
+ * /patients/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted patient
+ *     description: >
+ *       Also un-archives the patient's archived appointments. An upcoming one whose slot
+ *       was booked in the meantime is cancelled instead and listed in CancelledAppointmentIds.
+ *       Appointments cancelled by the delete stay cancelled.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: Patient ID
+ *     responses:
+ *       200:
+ *         description: Patient restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 Patient:
+ *                   $ref: '#/components/schemas/Patient'
+ *                 RestoredAppointmentIds:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *                 CancelledAppointmentIds:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *       404:
+ *         description: Patient not found
+ *       409:
+ *         description: Patient is not deleted
+ */
+
+app.post('/patients/:id/restore', authorize('admin'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+
+  const { restored, archived, cancelled } = await storage.withTransaction(async (conn) => {
+    const patient = await storage.patients.findById(id, {
+      tenantId: req.tenantId, includeDeleted: true, forUpdate: true, db: conn
+    });
+    if (!patient) {
+      throw notFound('Patient not found');
+    }
+    if (!patient.deleted_at) {
+      throw new ApiError(409, 'PATIENT_NOT_DELETED', 'Patient is not deleted');
+    }
+
+    const restoredPatient = await storage.patients.update(id, { deleted_at: null }, { db: conn });
+    await auditChange(conn, req, 'patient', 'restore', patient, restoredPatient);
+
+    const archivedAppointments = await storage.appointments.findAll(
+      { patientId: id, archived: true },
+      { forUpdate: true, db: conn }
+    );
+    const cancelledIds = [];
+    for (const appt of archivedAppointments) {
+      await storage.appointments.update(appt.id, { archived_at: null }, { bumpSequence: true, db: conn });
+      const upcoming = ['scheduled', 'confirmed'].includes(appt.status) && appt.starts_at >= new Date();
+      if (upcoming) {
+        const conflicts = await findConflictingAppointments(
+          id, appt.provider_id, appt.starts_at, appt.duration_minutes, appt.id, conn
+        );
+        if (conflicts.length > 0) {
+          await storage.appointments.update(appt.id, {
+            status: 'cancelled',
+            cancelled_at: storage.now(),
+            cancellation_reason: 'Time slot was booked while the patient was deleted'
+          }, { db: conn });
+          cancelledIds.push(appt.id);
+        } else {
+          await scheduleReminders(conn, appt.id);
+        }
+      }
+      await auditChange(conn, req, 'appointment', 'restore', appt, await fetchAppointment(appt.id, conn));
+    }
+    return { restored: restoredPatient, archived: archivedAppointments, cancelled: cancelledIds };
+  });
+
+  res.json({
+    Patient: serializePatient(restored),
+    RestoredAppointmentIds: archived.map((appt) => appt.id).filter((apptId) => !cancelled.includes(apptId)),
+    CancelledAppointmentIds: cancelled
+  });
+});
+
+
+/**
+ * @swagger
+ * /patients/{id}/duplicates:
+ *   get:
+ *     summary: Find likely duplicates of an existing patient
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: Patient ID
+ *     responses:
+ *       200:
+ *         description: Candidates, most likely first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DuplicateCandidate'
+ *       404:
+ *         description: Patient not found
+ */
+
+app.get('/patients/:id/duplicates', authorize(...STAFF_ROLES), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const patient = await storage.patients.findById(id, { tenantId: req.tenantId });
+  if (!patient) {
+    throw notFound('Patient not found');
+  }
+  res.json(await findDuplicateCandidates(patient, req.tenantId, id));
+});
+
+
+/**
+ * @swagger
+ * /patients/{id}/merge:
+ *   post:
+ *     summary: Merge a duplicate record into this patient
+ *     description: >
+ *       Moves the duplicate's appointments, series, waitlist entries and login account onto this patient,
+ *       fills this patient's empty fields from the duplicate, revokes the duplicate's
+ *       calendar feeds and deletes it. All or nothing.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: ID of the patient that is kept
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - DuplicateId
+ *             properties:
+ *               DuplicateId:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: ID of the patient that is merged and removed
+ *     responses:
+ *       200:
+ *         description: Patients merged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 Patient:
+ *                   $ref: '#/components/schemas/Patient'
+ *                 MergedPatientId:
+ *                   type: integer
+ *                 MovedAppointmentIds:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *       400:
+ *         description: A patient cannot be merged into itself
+ *       404:
+ *         description: Patient or duplicate not found
+ */
+
+app.post('/patients/:id/merge', authorize('admin'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { DuplicateId } = req.body;
+  if (DuplicateId === id) {
+    throw badRequest('A patient cannot be merged into itself');
+  }
+
+  const { merged, moved } = await storage.withTransaction(async (conn) => {
+    await storage.patients.lock([id, DuplicateId].sort((a, b) => a - b), { db: conn });
+    const find = (patientId) => storage.patients.findById(patientId, { tenantId: req.tenantId, includeDeleted: true, db: conn });
+    const survivor = await find(id);
+    const duplicate = await find(DuplicateId);
+    if (!survivor || survivor.deleted_at) throw notFound('Patient not found');
+    if (!duplicate) throw notFound('Duplicate patient not found');
+
+    const movedAppointments = await storage.appointments.findAll({ patientId: DuplicateId }, { forUpdate: true, db: conn });
+    await storage.patients.moveRecords(DuplicateId, id, { db: conn });
+    // Deleted before filling in so a copied MRN does not collide with itself
+    await storage.patients.delete(DuplicateId, { db: conn });
+
+    const filled = Object.fromEntries(Object.keys(patientColumns({}))
+      .filter((column) => survivor[column] === null && duplicate[column] !== null)
+      .map((column) => [column, duplicate[column]]));
+    const mergedPatient = Object.keys(filled).length > 0 ? await savePatient(conn, filled, id) : survivor;
+
+    for (const appt of movedAppointments) {
+      await auditChange(conn, req, 'appointment', 'merge', appt, await fetchAppointment(appt.id, conn));
+    }
+    await auditChange(conn, req, 'patient', 'merge', survivor, mergedPatient);
+    await auditChange(conn, req, 'patient', 'merge', duplicate, null);
+    return { merged: mergedPatient, moved: movedAppointments };
+  });
+
+  res.json({
+    Patient: serializePatient(merged),
+    MergedPatientId: DuplicateId,
+    MovedAppointmentIds: moved.map((appt) => appt.id)
+  });
+});
+
+
+/**
+ * @swagger
+ * tags:
+ *   name: Providers
+ *   description: API to manage providers (doctors and other practitioners)
+ * components:
+ *   schemas:
+ *     Provider:
+ *       type: object
+ *       properties:
+ *         ProviderId:
+ *           type: integer
+ *           example: 1
+ *         Name:
+ *           type: string
+ *           example: Dr. Sarah Khan
+ *         Specialty:
+ *           type: string
+ *           example: Physiotherapy
+ *         Contact:
+ *           type: string
+ *           example: "+1234567890"
+ *         DefaultDurationMinutes:
+ *           type: integer
+ *           nullable: true
+ *           example: 45
+ *         TimeZone:
+ *           type: string
+ *           description: IANA zone the provider's working hours and appointment times are in; the clinic's zone (CLINIC_TIME_ZONE) unless set
+ *           example: Europe/Berlin
+ *         LocationId:
+ *           type: integer
+ *           nullable: true
+ *           description: The organization's location the provider works at
+ *           example: 2
+ */
+
+/**
+ * @swagger
+ * /providers:
+ *   get:
+ *     summary: Get all providers
+ *     tags: [Providers]
+ *     parameters:
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only providers working at this location
+ *     responses:
+ *       200:
+ *         description: List of providers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Provider'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+
+app.get('/providers', authorize(...ROLES), async (req, res) => {
+  const rows = await storage.providers.list({
+    tenantId: req.tenantId, locationId: req.query.locationId ? Number(req.query.locationId) : null
+  });
+  res.json(rows.map(serializeProvider));
+});
+
+
+/**
+ * @swagger
+ * /providers:
+ *   post:
+ *     summary: Create a new provider
+ *     tags: [Providers]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Name
+ *             properties:
+ *               Name:
+ *                 type: string
+ *                 pattern: '\S'
+ *                 example: Dr. Sarah Khan
+ *               Specialty:
+ *                 type: string
+ *                 nullable: true
+ *                 example: Physiotherapy
+ *               Contact:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "+1234567890"
+ *               DefaultDurationMinutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1440
+ *                 nullable: true
+ *                 description: Appointment length used when a booking does not specify one
+ *                 example: 45
+ *               TimeZone:
+ *                 type: string
+ *                 nullable: true
+ *                 description: IANA time zone; leave out to use the clinic's zone
+ *                 example: Europe/Berlin
+ *               LocationId:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 example: 2
+ *     responses:
+ *       201:
+ *         description: Provider created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Provider'
+ *       400:
+ *         description: Invalid input
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+
+// --- Create Provider ---
+app.post('/providers', authorize('admin'), async (req, res) => {
+  const { Name, Specialty, Contact, DefaultDurationMinutes, TimeZone, LocationId } = req.body;
+  assertTimeZone(TimeZone, 'TimeZone');
+  await assertLocation(LocationId, req.tenantId);
+
+  const created = await storage.providers.insert({
+    ...providerColumns(req.body),
+    organization_id: req.tenantId
+  });
+  res.status(201).json(serializeProvider(created));
+});
+
+
+/**
+ * @swagger
+ * /providers/{id}:
+ *   get:
+ *     summary: Get a provider by ID
+ *     tags: [Providers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: Provider ID
+ *     responses:
+ *       200:
+ *         description: Provider details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Provider'
+ *       400:
+ *         description: Invalid ProviderId
+ *       404:
+ *         description: Provider not found
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+
+// --- Get Provider by ID ---
+app.get('/providers/:id', authorize(...ROLES), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const provider = await storage.providers.findById(id, { tenantId: req.tenantId });
+
+  if (!provider) {
+    throw notFound('Provider not found');
+  }
+
+  res.json(serializeProvider(provider));
+});
+
+
+/**
+ * @swagger
+ * /providers/{id}:
+ *   put:
+ *     summary: Update a provider by ID
+ *     tags: [Providers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: Provider ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Name
+ *             properties:
+ *               Name:
+ *                 type: string
+ *                 pattern: '\S'
+ *                 example: Dr. Sarah Khan
+ *               Specialty:
+ *                 type: string
+ *                 nullable: true
+ *                 example: Cardiology
+ *               Contact:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "+9876543210"
+ *               DefaultDurationMinutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1440
+ *                 nullable: true
+ *                 example: 30
+ *               TimeZone:
+ *                 type: string
+ *                 nullable: true
+ *                 description: >
+ *                   IANA time zone; leave out to use the clinic's zone. Existing appointments
+ *                   keep their time and zone.
+ *                 example: Europe/Berlin
+ *               LocationId:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 example: 2
+ *     responses:
+ *       200:
+ *         description: Provider updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Provider'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Provider not found
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+
+// --- Update Provider ---
+app.put('/providers/:id', authorize('admin'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const { Name, Specialty, Contact, DefaultDurationMinutes, TimeZone, LocationId } = req.body;
+  assertTimeZone(TimeZone, 'TimeZone');
+  await assertLocation(LocationId, req.tenantId);
+
+  const updated = await storage.providers.update(id, providerColumns(req.body), { tenantId: req.tenantId });
+
+  if (!updated) {
+    throw notFound('Provider not found');
+  }
+
+  res.json(serializeProvider(updated));
+});
+
+
+/**
+ * @swagger
+ * /providers/{id}:
+ *   delete:
+ *     summary: Delete a provider by ID
+ *     tags: [Providers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: Provider ID
+ *     responses:
+ *       204:
+ *         description: Provider deleted successfully
+ *       404:
+ *         description: Provider not found
+ *       409:
+ *         description: Provider still has appointments
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+
+// --- Delete Provider ---
+app.delete('/providers/:id', authorize('admin'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!(await ensureProviderExists(id, req.tenantId))) {
+    throw notFound('Provider not found');
+  }
+  if (await storage.appointments.count({ providerId: id }) > 0) {
+    throw new ApiError(409, 'PROVIDER_HAS_APPOINTMENTS', 'Provider still has appointments');
+  }
+
+  if (!(await storage.providers.delete(id))) {
+    throw notFound('Provider not found');
+  }
+
+  res.status(204).end();
+});
+
+
+/**
+ * @swagger
+ * tags:
+ *   name: Schedules
+ *   description: Provider working hours, breaks, closures and free-slot availability
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WeeklyInterval:
+ *       type: object
+ *       required:
+ *         - Weekday
+ *         - StartTime
+ *         - EndTime
+ *       properties:
+ *         Weekday:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 6
+ *           description: 0 = Sunday ... 6 = Saturday
+ *           example: 1
+ *         StartTime:
+ *           type: string
+ *           format: HH:MM
+ *           example: "09:00"
+ *         EndTime:
+ *           type: string
+ *           format: HH:MM
+ *           example: "17:00"
+ *     Break:
+ *       allOf:
+ *         - $ref: '#/components/schemas/WeeklyInterval'
+ *         - type: object
+ *           properties:
+ *             BreakId:
+ *               type: integer
+ *             ProviderId:
+ *               type: integer
+ *             Label:
+ *               type: string
+ *               example: Lunch
+ *     Closure:
+ *       type: object
+ *       properties:
+ *         ClosureId:
+ *           type: integer
+ *         ProviderId:
+ *           type: integer
+ *           nullable: true
+ *           description: Null for clinic-wide closures
+ *         Date:
+ *           type: string
+ *           format: date
+ *         StartTime:
+ *           type: string
+ *           nullable: true
+ *         EndTime:
+ *           type: string
+ *           nullable: true
+ *         Reason:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /providers/{id}/working-hours:
+ *   get:
+ *     summary: Get a provider's weekly working-hour template
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: Provider ID
+ *     responses:
+ *       200:
+ *         description: Weekly working hours
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WeeklyInterval'
+ *       404:
+ *         description: Provider not found
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ *   put:
+ *     summary: Replace a provider's weekly working-hour template
+ *     description: A weekday may have several intervals (split shifts). Weekdays left out are days off.
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: Provider ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/WeeklyInterval'
+ *     responses:
+ *       200:
+ *         description: Working hours updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/WeeklyInterval'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Provider not found
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+
+// --- Get Working Hours ---
+app.get('/providers/:id/working-hours', authorize(...ROLES), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!(await ensureProviderExists(id, req.tenantId))) {
+    throw notFound('Provider not found');
+  }
+
+  const rows = await storage.workingHours.list(id);
+  res.json(rows.map(serializeWorkingHours));
+});
+
+// --- Replace Working Hours ---
+app.put('/providers/:id/working-hours', authorize('admin', 'provider'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!canAccessProvider(req.user, id)) {
+    throw forbidden();
+  }
+  const hours = req.body;
+  for (const interval of hours) {
+    const error = validateWeeklyInterval(interval);
+    if (error) throw badRequest(error);
+  }
+
+  if (!(await ensureProviderExists(id, req.tenantId))) {
+    throw notFound('Provider not found');
+  }
+
+  await storage.withTransaction((conn) => storage.workingHours.replace(
+    id,
+    hours.map(({ Weekday, StartTime, EndTime }) => ({ weekday: Weekday, start_time: StartTime, end_time: EndTime })),
+    { db: conn }
+  ));
+
+  res.json(hours.map(({ Weekday, StartTime, EndTime }) => ({ Weekday, StartTime, EndTime })));
+});
+
+
+/**
+ * @swagger
+ * /providers/{id}/breaks:
+ *   get:
+ *     summary: Get a provider's recurring weekly breaks
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: Provider ID
+ *     responses:
+ *       200:
+ *         description: List of breaks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Break'
+ *       404:
+ *         description: Provider not found
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ *   post:
+ *     summary: Add a recurring weekly break for a provider
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: Provider ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/WeeklyInterval'
+ *               - type: object
+ *                 properties:
+ *                   Label:
+ *                     type: string
+ *                     nullable: true
+ *                     example: Lunch
+ *     responses:
+ *       201:
+ *         description: Break created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Break'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Provider not found
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+
+// --- Get Breaks ---
+app.get('/providers/:id/breaks', authorize(...ROLES), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!(await ensureProviderExists(id, req.tenantId))) {
+    throw notFound('Provider not found');
+  }
+
+  const rows = await storage.breaks.list(id);
+  res.json(rows.map(serializeBreak));
+});
+
+// --- Create Break ---
+app.post('/providers/:id/breaks', authorize('admin', 'provider'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!canAccessProvider(req.user, id)) {
+    throw forbidden();
+  }
+  const { Weekday, StartTime, EndTime, Label } = req.body;
+  const error = validateWeeklyInterval({ StartTime, EndTime });
+  if (error) throw badRequest(error);
+
+  if (!(await ensureProviderExists(id, req.tenantId))) {
+    throw notFound('Provider not found');
+  }
+
+  const created = await storage.breaks.insert({
+    provider_id: id, weekday: Weekday, start_time: StartTime, end_time: EndTime, label: Label || null
+  });
+  res.status(201).json(serializeBreak(created));
+});
+
+
+/**
+ * @swagger
+ * /providers/{id}/breaks/{breakId}:
+ *   delete:
+ *     summary: Delete a provider's break
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: Provider ID
+ *       - in: path
+ *         name: breakId
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: Break ID
+ *     responses:
+ *       204:
+ *         description: Break deleted successfully
+ *       404:
+ *         description: Break not found
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+
+// --- Delete Break ---
+app.delete('/providers/:id/breaks/:breakId', authorize('admin', 'provider'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const breakId = parseInt(req.params.breakId, 10);
+  if (!canAccessProvider(req.user, id)) {
+    throw forbidden();
+  }
+  if (!(await ensureProviderExists(id, req.tenantId))) {
+    throw notFound('Break not found');
+  }
+  if (!(await storage.breaks.delete(breakId, { providerId: id }))) {
+    throw notFound('Break not found');
+  }
+  res.status(204).end();
+});
+
+
+/**
+ * @swagger
+ * /closures:
+ *   get:
+ *     summary: Get one-off closures such as holidays
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: query
+ *         name: providerId
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only closures affecting this provider (including clinic-wide ones)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: List of closures
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Closure'
+ *       400:
+ *         description: Invalid input
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ *   post:
+ *     summary: Create a one-off closure
+ *     description: Omit ProviderId to close the whole clinic, omit the times to close the whole day.
+ *     tags: [Schedules]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Date
+ *             properties:
+ *               ProviderId:
+ *                 type: integer
+ *                 minimum: 1
+ *                 nullable: true
+ *                 example: 2
+ *               Date:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-12-25"
+ *               StartTime:
+ *                 type: string
+ *                 format: HH:MM
+ *                 nullable: true
+ *                 example: "13:00"
+ *               EndTime:
+ *                 type: string
+ *                 format: HH:MM
+ *                 nullable: true
+ *                 example: "17:00"
+ *               Reason:
+ *                 type: string
+ *                 nullable: true
+ *                 example: Christmas Day
+ *     responses:
+ *       201:
+ *         description: Closure created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Closure'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Provider not found
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+
+// --- Get Closures ---
+app.get('/closures', authorize(...ROLES), async (req, res) => {
+  const { providerId, from, to } = req.query;
+  const rows = await storage.closures.list({
+    tenantId: req.tenantId,
+    providerId: providerId === undefined ? undefined : parseInt(providerId, 10),
+    from,
+    to
+  });
+  res.json(rows.map(serializeClosure));
+});
+
+// --- Create Closure ---
+app.post('/closures', authorize(...STAFF_ROLES), async (req, res) => {
+  const { ProviderId, Date: date, StartTime, EndTime, Reason } = req.body;
+  if (Boolean(StartTime) !== Boolean(EndTime)) {
+    throw badRequest('StartTime and EndTime must be given together');
+  }
+  if (StartTime && toMinutes(StartTime) >= toMinutes(EndTime)) {
+    throw badRequest('StartTime must be before EndTime');
+  }
+  if (ProviderId && !(await ensureProviderExists(ProviderId, req.tenantId))) {
+    throw notFound('Provider not found');
+  }
+
+  const created = await storage.closures.insert({
+    provider_id: ProviderId || null,
+    closure_date: date,
+    start_time: StartTime || null,
+    end_time: EndTime || null,
+    reason: Reason || null,
+    organization_id: req.tenantId
+  });
+  res.status(201).json(serializeClosure(created));
+});
+
+
+/**
+ * @swagger
+ * /closures/{id}:
+ *   delete:
+ *     summary: Delete a closure
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         required: true
+ *         description: Closure ID
+ *     responses:
+ *       204:
+ *         description: Closure deleted successfully
+ *       404:
+ *         description: Closure not found
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+
+// --- Delete Closure ---
+app.delete('/closures/:id', authorize(...STAFF_ROLES), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!(await storage.closures.delete(id, { tenantId: req.tenantId }))) {
+    throw notFound('Closure not found');
+  }
+  res.status(204).end();
+});
+
+
+// Slots of `slotMinutes` within the provider's open hours between two dates
+// that no appointment overlaps, as { date, time, startsAt }. `zone` is the
+// provider's time zone.
+async function findFreeSlots(providerId, from, to, slotMinutes, zone) {
+  const schedule = await loadProviderSchedule(providerId, from, to);
+  // Start a day early so appointments running past midnight are subtracted too
+  const appointments = await storage.appointments.findAll({
+    providerId,
+    dateFrom: addDays(from, -1),
+    dateTo: to,
+    statuses: APPOINTMENT_STATUSES.filter((status) => status !== 'cancelled'),
+    archived: false
+  });
+
+  const slots = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const dayStart = Date.parse(`${date}T00:00:00Z`);
+    const booked = appointments.map((a) => {
+      const start = (Date.parse(`${a.appointment_date}T00:00:00Z`) - dayStart) / 60000 + toMinutes(a.appointment_time);
+      return [start, start + a.duration_minutes];
+    });
+
+    for (const [start, end] of subtractIntervals(openIntervalsFor(schedule, date), booked)) {
+      for (let t = start; t + slotMinutes <= end; t += slotMinutes) {
+        // Wall-clock starts skipped by a DST change are not offered; repeated
+        // ones are offered once, at their first occurrence
+        const { instant } = resolveLocalTime(date, fromMinutes(t), zone, 'earlier');
+        if (toLocal(instant, zone).time !== fromMinutes(t)) continue;
+        slots.push({ date, time: fromMinutes(t), startsAt: instant });
+      }
+    }
+  }
+  return slots;
+}
+
+const serializeSlot = (slot, slotMinutes, timeZone) => ({
+  Date: slot.date,
+  StartTime: slot.time,
+  EndTime: fromMinutes(toMinutes(slot.time) + slotMinutes),
+  StartsAt: formatInstant(slot.startsAt, timeZone),
+  EndsAt: formatInstant(new Date(slot.startsAt.getTime() + slotMinutes * 60000), timeZone)
+});
+
+
+/**
+ * @swagger
+ * /availability:
+ *   get:
+ *     summary: Get bookable slots for a provider
+ *     description: >
+ *       Working hours minus breaks, closures and existing appointments, cut into slots of slotMinutes.
+ *       Slots starting at a local time skipped by a daylight saving change are left out.
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: query
+ *         name: providerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-08-18"
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-08-22"
+ *       - in: query
+ *         name: slotMinutes
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1440
+ *           example: 30
+ *         description: Defaults to the provider's default duration
+ *       - $ref: '#/components/parameters/timeZone'
+ *     responses:
+ *       200:
+ *         description: Free slots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ProviderId:
+ *                   type: integer
+ *                   example: 2
+ *                 TimeZone:
+ *                   type: string
+ *                   description: The provider's zone, which Date, StartTime and EndTime are in
+ *                   example: Europe/Berlin
+ *                 SlotMinutes:
+ *                   type: integer
+ *                   example: 30
+ *                 Slots:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       Date:
+ *                         type: string
+ *                         format: date
+ *                         example: "2025-08-18"
+ *                       StartTime:
+ *                         type: string
+ *                         example: "09:00"
+ *                       EndTime:
+ *                         type: string
+ *                         example: "09:30"
+ *                       StartsAt:
+ *                         type: string
+ *                         format: date-time
+ *                         example: "2025-08-18T09:00:00+02:00"
+ *                       EndsAt:
+ *                         type: string
+ *                         format: date-time
+ *                         example: "2025-08-18T09:30:00+02:00"
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Provider not found
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+
+// --- Availability ---
+app.get('/availability', authorize(...ROLES), async (req, res) => {
+  const providerId = parseInt(req.query.providerId, 10);
+  const { from, to } = req.query;
+  if (from > to) {
+    throw badRequest('from must not be after to');
+  }
+  if (addDays(from, MAX_AVAILABILITY_DAYS - 1) < to) {
+    throw badRequest(`Range must not exceed ${MAX_AVAILABILITY_DAYS} days`);
+  }
+  if (!(await ensureProviderExists(providerId, req.tenantId))) {
+    throw notFound('Provider not found');
+  }
+
+  const slotMinutes = req.query.slotMinutes !== undefined
+    ? Number(req.query.slotMinutes)
+    : await resolveDuration(undefined, null, providerId);
+
+  const zone = await providerTimeZone(providerId);
+  const slots = (await findFreeSlots(providerId, from, to, slotMinutes, zone))
+    .map((slot) => serializeSlot(slot, slotMinutes, req.timeZone || zone));
+
+  res.json({ ProviderId: providerId, TimeZone: zone, SlotMinutes: slotMinutes, Slots: slots });
+});
+
+
+/**
+ * @swagger
+ * tags:
+ *   name: Calendar
+ *   description: iCalendar (.ics) export and subscribable calendar feeds
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CalendarToken:
+ *       type: object
+ *       properties:
+ *         TokenId:
+ *           type: integer
+ *         OwnerType:
+ *           type: string
+ *           enum: [patient, provider]
+ *         OwnerId:
+ *           type: integer
+ *         Label:
+ *           type: string
+ *           nullable: true
+ *           example: Google Calendar
+ *         CreatedAt:
+ *           type: string
+ *           format: date-time
+ *         RevokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *   responses:
+ *     Calendar:
+ *       description: iCalendar document
+ *       content:
+ *         text/calendar:
+ *           schema:
+ *             type: string
+ */
+
+// --- Calendar export ---
+// Feeds cover appointments from CALENDAR_FEED_PAST_DAYS ago onwards, including
+// cancelled ones so subscribed clients drop them (STATUS:CANCELLED).
+const CALENDAR_FEED_PAST_DAYS = 90;
+
+// `find` reads the owner a feed is served for, which must not be deleted
+const CALENDAR_OWNERS = {
+  patients: {
+    type: 'patient', roles: [...STAFF_ROLES, 'patient'], filter: 'patientId',
+    canAccess: canAccessPatient, exists: ensurePatientExists, find: (id) => storage.patients.findById(id)
+  },
+  providers: {
+    type: 'provider', roles: [...STAFF_ROLES, 'provider'], filter: 'providerId',
+    canAccess: canAccessProvider, exists: ensureProviderExists, find: (id) => storage.providers.findById(id)
+  }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+function sendCalendar(res, filename, body) {
+  res.type('text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.send(body);
+}
+
+
+/**
+ * @swagger
+ * /appointments/{id}.ics:
+ *   get:
+ *     summary: Download a single appointment as an iCalendar event
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Appointment ID
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Calendar'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Appointment not found
+ */
+
+// Registered before GET /appointments/:id, which would otherwise take "5.ics" as the id
+app.get('/appointments/:id.ics', authorize(...ROLES), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const rows = await storage.appointments.findAllWithNames({ ids: [id], tenantId: req.tenantId });
+  if (rows.length === 0) throw notFound('Appointment not found');
+  if (!canAccessAppointment(req.user, rows[0])) throw forbidden();
+  sendCalendar(res, `appointment-${id}.ics`, buildCalendar('Appointment', rows));
+});
+
+
+/**
+ * @swagger
+ * /patients/{id}/calendar.ics:
+ *   get:
+ *     summary: Subscribable calendar feed of a patient's appointments
+ *     description: Authenticated by the feed token in the URL, since calendar clients cannot send a bearer token.
+ *     tags: [Calendar]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Patient ID
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Feed token from POST /patients/{id}/calendar-tokens
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Calendar'
+ *       401:
+ *         description: Unknown or revoked feed token
+ *       404:
+ *         description: Patient not found or deleted
+ * /providers/{id}/calendar.ics:
+ *   get:
+ *     summary: Subscribable calendar feed of a provider's appointments
+ *     description: Authenticated by the feed token in the URL, since calendar clients cannot send a bearer token.
+ *     tags: [Calendar]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Provider ID
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Feed token from POST /providers/{id}/calendar-tokens
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/Calendar'
+ *       401:
+ *         description: Unknown or revoked feed token
+ * /patients/{id}/calendar-tokens:
+ *   get:
+ *     summary: List a patient's calendar feed tokens
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Patient ID
+ *     responses:
+ *       200:
+ *         description: Tokens, without their secret values
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CalendarToken'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     summary: Create a calendar feed token for a patient
+ *     description: The token and feed URL are only returned once; store them in the calendar client.
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Patient ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               Label:
+ *                 type: string
+ *                 description: Where the feed is used, to tell tokens apart when revoking
+ *                 example: Google Calendar
+ *     responses:
+ *       201:
+ *         $ref: '#/components/responses/CalendarTokenCreated'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Patient not found
+ * /providers/{id}/calendar-tokens:
+ *   get:
+ *     summary: List a provider's calendar feed tokens
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Provider ID
+ *     responses:
+ *       200:
+ *         description: Tokens, without their secret values
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CalendarToken'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   post:
+ *     summary: Create a calendar feed token for a provider
+ *     description: The token and feed URL are only returned once; store them in the calendar client.
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Provider ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               Label:
+ *                 type: string
+ *                 description: Where the feed is used, to tell tokens apart when revoking
+ *                 example: Google Calendar
+ *     responses:
+ *       201:
+ *         $ref: '#/components/responses/CalendarTokenCreated'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Provider not found
+ * components:
+ *   responses:
+ *     CalendarTokenCreated:
+ *       description: Token created
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CalendarToken'
+ *               - type: object
+ *                 properties:
+ *                   Token:
+ *                     type: string
+ *                   FeedUrl:
+ *                     type: string
+ *                     example: https://appointments-management-api.vercel.app/patients/1/calendar.ics?token=...
+ */
+
+for (const [resource, owner] of Object.entries(CALENDAR_OWNERS)) {
+  app.get(`/${resource}/:id/calendar.ics`, validateRequest, async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    const token = await storage.calendarTokens.findActive({
+      tokenHash: hashToken(String(req.query.token)), ownerType: owner.type, ownerId: id
+    });
+    if (!token) {
+      throw new ApiError(401, 'INVALID_FEED_TOKEN', 'Unknown or revoked feed token');
+    }
+
+    // Tokens outlive a soft delete so a restore brings the feed back, but
+    // nothing is served while the owner is deleted
+    const record = await owner.find(id);
+    if (!record) {
+      throw notFound(`${owner.type === 'patient' ? 'Patient' : 'Provider'} not found`);
+    }
+    const rows = await storage.appointments.findAllWithNames({
+      [owner.filter]: id,
+      startsFrom: new Date(Date.now() - CALENDAR_FEED_PAST_DAYS * 24 * 60 * 60000),
+      archived: false
+    });
+    sendCalendar(res, `${owner.type}-${id}.ics`, buildCalendar(`Appointments - ${record.name}`, rows));
+  });
+
+  app.get(`/${resource}/:id/calendar-tokens`, authorize(...owner.roles), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (!owner.canAccess(req.user, id)) throw forbidden();
+    if (!(await owner.exists(id, req.tenantId))) {
+      throw notFound(`${owner.type === 'patient' ? 'Patient' : 'Provider'} not found`);
+    }
+    const rows = await storage.calendarTokens.listByOwner(owner.type, id);
+    res.json(rows.map(serializeCalendarToken));
+  });
+
+  app.post(`/${resource}/:id/calendar-tokens`, authorize(...owner.roles), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (!owner.canAccess(req.user, id)) throw forbidden();
+    if (!(await owner.exists(id, req.tenantId))) {
+      throw notFound(`${owner.type === 'patient' ? 'Patient' : 'Provider'} not found`);
+    }
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const { Label } = req.body || {};
+    const created = await storage.calendarTokens.insert({
+      owner_type: owner.type, owner_id: id, token_hash: hashToken(token), label: Label || null, created_by: req.user.id
+    });
+    res.status(201).json({
+      ...serializeCalendarToken(created),
+      Token: token,
+      FeedUrl: `${req.protocol}://${req.get('host')}/${resource}/${id}/calendar.ics?token=${token}`
+    });
+  });
+}
+
+
+/**
+ * @swagger
+ * /calendar-tokens/{id}:
+ *   delete:
+ *     summary: Revoke a calendar feed token
+ *     description: Subscribed clients stop receiving updates immediately.
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Token ID
+ *     responses:
+ *       204:
+ *         description: Token revoked
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Token not found
+ */
+
+app.delete('/calendar-tokens/:id', authorize(...ROLES), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const token = await storage.calendarTokens.findById(id);
+  const owner = token && Object.values(CALENDAR_OWNERS).find((o) => o.type === token.owner_type);
+  if (!owner || !(await owner.exists(token.owner_id, req.tenantId))) throw notFound('Token not found');
+  const canRevoke = token.owner_type === 'patient'
+    ? req.user.role !== 'provider' && canAccessPatient(req.user, token.owner_id)
+    : req.user.role !== 'patient' && canAccessProvider(req.user, token.owner_id);
+  if (!canRevoke) throw forbidden();
+
+  await storage.calendarTokens.revoke(id);
+  res.status(204).end();
+});
+
+
+/**
+ * @swagger
+ * tags:
+ *   name: Appointments
+ *   description: API to manage appointments
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Appointment:
+ *       type: object
+ *       properties:
+ *         AppointmentId:
+ *           type: integer
+ *           minimum: 1
+ *           example: 1
+ *         PatientId:
+ *           type: integer
+ *           minimum: 1
+ *           example: 10
+ *         ProviderId:
+ *           type: integer
+ *           minimum: 1
+ *           example: 2
+ *         AppointmentDate:
+ *           type: string
+ *           format: date
+ *           description: Date in TimeZone
+ *           example: "2025-08-19"
+ *         AppointmentTime:
+ *           type: string
+ *           format: HH:MM
+ *           description: Wall-clock time in TimeZone
+ *           example: "14:30"
+ *         TimeZone:
+ *           type: string
+ *           description: The provider's IANA zone when the appointment was booked
+ *           example: Europe/Berlin
+ *         StartsAt:
+ *           type: string
+ *           format: date-time
+ *           description: Start with UTC offset, in the zone requested with ?timeZone= or else TimeZone
+ *           example: "2025-08-19T14:30:00+02:00"
+ *         EndsAt:
+ *           type: string
+ *           format: date-time
+ *           example: "2025-08-19T15:00:00+02:00"
+ *         DurationMinutes:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1440
+ *           example: 30
+ *         Reason:
+ *           type: string
+ *           pattern: '\S'
+ *           example: "Routine checkup"
+ *         Status:
+ *           type: string
+ *           enum: [scheduled, confirmed, checked_in, completed, cancelled, no_show]
+ *           example: confirmed
+ *         CancellationReason:
+ *           type: string
+ *           nullable: true
+ *         ConfirmedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         CheckedInAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         CompletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         CancelledAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         NoShowAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         SeriesId:
+ *           type: integer
+ *           nullable: true
+ *           description: Set when the appointment is an occurrence of a recurring series
+ *         ArchivedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Set when the patient was deleted with appointments=archive; archived appointments are hidden from listings and free their slot
+ *         CreatedAt:
+ *           type: string
+ *           format: date-time
+ *     SlotConflict:
+ *       type: object
+ *       properties:
+ *         error:
+ *           type: object
+ *           properties:
+ *             code:
+ *               type: string
+ *               example: SLOT_CONFLICT
+ *             message:
+ *               type: string
+ *               example: This time slot overlaps another appointment of this patient or provider
+ *             details:
+ *               type: object
+ *               properties:
+ *                 conflictingAppointmentIds:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *                   example: [12, 15]
+ */
+
+
+/**
+ * @swagger
+ * /appointments:
+ *   get:
+ *     summary: List appointments
+ *     description: Patients and providers only see their own appointments.
+ *     tags: [Appointments]
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - in: query
+ *         name: patientId
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: providerId
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive lower bound on AppointmentDate
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive upper bound on AppointmentDate
+ *       - $ref: '#/components/parameters/timeZone'
+ *       - in: query
+ *         name: timeFrom
+ *         schema:
+ *           type: string
+ *           format: HH:MM
+ *           example: "09:00"
+ *         description: Inclusive lower bound on AppointmentTime (HH:MM)
+ *       - in: query
+ *         name: timeTo
+ *         schema:
+ *           type: string
+ *           format: HH:MM
+ *           example: "12:00"
+ *         description: Inclusive upper bound on AppointmentTime (HH:MM)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           example: scheduled,confirmed
+ *         description: One or more comma-separated statuses
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *         description: Substring match on Reason
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also return appointments archived along with a deleted patient
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: date,time
+ *         description: "Comma-separated fields, prefix with - for descending. Allowed: id, date, time, startsAt, patientId, providerId, status, createdAt. Defaults to startsAt"
+ *     responses:
+ *       200:
+ *         description: A page of appointments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Appointment'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameter
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+
+
+const APPOINTMENT_SORT_FIELDS = {
+  id: 'id',
+  date: 'appointment_date',
+  time: 'appointment_time',
+  startsAt: 'starts_at',
+  patientId: 'patient_id',
+  providerId: 'provider_id',
+  status: 'status',
+  createdAt: 'created_at'
+};
+
+app.get('/appointments', authorize(...ROLES), async (req, res) => {
+  const { limit, offset, error: pageError } = parsePagination(req.query);
+  if (pageError) throw badRequest(pageError);
+  const { orderBy, error: sortError } = parseSort(
+    req.query.sort, APPOINTMENT_SORT_FIELDS, 'starts_at ASC'
+  );
+  if (sortError) throw badRequest(sortError);
+
+  const { patientId, providerId, dateFrom, dateTo, timeFrom, timeTo, status, reason } = req.query;
+  const statuses = status === undefined ? null : String(status).split(',');
+  if (statuses && statuses.some((st) => !APPOINTMENT_STATUSES.includes(st))) {
+    throw badRequest(`status must be one of ${APPOINTMENT_STATUSES.join(', ')}`);
+  }
+
+  const { rows, total } = await storage.appointments.list({
+    tenantId: req.tenantId,
+    scope: ownRecords(req.user),
+    includeArchived: req.query.includeArchived === 'true',
+    patientId: patientId === undefined ? undefined : Number(patientId),
+    providerId: providerId === undefined ? undefined : Number(providerId),
+    dateFrom,
+    dateTo,
+    timeFrom,
+    timeTo,
+    statuses,
+    reason,
+    orderBy,
+    limit,
+    offset
+  });
+  res.json({ data: rows.map((row) => serializeAppointment(row, req.timeZone)), pagination: { total, limit, offset } });
+});
+
+
+/**
+ * @swagger
+ * /appointments/stream:
+ *   get:
+ *     summary: Stream appointment changes as Server-Sent Events
+ *     description: >
+ *       Keeps the connection open and sends an event for every change to a matching
+ *       appointment, named like the webhook events (appointment.created, appointment.rescheduled,
+ *       appointment.cancelled, ...) with a WebhookPayload as data. DELETE /appointments/{id}
+ *       cancels, so it arrives as appointment.cancelled. A reschedule matches both the old and
+ *       the new date and provider. Patients and providers only get their own appointments.
+ *
+ *       Each event has an id; a client that reconnects with Last-Event-ID gets what it missed.
+ *       When that is no longer possible (too old, or more than 1000 events) the stream starts
+ *       with a "reset" event and the client should reload the list. Events can repeat after a
+ *       reconnect; each carries the whole appointment, so applying one twice is harmless.
+ *       A comment line is sent every SSE_HEARTBEAT_SECONDS to keep proxies from closing the connection.
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only appointments on this day (the provider's local date)
+ *       - in: query
+ *         name: providerId
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: patientId
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: ID of the last event received, to resume after a disconnect
+ *     responses:
+ *       200:
+ *         description: An open event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "id: 1042\nevent: appointment.rescheduled\ndata: {\"Event\":\"appointment.rescheduled\",...}\n\n"
+ *       400:
+ *         description: Invalid query parameter or Last-Event-ID
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+const SSE_HEARTBEAT_SECONDS = parseInt(process.env.SSE_HEARTBEAT_SECONDS, 10) || 15;
+const SSE_REPLAY_LIMIT = 1000;
+
+// Registered before GET /appointments/:id, which would otherwise take "stream" as the id
+app.get('/appointments/stream', authorize(...ROLES), async (req, res) => {
+  const header = req.get('Last-Event-ID');
+  const lastEventId = header === undefined ? null : Number(header);
+  if (header !== undefined && !(Number.isInteger(lastEventId) && lastEventId >= 0)) {
+    throw badRequest('Last-Event-ID must be an event ID');
+  }
+
+  const own = ownRecords(req.user);
+  const filter = {
+    organizationId: req.tenantId,
+    date: req.query.date,
+    providerId: req.query.providerId === undefined ? undefined : Number(req.query.providerId),
+    patientId: req.query.patientId === undefined ? undefined : Number(req.query.patientId)
+  };
+  for (const key of ['providerId', 'patientId']) {
+    if (own[key] === undefined) continue;
+    if (filter[key] !== undefined && filter[key] !== own[key]) throw forbidden();
+    filter[key] = own[key];
+  }
+  const since = lastEventId === null ? await latestEventId() : lastEventId;
+
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stops nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${SSE_HEARTBEAT_SECONDS * 1000}\n\n`);
+  const send = (row) => res.write(`id: ${row.id}\nevent: ${row.event}\ndata: ${JSON.stringify(row.payload)}\n\n`);
+
+  // Live events wait in `pending` until the replay is out, then flow directly
+  let pending = [];
+  const replayed = new Set();
+  const unsubscribe = subscribe((row) => {
+    if (!matches(row, filter) || replayed.has(row.id)) return;
+    if (pending) pending.push(row);
+    else send(row);
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_SECONDS * 1000);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  const missed = await eventsSince(since, req.tenantId, SSE_REPLAY_LIMIT);
+  if (missed === null) {
+    res.write(`id: ${await latestEventId()}\nevent: reset\ndata: {}\n\n`);
+  } else {
+    for (const row of missed.filter((event) => matches(event, filter))) {
+      replayed.add(row.id);
+      send(row);
+    }
+  }
+  for (const row of pending.filter((event) => !replayed.has(event.id))) send(row);
+  pending = null;
+});
+
+
+
+/**
+ * @swagger
+ * /appointments:
+ *   post:
+ *     summary: Create a new appointment
+ *     description: >
+ *       The start is either StartsAt, an instant with a UTC offset, or AppointmentDate and
+ *       AppointmentTime read in TimeZone (by default the provider's zone). Concurrent bookings
+ *       of the same patient or provider are serialized, so only one of two overlapping requests
+ *       succeeds and the other gets 409 SLOT_CONFLICT.
+ *     tags: [Appointments]
+ *     parameters:
+ *       - $ref: '#/components/parameters/idempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - PatientId
+ *               - ProviderId
+ *               - Reason
+ *             anyOf:
+ *               - required: [StartsAt]
+ *               - required: [AppointmentDate, AppointmentTime]
+ *             properties:
+ *               PatientId:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: ID of the patient
+ *                 example: 1
+ *               ProviderId:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: ID of the provider seeing the patient
+ *                 example: 2
+ *               AppointmentDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Date of the appointment (YYYY-MM-DD)
+ *                 example: "2025-08-20"
+ *               AppointmentTime:
+ *                 type: string
+ *                 format: HH:MM
+ *                 description: Time of the appointment (HH:MM 24h format)
+ *                 example: "14:30"
+ *               TimeZone:
+ *                 type: string
+ *                 description: IANA zone AppointmentDate and AppointmentTime are in; defaults to the provider's
+ *                 example: America/New_York
+ *               Disambiguation:
+ *                 $ref: '#/components/schemas/Disambiguation'
+ *               StartsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start as ISO-8601 with an offset, instead of AppointmentDate and AppointmentTime
+ *                 example: "2025-08-20T14:30:00-04:00"
+ *               DurationMinutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1440
+ *                 description: Length of the appointment. Defaults per reason, then per provider, then clinic-wide.
+ *                 example: 45
+ *               Reason:
+ *                 type: string
+ *                 pattern: '\S'
+ *                 description: Reason for the appointment
+ *                 example: "Routine check-up"
+ *     responses:
+ *       201:
+ *         description: Appointment created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Patient or provider not found
+ *       409:
+ *         description: Time slot overlaps another appointment of the patient or the provider (SLOT_CONFLICT), or is held for another patient's waitlist offer (SLOT_HELD)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SlotConflict'
+ *       422:
+ *         description: >
+ *           Appointment falls outside the provider's working hours, on a break or during a closure
+ *           (OUTSIDE_WORKING_HOURS), or the local time is skipped or repeated by a daylight saving
+ *           change (NONEXISTENT_LOCAL_TIME, AMBIGUOUS_LOCAL_TIME)
+ */
+
+
+// --- Create Appointment ---
+app.post('/appointments', authorize(...STAFF_ROLES), async (req, res) => {
+  const { PatientId, ProviderId, DurationMinutes, Reason } = req.body;
+  assertOneStart(req.body);
+
+  if (!(await ensurePatientExists(PatientId, req.tenantId))) {
+    throw notFound('Patient not found');
+  }
+  if (!(await ensureProviderExists(ProviderId, req.tenantId))) {
+    throw notFound('Provider not found');
+  }
+  const zone = await providerTimeZone(ProviderId);
+  const { date, time, startsAt } = resolveStart(req.body, zone);
+  const duration = await resolveDuration(DurationMinutes, Reason, ProviderId);
+  const scheduleError = await checkWithinWorkingHours(ProviderId, date, time, duration);
+  if (scheduleError) {
+    throw new ApiError(422, 'OUTSIDE_WORKING_HOURS', scheduleError);
+  }
+
+  const created = await storage.withTransaction(async (conn) => {
+    await lockBookingParties(conn, PatientId, ProviderId);
+    await assertBookable(conn, PatientId, ProviderId, startsAt, duration);
+    const [starts, ends] = instantValues(startsAt, duration, zone);
+    const appt = await storage.appointments.insert({
+      patient_id: PatientId,
+      provider_id: ProviderId,
+      appointment_date: date,
+      appointment_time: time,
+      starts_at: starts,
+      ends_at: ends,
+      time_zone: zone,
+      duration_minutes: duration,
+      reason: Reason.trim(),
+      organization_id: req.tenantId
+    }, { db: conn });
+    await scheduleReminders(conn, appt.id);
+    await auditChange(conn, req, 'appointment', 'create', null, appt);
+    return appt;
+  });
+
+  res.status(201).json(serializeAppointment(created, req.timeZone));
+});
+
+
+/**
+ * @swagger
+ * /appointments/{id}:
+ *   get:
+ *     summary: Get an appointment by ID
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Appointment ID
+ *       - $ref: '#/components/parameters/timeZone'
+ *     responses:
+ *       200:
+ *         description: Appointment details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       404:
+ *         description: Appointment not found
+ */
+
+
+// --- Get Appointment ---
+app.get('/appointments/:id', authorize(...ROLES), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const appt = await fetchAppointment(id, null, req.tenantId);
+  if (!canAccessAppointment(req.user, appt)) throw forbidden();
+  res.json(serializeAppointment(appt, req.timeZone));
+});
+
+
+/**
+ * @swagger
+ * /appointments/{id}/reminders:
+ *   get:
+ *     summary: Get the reminders queued for an appointment
+ *     description: >
+ *       Reminders are queued at REMINDER_OFFSETS minutes before the appointment, to the
+ *       patient's contact (email or phone). Rescheduling replaces pending reminders;
+ *       cancelling, check-in, completion and no-show cancel them.
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Appointment ID
+ *     responses:
+ *       200:
+ *         description: Reminders, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   ReminderId:
+ *                     type: integer
+ *                   AppointmentId:
+ *                     type: integer
+ *                   Channel:
+ *                     type: string
+ *                     enum: [email, sms]
+ *                   Recipient:
+ *                     type: string
+ *                   OffsetMinutes:
+ *                     type: integer
+ *                     example: 1440
+ *                   SendAt:
+ *                     type: string
+ *                     format: date-time
+ *                   Status:
+ *                     type: string
+ *                     enum: [pending, sent, failed, cancelled]
+ *                   Attempts:
+ *                     type: integer
+ *                   LastError:
+ *                     type: string
+ *                     nullable: true
+ *                   SentAt:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Appointment not found
+ */
+
+app.get('/appointments/:id/reminders', authorize(...ROLES), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const appt = await fetchAppointment(id, null, req.tenantId);
+  if (!canAccessAppointment(req.user, appt)) throw forbidden();
+  const rows = await storage.notifications.listByAppointment(id);
+  res.json(rows.map(serializeReminder));
+});
+
+
+/**
+ * @swagger
+ * /appointments/{id}:
+ *   put:
+ *     summary: Update an appointment by ID
+ *     description: >
+ *       Without AppointmentDate, AppointmentTime or StartsAt the appointment keeps its start
+ *       instant, also when it moves to a provider in another zone. TimeZone and Disambiguation
+ *       need AppointmentDate or AppointmentTime.
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Appointment ID
+ *       - $ref: '#/components/parameters/idempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ProviderId
+ *             properties:
+ *               ProviderId:
+ *                 type: integer
+ *                 minimum: 1
+ *                 example: 2
+ *               AppointmentDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2025-08-20
+ *               AppointmentTime:
+ *                 type: string
+ *                 format: HH:MM
+ *                 example: "14:30"
+ *               TimeZone:
+ *                 type: string
+ *                 description: IANA zone AppointmentDate and AppointmentTime are in; defaults to the provider's
+ *               Disambiguation:
+ *                 $ref: '#/components/schemas/Disambiguation'
+ *               StartsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: New start with an offset, instead of AppointmentDate and AppointmentTime
+ *               DurationMinutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1440
+ *                 example: 60
+ *               Reason:
+ *                 type: string
+ *                 pattern: '\S'
+ *                 example: "Updated reason"
+ *     responses:
+ *       200:
+ *         description: Appointment updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Appointment or provider not found
+ *       409:
+ *         description: >
+ *           Time slot overlaps another appointment of the patient or the provider, the appointment is
+ *           already completed, cancelled or a no-show, or another request changed it meanwhile
+ *           (CONCURRENT_UPDATE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SlotConflict'
+ *       422:
+ *         description: >
+ *           Appointment falls outside the provider's working hours, on a break or during a closure
+ *           (OUTSIDE_WORKING_HOURS), or the local time is skipped or repeated by a daylight saving
+ *           change (NONEXISTENT_LOCAL_TIME, AMBIGUOUS_LOCAL_TIME)
+ */
+
+
+//--- Update Appointment ---
+app.put('/appointments/:id', authorize(...STAFF_ROLES), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const appt = await fetchAppointment(id, null, req.tenantId);
+  if (FINAL_STATUSES.includes(appt.status)) {
+    throw new ApiError(409, 'INVALID_STATUS_TRANSITION', `Cannot update an appointment that is ${appt.status}`);
+  }
+
+  const { ProviderId, AppointmentDate, AppointmentTime, DurationMinutes, Reason } = req.body;
+  assertOneStart(req.body);
+  if ((req.body.TimeZone || req.body.Disambiguation) && !AppointmentDate && !AppointmentTime) {
+    throw badRequest('TimeZone and Disambiguation apply to AppointmentDate and AppointmentTime; give at least one of them');
+  }
+
+  const newDuration = DurationMinutes || appt.duration_minutes;
+  const newReason = (typeof Reason === 'string' && Reason.trim()) || appt.reason;
+
+  if (!(await ensureProviderExists(ProviderId, req.tenantId))) {
+    throw notFound('Provider not found');
+  }
+  // Without new date or time fields the appointment keeps its instant; a
+  // partial local date/time is completed from its current wall-clock time
+  const zone = await providerTimeZone(ProviderId);
+  const { date: newDate, time: newTime, startsAt } = resolveStart(
+    AppointmentDate || AppointmentTime
+      ? {
+        ...req.body,
+        AppointmentDate: AppointmentDate || appt.appointment_date,
+        AppointmentTime: AppointmentTime || formatTime(appt.appointment_time)
+      }
+      : { StartsAt: req.body.StartsAt || appt.starts_at },
+    zone
+  );
+  const scheduleError = await checkWithinWorkingHours(ProviderId, newDate, newTime, newDuration);
+  if (scheduleError) {
+    throw new ApiError(422, 'OUTSIDE_WORKING_HOURS', scheduleError);
+  }
+
+  const updated = await storage.withTransaction(async (conn) => {
+    // The old provider too: its freed slot is offered in this transaction
+    await lockBookingParties(conn, appt.patient_id, [appt.provider_id, ProviderId]);
+    // Re-read under a lock; a concurrent update or cancel may have won
+    const current = await storage.appointments.findById(id, { forUpdate: true, db: conn });
+    if (current.sequence !== appt.sequence || FINAL_STATUSES.includes(current.status)) {
+      throw new ApiError(409, 'CONCURRENT_UPDATE', 'The appointment was changed by another request; reload and try again');
+    }
+    await assertBookable(conn, appt.patient_id, ProviderId, startsAt, newDuration, id);
+
+    const [starts, ends] = instantValues(startsAt, newDuration, zone);
+    const row = await storage.appointments.update(id, {
+      provider_id: ProviderId,
+      appointment_date: newDate,
+      appointment_time: newTime,
+      starts_at: starts,
+      ends_at: ends,
+      time_zone: zone,
+      duration_minutes: newDuration,
+      reason: newReason
+    }, { bumpSequence: true, db: conn });
+    await scheduleReminders(conn, id);
+    await auditChange(conn, req, 'appointment', 'update', appt, row);
+    const moved = ['provider_id', 'starts_at', 'duration_minutes']
+      .some((column) => String(row[column]) !== String(appt[column]));
+    if (moved) await offerFreedSlot(appt, conn);
+    return row;
+  });
+
+  res.json(serializeAppointment(updated, req.timeZone));
+});
+
+
+/**
+ * @swagger
+ * /appointments/{id}:
+ *   delete:
+ *     summary: Cancel an appointment by ID
+ *     description: Appointments are never removed; this is the same as POST /appointments/{id}/cancel without a reason.
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Appointment ID
+ *     responses:
+ *       200:
+ *         description: Appointment cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: Appointment can no longer be cancelled
+ */
+
+
+// --- Delete (Cancel) Appointment ---
+app.delete('/appointments/:id', authorize(...STAFF_ROLES, 'patient'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  res.json(serializeAppointment(await transitionAppointment(req, id, 'cancel', null), req.timeZone));
+});
+
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *   responses:
+ *     InvalidTransition:
+ *       description: The appointment's current status does not allow this transition
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /appointments/{id}/confirm:
+ *   post:
+ *     summary: Confirm a scheduled appointment
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Appointment confirmed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         $ref: '#/components/responses/InvalidTransition'
+ * /appointments/{id}/check-in:
+ *   post:
+ *     summary: Check the patient in for an appointment
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Patient checked in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         $ref: '#/components/responses/InvalidTransition'
+ * /appointments/{id}/complete:
+ *   post:
+ *     summary: Mark a checked-in appointment as completed
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Appointment completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         $ref: '#/components/responses/InvalidTransition'
+ * /appointments/{id}/no-show:
+ *   post:
+ *     summary: Mark an appointment as a no-show
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Appointment marked as no-show
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         $ref: '#/components/responses/InvalidTransition'
+ * /appointments/{id}/cancel:
+ *   post:
+ *     summary: Cancel an appointment and free its slot
+ *     tags: [Appointments]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - Reason
+ *             properties:
+ *               Reason:
+ *                 type: string
+ *                 pattern: '\S'
+ *                 example: Patient is travelling
+ *     responses:
+ *       200:
+ *         description: Appointment cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       400:
+ *         description: Reason is required
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         $ref: '#/components/responses/InvalidTransition'
+ */
+
+// --- Appointment Status Transitions ---
+// Who may perform each transition; patients and providers only on their own appointments
+const TRANSITION_ROLES = {
+  confirm: [...STAFF_ROLES, 'patient'],
+  'check-in': [...STAFF_ROLES, 'provider'],
+  complete: [...STAFF_ROLES, 'provider'],
+  'no-show': [...STAFF_ROLES, 'provider'],
+  cancel: [...STAFF_ROLES, 'patient']
+};
+
+for (const [action, roles] of Object.entries(TRANSITION_ROLES)) {
+  app.post(`/appointments/:id/${action}`, authorize(...roles), async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    let reason = null;
+    if (action === 'cancel') {
+      reason = req.body.Reason.trim();
+    }
+    res.json(serializeAppointment(await transitionAppointment(req, id, action, reason), req.timeZone));
+  });
+}
+
+
+/**
+ * @swagger
+ * tags:
+ *   name: Appointment Series
+ *   description: Recurring appointments (weekly physio, dialysis, ...)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Series:
+ *       type: object
+ *       properties:
+ *         SeriesId:
+ *           type: integer
+ *         PatientId:
+ *           type: integer
+ *           minimum: 1
+ *         ProviderId:
+ *           type: integer
+ *           minimum: 1
+ *         Recurrence:
+ *           type: object
+ *           properties:
+ *             Frequency:
+ *               type: string
+ *               enum: [daily, weekly]
+ *             Interval:
+ *               type: integer
+ *             Until:
+ *               type: string
+ *               format: date
+ *               nullable: true
+ *             Count:
+ *               type: integer
+ *               nullable: true
+ *         StartDate:
+ *           type: string
+ *           format: date
+ *         AppointmentTime:
+ *           type: string
+ *           format: HH:MM
+ *         DurationMinutes:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1440
+ *         Reason:
+ *           type: string
+ *           pattern: '\S'
+ *         CancelledAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         Occurrences:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Appointment'
+ *     Recurrence:
+ *       oneOf:
+ *         - type: object
+ *           required:
+ *             - Frequency
+ *           properties:
+ *             Frequency:
+ *               type: string
+ *               enum: [daily, weekly]
+ *               example: weekly
+ *             Interval:
+ *               type: integer
+ *               description: Every N days (daily) or every N weeks (weekly)
+ *               example: 1
+ *             Until:
+ *               type: string
+ *               format: date
+ *               description: >
+ *                 Last possible occurrence date (inclusive), not before StartDate and allowing
+ *                 at most 200 occurrences. Mutually exclusive with Count.
+ *               example: "2025-12-19"
+ *             Count:
+ *               type: integer
+ *               description: Number of occurrences. Mutually exclusive with Until.
+ *               example: 12
+ *         - type: string
+ *           description: RRULE subset (FREQ, INTERVAL, COUNT, UNTIL)
+ *           example: "FREQ=WEEKLY;INTERVAL=1;COUNT=12"
+ *     SeriesClash:
+ *       type: object
+ *       properties:
+ *         AppointmentDate:
+ *           type: string
+ *           format: date
+ *         Reason:
+ *           type: string
+ *           enum: [conflict, outside_working_hours, held, nonexistent_time, ambiguous_time]
+ *           description: nonexistent_time and ambiguous_time are local times skipped or repeated by a daylight saving change
+ *         Message:
+ *           type: string
+ *         ConflictingAppointmentIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         SlotHoldIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *           description: Waitlist offers holding the slot for another patient
+ *     SeriesScope:
+ *       type: object
+ *       required:
+ *         - Scope
+ *       properties:
+ *         Scope:
+ *           type: string
+ *           enum: [this, following, all]
+ *           description: Which occurrences to change. "this" and "following" are relative to AppointmentId.
+ *         AppointmentId:
+ *           type: integer
+ *           minimum: 1
+ *           description: The occurrence the scope is anchored on (required unless Scope is "all")
+ *           example: 41
+ */
+
+/**
+ * @swagger
+ * /appointment-series:
+ *   post:
+ *     summary: Create a recurring appointment series
+ *     description: >
+ *       Every occurrence is checked individually. Occurrences that clash with other
+ *       appointments or fall outside working hours are skipped and reported; the rest are booked.
+ *       AppointmentTime is the provider's local time on every date, across daylight saving changes.
+ *     tags: [Appointment Series]
+ *     parameters:
+ *       - $ref: '#/components/parameters/idempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - PatientId
+ *               - ProviderId
+ *               - StartDate
+ *               - AppointmentTime
+ *               - Reason
+ *               - Recurrence
+ *             properties:
+ *               PatientId:
+ *                 type: integer
+ *                 minimum: 1
+ *                 example: 1
+ *               ProviderId:
+ *                 type: integer
+ *                 minimum: 1
+ *                 example: 2
+ *               StartDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-09-01"
+ *               AppointmentTime:
+ *                 type: string
+ *                 format: HH:MM
+ *                 example: "10:00"
+ *               DurationMinutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1440
+ *                 example: 45
+ *               Reason:
+ *                 type: string
+ *                 pattern: '\S'
+ *                 example: Physiotherapy
+ *               Recurrence:
+ *                 $ref: '#/components/schemas/Recurrence'
+ *               Disambiguation:
+ *                 $ref: '#/components/schemas/Disambiguation'
+ *     responses:
+ *       201:
+ *         description: Series created with its booked occurrences; clashing occurrences are listed in Skipped
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Series'
+ *                 - type: object
+ *                   properties:
+ *                     Skipped:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/SeriesClash'
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Patient or provider not found
+ *       409:
+ *         description: No occurrence could be booked; the clashes are in error.details.skipped
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// --- Create Appointment Series ---
+app.post('/appointment-series', authorize(...STAFF_ROLES), async (req, res) => {
+  const {
+    PatientId, ProviderId, StartDate, AppointmentTime, DurationMinutes, Reason, Recurrence, Disambiguation
+  } = req.body;
+  const { rule, error } = parseRecurrence(Recurrence, StartDate);
+  if (error) throw badRequest(error);
+
+  if (!(await ensurePatientExists(PatientId, req.tenantId))) {
+    throw notFound('Patient not found');
+  }
+  if (!(await ensureProviderExists(ProviderId, req.tenantId))) {
+    throw notFound('Provider not found');
+  }
+  const duration = await resolveDuration(DurationMinutes, Reason, ProviderId);
+  const zone = await providerTimeZone(ProviderId);
+
+  const skipped = [];
+  const created = [];
+  const series = await storage.withTransaction(async (conn) => {
+    await lockBookingParties(conn, PatientId, ProviderId);
+    const bookable = [];
+    for (const date of expandRecurrence(StartDate, rule)) {
+      const { clash, startsAt } = await checkOccurrence({
+        patientId: PatientId, providerId: ProviderId, date, time: AppointmentTime, duration,
+        timeZone: zone, disambiguation: Disambiguation, db: conn
+      });
+      if (clash) skipped.push(clash);
+      else bookable.push({ date, startsAt });
+    }
+    if (bookable.length === 0) {
+      throw new ApiError(409, 'SLOT_CONFLICT', 'No occurrence of this series can be booked', { skipped });
+    }
+
+    const row = await storage.series.insert({
+      patient_id: PatientId,
+      provider_id: ProviderId,
+      frequency: rule.frequency,
+      interval_count: rule.interval,
+      start_date: StartDate,
+      until_date: rule.until,
+      occurrence_count: rule.count,
+      appointment_time: AppointmentTime,
+      duration_minutes: duration,
+      reason: Reason.trim(),
+      organization_id: req.tenantId
+    }, { db: conn });
+    for (const { date, startsAt } of bookable) {
+      const [starts, ends] = instantValues(startsAt, duration, zone);
+      const appt = await storage.appointments.insert({
+        patient_id: PatientId,
+        provider_id: ProviderId,
+        appointment_date: date,
+        appointment_time: AppointmentTime,
+        starts_at: starts,
+        ends_at: ends,
+        time_zone: zone,
+        duration_minutes: duration,
+        reason: Reason.trim(),
+        series_id: row.id,
+        organization_id: req.tenantId
+      }, { db: conn });
+      created.push(appt);
+      await scheduleReminders(conn, appt.id);
+      await auditChange(conn, req, 'appointment', 'create', null, appt);
+    }
+    return row;
+  });
+
+  res.status(201).json({ ...serializeSeries(series, created, req.timeZone), Skipped: skipped });
+});
+
+
+/**
+ * @swagger
+ * /appointment-series/{id}:
+ *   get:
+ *     summary: Get a series and its occurrences
+ *     tags: [Appointment Series]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Series ID
+ *     responses:
+ *       200:
+ *         description: Series details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Series'
+ *       404:
+ *         description: Series not found
+ *   put:
+ *     summary: Edit occurrences of a series
+ *     description: >
+ *       Changes time, duration, provider or reason of the selected occurrences. Completed,
+ *       cancelled and no-show occurrences are left untouched. With "following" the series
+ *       is split so later edits apply to the new tail only. If any occurrence would clash,
+ *       nothing is changed and the clashes are returned.
+ *     tags: [Appointment Series]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Series ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SeriesScope'
+ *               - type: object
+ *                 properties:
+ *                   ProviderId:
+ *                     type: integer
+ *                     minimum: 1
+ *                   AppointmentTime:
+ *                     type: string
+ *                     format: HH:MM
+ *                     example: "11:00"
+ *                   Disambiguation:
+ *                     $ref: '#/components/schemas/Disambiguation'
+ *                   DurationMinutes:
+ *                     type: integer
+ *                     minimum: 1
+ *                     maximum: 1440
+ *                   Reason:
+ *                     type: string
+ *                     pattern: '\S'
+ *     responses:
+ *       200:
+ *         description: Occurrences updated
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Series, occurrence or provider not found
+ *       409:
+ *         description: >
+ *           At least one occurrence would clash; the clashes are in error.details.clashes. Or an
+ *           occurrence was changed by another request meanwhile (CONCURRENT_UPDATE).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+// --- Get Appointment Series ---
+app.get('/appointment-series/:id', authorize(...ROLES), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const series = await storage.series.findById(id, { tenantId: req.tenantId });
+  if (!series) throw notFound('Series not found');
+  if (!canAccessAppointment(req.user, series)) throw forbidden();
+
+  const occurrences = await storage.appointments.findAll({ seriesId: id }, { orderBy: 'appointment_date, id' });
+
+  res.json(serializeSeries(series, occurrences, req.timeZone));
+});
+
+// Resolves Scope/AppointmentId into the series row and the open occurrences
+// it covers.
+async function selectSeriesOccurrences(req) {
+  const id = parseInt(req.params.id, 10);
+  const { Scope, AppointmentId } = req.body;
+  if (Scope !== 'all' && !AppointmentId) {
+    throw badRequest('AppointmentId is required for this scope');
+  }
+
+  const series = await storage.series.findById(id, { tenantId: req.tenantId });
+  if (!series) throw notFound('Series not found');
+
+  let anchor = null;
+  if (Scope !== 'all') {
+    [anchor] = await storage.appointments.findAll({ ids: [AppointmentId], seriesId: id });
+    if (!anchor) throw notFound('Appointment is not part of this series');
+  }
+
+  const filter = {
+    this: { ids: [AppointmentId] },
+    following: { seriesId: id, dateFrom: anchor && anchor.appointment_date },
+    all: { seriesId: id }
+  }[Scope];
+  const occurrences = await storage.appointments.findAll(
+    { ...filter, statuses: ['scheduled', 'confirmed'] },
+    { orderBy: 'appointment_date, id' }
+  );
+
+  return { series, scope: Scope, anchor, occurrences };
+}
+
+// Re-reads `occurrences` locked on the transaction's connection. Another
+// request may have moved or closed one since selectSeriesOccurrences read it;
+// then nothing is changed (409), like PUT /appointments/:id.
+async function lockSeriesOccurrences(conn, occurrences) {
+  if (occurrences.length === 0) return [];
+  const current = await storage.appointments.findAll(
+    { ids: occurrences.map((occ) => occ.id) },
+    { forUpdate: true, orderBy: 'appointment_date, id', db: conn }
+  );
+  const changed = occurrences.some((occ) => {
+    const row = current.find((locked) => locked.id === occ.id);
+    return row.sequence !== occ.sequence || !['scheduled', 'confirmed'].includes(row.status);
+  });
+  if (changed) {
+    throw new ApiError(409, 'CONCURRENT_UPDATE', 'An occurrence was changed by another request; reload and try again');
+  }
+  return current;
+}
+
+// --- Edit Appointment Series ---
+app.put('/appointment-series/:id', authorize(...STAFF_ROLES), async (req, res) => {
+  const { ProviderId, AppointmentTime, DurationMinutes, Reason, Disambiguation } = req.body;
+
+  const { series, scope, anchor, occurrences } = await selectSeriesOccurrences(req);
+  if (ProviderId !== undefined && !(await ensureProviderExists(ProviderId, req.tenantId))) {
+    throw notFound('Provider not found');
+  }
+
+  const updated = await storage.withTransaction(async (conn) => {
+    await lockBookingParties(conn, series.patient_id, [...occurrences.map((occ) => occ.provider_id), ProviderId]);
+    const locked = await lockSeriesOccurrences(conn, occurrences);
+
+    const zones = {};
+    const changes = [];
+    for (const occ of locked) {
+      const providerId = ProviderId || occ.provider_id;
+      zones[providerId] = zones[providerId] || await providerTimeZone(providerId);
+      changes.push({
+        id: occ.id,
+        patientId: occ.patient_id,
+        providerId,
+        date: occ.appointment_date,
+        time: AppointmentTime || formatTime(occ.appointment_time),
+        duration: DurationMinutes || occ.duration_minutes,
+        reason: Reason !== undefined ? Reason.trim() : occ.reason,
+        timeZone: zones[providerId]
+      });
+    }
+
+    const clashes = [];
+    for (const change of changes) {
+      const { clash, startsAt } = await checkOccurrence({
+        ...change, disambiguation: Disambiguation, excludeId: change.id, db: conn
+      });
+      if (clash) clashes.push({ AppointmentId: change.id, ...clash });
+      change.startsAt = startsAt;
+    }
+    if (clashes.length > 0) {
+      throw new ApiError(409, 'SLOT_CONFLICT', 'Some occurrences would clash; nothing was changed', { clashes });
+    }
+
+    const settings = {
+      provider_id: ProviderId || series.provider_id,
+      appointment_time: AppointmentTime || series.appointment_time,
+      duration_minutes: DurationMinutes || series.duration_minutes,
+      reason: Reason !== undefined ? Reason.trim() : series.reason
+    };
+    let seriesId = series.id;
+    if (scope === 'following' && anchor.appointment_date > series.start_date) {
+      // Split: the original series ends the day before, the tail becomes a new series
+      const tailOccurrences = await storage.appointments.findAll(
+        { seriesId: series.id, dateFrom: anchor.appointment_date },
+        { orderBy: 'appointment_date, id', db: conn }
+      );
+      const tail = await storage.series.insert({
+        patient_id: series.patient_id,
+        frequency: series.frequency,
+        interval_count: series.interval_count,
+        start_date: anchor.appointment_date,
+        until_date: tailOccurrences[tailOccurrences.length - 1].appointment_date,
+        occurrence_count: null,
+        organization_id: series.organization_id,
+        ...settings
+      }, { db: conn });
+      await storage.series.update(series.id, {
+        until_date: addDays(anchor.appointment_date, -1), occurrence_count: null
+      }, { db: conn });
+      await storage.appointments.updateMany(tailOccurrences.map((occ) => occ.id), { series_id: tail.id }, { db: conn });
+      seriesId = tail.id;
+    } else if (scope !== 'this') {
+      await storage.series.update(series.id, settings, { db: conn });
+    }
+
+    for (const change of changes) {
+      const [starts, ends] = instantValues(change.startsAt, change.duration, change.timeZone);
+      await storage.appointments.update(change.id, {
+        provider_id: change.providerId,
+        appointment_time: change.time,
+        starts_at: starts,
+        ends_at: ends,
+        time_zone: change.timeZone,
+        duration_minutes: change.duration,
+        reason: change.reason
+      }, { bumpSequence: true, db: conn });
+      await scheduleReminders(conn, change.id);
+    }
+    for (const occ of locked) {
+      await auditChange(conn, req, 'appointment', 'update', occ, await fetchAppointment(occ.id, conn));
+    }
+    return { seriesId, changes };
+  });
+
+  res.json({
+    SeriesId: updated.seriesId,
+    UpdatedAppointmentIds: updated.changes.map((c) => c.id)
+  });
+});
+
+
+/**
+ * @swagger
+ * /appointment-series/{id}/cancel:
+ *   post:
+ *     summary: Cancel occurrences of a series
+ *     description: >
+ *       Cancels the scheduled or confirmed occurrences in scope and lists them in
+ *       CancelledAppointmentIds. "following" also ends the series the day before the anchor
+ *       occurrence; "all" marks the whole series cancelled.
+ *     tags: [Appointment Series]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Series ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/SeriesScope'
+ *               - type: object
+ *                 required:
+ *                   - Reason
+ *                 properties:
+ *                   Reason:
+ *                     type: string
+ *                     pattern: '\S'
+ *                     example: Treatment finished early
+ *     responses:
+ *       200:
+ *         description: Occurrences cancelled
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Series or occurrence not found
+ */
+
+// --- Cancel Appointment Series ---
+app.post('/appointment-series/:id/cancel', authorize(...STAFF_ROLES), async (req, res) => {
+  const { Reason } = req.body;
+
+  const { series, scope, anchor, occurrences } = await selectSeriesOccurrences(req);
+
+  const ids = await storage.withTransaction(async (conn) => {
+    // Re-read under a lock; occurrences another request closed meanwhile are
+    // left alone and not reported
+    const open = occurrences.length === 0 ? [] : await storage.appointments.findAll(
+      { ids: occurrences.map((occ) => occ.id), statuses: ['scheduled', 'confirmed'] },
+      { forUpdate: true, orderBy: 'appointment_date, id', db: conn }
+    );
+    const cancelled = open.map((occ) => occ.id);
+    if (cancelled.length > 0) {
+      await storage.appointments.updateMany(cancelled, {
+        status: 'cancelled', cancelled_at: storage.now(), cancellation_reason: Reason.trim()
+      }, { statuses: ['scheduled', 'confirmed'], bumpSequence: true, db: conn });
+      await cancelReminders(conn, cancelled);
+      for (const occ of open) {
+        await auditChange(conn, req, 'appointment', 'cancel', occ, await fetchAppointment(occ.id, conn));
+        await offerFreedSlot(occ, conn);
+      }
+    }
+    if (scope === 'following') {
+      await storage.series.update(series.id, {
+        until_date: addDays(anchor.appointment_date, -1), occurrence_count: null
+      }, { db: conn });
+    } else if (scope === 'all') {
+      await storage.series.update(series.id, { cancelled_at: storage.now() }, { db: conn });
+    }
+    return cancelled;
+  });
+
+  res.json({
+    SeriesId: series.id,
+    CancelledAppointmentIds: ids
+  });
+});
+
+
+// --- Waitlist ---
+/**
+ * @swagger
+ * tags:
+ *   name: Waitlist
+ *   description: >
+ *     Patients waiting for a slot. When an appointment is cancelled or moved,
+ *     its slot is held for the best matching entry (highest priority, then
+ *     longest waiting) for a limited time. Offers that are declined or expire
+ *     roll over to the next entry.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SlotHold:
+ *       type: object
+ *       properties:
+ *         SlotHoldId:
+ *           type: integer
+ *         PatientId:
+ *           type: integer
+ *         ProviderId:
+ *           type: integer
+ *         AppointmentDate:
+ *           type: string
+ *           format: date
+ *         AppointmentTime:
+ *           type: string
+ *           format: HH:MM
+ *           description: The provider's local time
+ *         StartsAt:
+ *           type: string
+ *           format: date-time
+ *         DurationMinutes:
+ *           type: integer
+ *         WaitlistEntryId:
+ *           type: integer
+ *           nullable: true
+ *           description: Null for holds placed in the patient portal
+ *         Reason:
+ *           type: string
+ *           nullable: true
+ *           description: Reason of the appointment a portal hold books
+ *         Status:
+ *           type: string
+ *           enum: [held, accepted, declined, expired, released]
+ *         ExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Until then nobody else can book the slot
+ *         AppointmentId:
+ *           type: integer
+ *           nullable: true
+ *           description: The appointment booked when the offer was accepted
+ *         CreatedAt:
+ *           type: string
+ *           format: date-time
+ *     WaitlistEntry:
+ *       type: object
+ *       properties:
+ *         WaitlistEntryId:
+ *           type: integer
+ *         PatientId:
+ *           type: integer
+ *         ProviderId:
+ *           type: integer
+ *           nullable: true
+ *           description: Null when any provider will do
+ *         DateFrom:
+ *           type: string
+ *           format: date
+ *         DateTo:
+ *           type: string
+ *           format: date
+ *         PreferredTimeFrom:
+ *           type: string
+ *           format: HH:MM
+ *           nullable: true
+ *         PreferredTimeTo:
+ *           type: string
+ *           format: HH:MM
+ *           nullable: true
+ *         DurationMinutes:
+ *           type: integer
+ *           nullable: true
+ *         Reason:
+ *           type: string
+ *         Priority:
+ *           type: integer
+ *         Status:
+ *           type: string
+ *           enum: [waiting, offered, booked, cancelled]
+ *         Offer:
+ *           allOf:
+ *             - $ref: '#/components/schemas/SlotHold'
+ *           nullable: true
+ *           description: The slot currently held for this entry, while Status is offered
+ *         CreatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Loads a waitlist entry the caller may see, locking it when `db` is a
+// transaction's connection
+async function fetchWaitlistEntry(req, id, db = null) {
+  const entry = await storage.waitlistEntries.findById(id, { tenantId: req.tenantId, forUpdate: Boolean(db), db });
+  if (!entry) throw notFound('Waitlist entry not found');
+  if (!canAccessAppointment(req.user, entry)) throw forbidden();
+  return entry;
+}
+
+// Active holds keyed by waitlist entry ID
+async function loadOffers(db, entryIds, lock = false) {
+  const holds = await storage.slotHolds.findAll({ waitlistEntryIds: entryIds, status: 'held' }, { forUpdate: lock, db });
+  return Object.fromEntries(holds.map((hold) => [hold.waitlist_entry_id, hold]));
+}
+
+async function serializeWaitlistEntries(rows, timeZone) {
+  const offers = await loadOffers(null, rows.map((row) => row.id));
+  return rows.map((row) => serializeWaitlistEntry(row, offers[row.id], timeZone));
+}
+
+// Runs `fn(conn, entry, hold)` in a transaction for an entry with an open
+// offer. Offers past ExpiresAt that the worker has not expired yet count as gone.
+async function withActiveOffer(req, fn) {
+  const id = parseInt(req.params.id, 10);
+  return storage.withTransaction(async (conn) => {
+    const entry = await fetchWaitlistEntry(req, id, conn);
+    const hold = (await loadOffers(conn, [id], true))[id];
+    if (!hold || new Date(hold.expires_at) <= new Date()) {
+      throw new ApiError(409, 'NO_ACTIVE_OFFER', 'This waitlist entry has no open slot offer');
+    }
+    return fn(conn, entry, hold);
+  });
+}
+
+
+/**
+ * @swagger
+ * /waitlist:
+ *   get:
+ *     summary: List waitlist entries
+ *     description: Highest priority first, then longest waiting. Patients see their own entries, providers the entries asking for them.
+ *     tags: [Waitlist]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [waiting, offered, booked, cancelled]
+ *       - in: query
+ *         name: patientId
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: providerId
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *     responses:
+ *       200:
+ *         description: A page of waitlist entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WaitlistEntry'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameter
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *   post:
+ *     summary: Put a patient on the waitlist
+ *     description: Patients can add themselves; their entries always get priority 0.
+ *     tags: [Waitlist]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - PatientId
+ *               - DateFrom
+ *               - DateTo
+ *               - Reason
+ *             properties:
+ *               PatientId:
+ *                 type: integer
+ *                 minimum: 1
+ *               ProviderId:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Leave out to accept any provider
+ *               DateFrom:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-09-01"
+ *               DateTo:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-09-30"
+ *               PreferredTimeFrom:
+ *                 type: string
+ *                 format: HH:MM
+ *                 description: Earliest start time the patient can make
+ *                 example: "08:00"
+ *               PreferredTimeTo:
+ *                 type: string
+ *                 format: HH:MM
+ *                 description: Latest start time the patient can make
+ *                 example: "12:00"
+ *               DurationMinutes:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1440
+ *                 description: Length needed; freed slots shorter than this are not offered. Defaults to the freed slot's length.
+ *               Reason:
+ *                 type: string
+ *                 pattern: '\S'
+ *                 description: Reason for the appointment that will be booked
+ *               Priority:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 100
+ *                 default: 0
+ *     responses:
+ *       201:
+ *         description: Entry created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WaitlistEntry'
+ *       400:
+ *         description: Invalid input or date/time window
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Patient or provider not found
+ */
+
+app.get('/waitlist', authorize(...ROLES), async (req, res) => {
+  const { limit, offset, error: pageError } = parsePagination(req.query);
+  if (pageError) throw badRequest(pageError);
+
+  const { rows, total } = await storage.waitlistEntries.list({
+    tenantId: req.tenantId,
+    scope: ownRecords(req.user),
+    status: req.query.status,
+    patientId: req.query.patientId === undefined ? undefined : Number(req.query.patientId),
+    providerId: req.query.providerId === undefined ? undefined : Number(req.query.providerId),
+    limit,
+    offset
+  });
+  res.json({ data: await serializeWaitlistEntries(rows, req.timeZone), pagination: { total, limit, offset } });
+});
+
+app.post('/waitlist', authorize(...STAFF_ROLES, 'patient'), async (req, res) => {
+  const { PatientId, ProviderId, DateFrom, DateTo, PreferredTimeFrom, PreferredTimeTo, DurationMinutes, Reason } = req.body;
+  if (!canAccessPatient(req.user, PatientId)) throw forbidden();
+  if (DateTo < DateFrom) throw badRequest('DateTo must not be before DateFrom');
+  if (DateTo < new Date().toISOString().slice(0, 10)) throw badRequest('DateTo must not be in the past');
+  if (PreferredTimeFrom && PreferredTimeTo && PreferredTimeTo < PreferredTimeFrom) {
+    throw badRequest('PreferredTimeTo must not be before PreferredTimeFrom');
+  }
+  if (!(await ensurePatientExists(PatientId, req.tenantId))) throw notFound('Patient not found');
+  if (ProviderId && !(await ensureProviderExists(ProviderId, req.tenantId))) throw notFound('Provider not found');
+
+  const entry = await storage.waitlistEntries.insert({
+    patient_id: PatientId,
+    provider_id: ProviderId || null,
+    date_from: DateFrom,
+    date_to: DateTo,
+    preferred_time_from: PreferredTimeFrom || null,
+    preferred_time_to: PreferredTimeTo || null,
+    duration_minutes: DurationMinutes || null,
+    reason: Reason.trim(),
+    priority: req.user.role === 'patient' ? 0 : req.body.Priority || 0,
+    created_by: req.user.id,
+    organization_id: req.tenantId
+  });
+  res.status(201).json(serializeWaitlistEntry(entry));
+});
+
+
+/**
+ * @swagger
+ * /waitlist/{id}:
+ *   get:
+ *     summary: Get a waitlist entry, with its open offer if any
+ *     tags: [Waitlist]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Waitlist entry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WaitlistEntry'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Waitlist entry not found
+ *   delete:
+ *     summary: Take an entry off the waitlist
+ *     description: An open offer is released and goes to the next matching entry.
+ *     tags: [Waitlist]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       204:
+ *         description: Entry cancelled
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Waitlist entry not found
+ *       409:
+ *         description: The entry is already booked or cancelled
+ */
+
+app.get('/waitlist/:id', authorize(...ROLES), async (req, res) => {
+  const entry = await fetchWaitlistEntry(req, parseInt(req.params.id, 10));
+  const [serialized] = await serializeWaitlistEntries([entry], req.timeZone);
+  res.json(serialized);
+});
+
+app.delete('/waitlist/:id', authorize(...STAFF_ROLES, 'patient'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  await storage.withTransaction(async (conn) => {
+    const entry = await fetchWaitlistEntry(req, id, conn);
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      throw new ApiError(409, 'WAITLIST_ENTRY_CLOSED', `Waitlist entry is already ${entry.status}`);
+    }
+    const hold = (await loadOffers(conn, [id], true))[id];
+    if (hold) await releaseHold(conn, hold, 'released', 'cancelled');
+    await storage.waitlistEntries.update(id, { status: 'cancelled' }, { db: conn });
+  });
+  res.status(204).end();
+});
+
+
+/**
+ * @swagger
+ * /waitlist/{id}/accept:
+ *   post:
+ *     summary: Accept the slot offered to a waitlist entry
+ *     description: Books the held slot as an appointment for the entry's patient and reason.
+ *     tags: [Waitlist]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/idempotencyKey'
+ *     responses:
+ *       201:
+ *         description: Appointment booked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Waitlist entry not found
+ *       409:
+ *         description: No open offer (NO_ACTIVE_OFFER), or the slot was taken meanwhile (SLOT_CONFLICT)
+ *       422:
+ *         description: The slot is no longer within the provider's working hours
+ * /waitlist/{id}/decline:
+ *   post:
+ *     summary: Decline the slot offered to a waitlist entry
+ *     description: The entry goes back to waiting and the slot is offered to the next matching entry.
+ *     tags: [Waitlist]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *     responses:
+ *       200:
+ *         description: Offer declined
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WaitlistEntry'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Waitlist entry not found
+ *       409:
+ *         description: No open offer (NO_ACTIVE_OFFER)
+ */
+
+app.post('/waitlist/:id/accept', authorize(...STAFF_ROLES, 'patient'), async (req, res) => {
+  const created = await withActiveOffer(req, async (conn, entry, hold) => {
+    const date = hold.appointment_date;
+    const time = formatTime(hold.appointment_time);
+    const scheduleError = await checkWithinWorkingHours(hold.provider_id, date, time, hold.duration_minutes);
+    if (scheduleError) {
+      throw new ApiError(422, 'OUTSIDE_WORKING_HOURS', scheduleError);
+    }
+    await lockBookingParties(conn, entry.patient_id, hold.provider_id);
+    const conflicts = await findConflictingAppointments(
+      entry.patient_id, hold.provider_id, hold.starts_at, hold.duration_minutes, null, conn
+    );
+    if (conflicts.length > 0) {
+      throw new ApiError(409, 'SLOT_CONFLICT', 'This time slot overlaps another appointment of this patient or provider',
+        { conflictingAppointmentIds: conflicts });
+    }
+
+    const zone = await providerTimeZone(hold.provider_id, conn);
+    const [starts, ends] = instantValues(hold.starts_at, hold.duration_minutes, zone);
+    const appt = await storage.appointments.insert({
+      patient_id: entry.patient_id,
+      provider_id: hold.provider_id,
+      appointment_date: date,
+      appointment_time: time,
+      starts_at: starts,
+      ends_at: ends,
+      time_zone: zone,
+      duration_minutes: hold.duration_minutes,
+      reason: entry.reason,
+      organization_id: entry.organization_id
+    }, { db: conn });
+    await scheduleReminders(conn, appt.id);
+    await auditChange(conn, req, 'appointment', 'create', null, appt);
+
+    await storage.slotHolds.update(hold.id, {
+      status: 'accepted', appointment_id: appt.id, resolved_at: storage.now()
+    }, { db: conn });
+    await storage.waitlistEntries.update(entry.id, { status: 'booked' }, { db: conn });
+    return appt;
+  });
+  res.status(201).json(serializeAppointment(created, req.timeZone));
+});
+
+app.post('/waitlist/:id/decline', authorize(...STAFF_ROLES, 'patient'), async (req, res) => {
+  await withActiveOffer(req, (conn, entry, hold) => releaseHold(conn, hold, 'declined'));
+  const entry = await fetchWaitlistEntry(req, parseInt(req.params.id, 10));
+  const [serialized] = await serializeWaitlistEntries([entry], req.timeZone);
+  res.json(serialized);
+});
+
+
+// --- Patient portal ---
+/**
+ * @swagger
+ * tags:
+ *   name: Patient Portal
+ *   description: >
+ *     Self-service booking for patients without an account. Staff create a portal token for a
+ *     patient (and can send it as a link); the portal routes take it as a bearer token and act on
+ *     that patient only. Booking is two steps: hold a free slot for PORTAL_HOLD_MINUTES, then
+ *     confirm the hold. To stop slot-hoarding a patient can hold PORTAL_MAX_ACTIVE_HOLDS slots at
+ *     a time and place PORTAL_HOLDS_PER_HOUR holds per hour. Appointments can be moved or
+ *     cancelled here until PORTAL_CHANGE_CUTOFF_HOURS before they start; after that only staff
+ *     can change them.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PortalToken:
+ *       type: object
+ *       properties:
+ *         PortalTokenId:
+ *           type: integer
+ *         PatientId:
+ *           type: integer
+ *         ExpiresAt:
+ *           type: string
+ *           format: date-time
+ *         CreatedAt:
+ *           type: string
+ *           format: date-time
+ *         LastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         RevokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     PortalProvider:
+ *       type: object
+ *       properties:
+ *         ProviderId:
+ *           type: integer
+ *         Name:
+ *           type: string
+ *         Specialty:
+ *           type: string
+ *           nullable: true
+ *         TimeZone:
+ *           type: string
+ *           example: Europe/Berlin
+ *   responses:
+ *     PortalUnauthorized:
+ *       description: Missing, unknown, expired or revoked portal token (INVALID_PORTAL_TOKEN)
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Error'
+ */
+
+const PORTAL_TOKEN_DAYS = parseInt(process.env.PORTAL_TOKEN_DAYS, 10) || 7;
+const PORTAL_HOLD_MINUTES = parseInt(process.env.PORTAL_HOLD_MINUTES, 10) || 10;
+const PORTAL_MAX_ACTIVE_HOLDS = parseInt(process.env.PORTAL_MAX_ACTIVE_HOLDS, 10) || 1;
+const PORTAL_HOLDS_PER_HOUR = parseInt(process.env.PORTAL_HOLDS_PER_HOUR, 10) || 10;
+const PORTAL_CHANGE_CUTOFF_HOURS = parseInt(process.env.PORTAL_CHANGE_CUTOFF_HOURS, 10) || 24;
+// Page of the patient-facing app that takes ?token=...; links can only be
+// sent when it is set
+const PORTAL_URL = process.env.PORTAL_URL || null;
+
+const portalLink = (token) => (PORTAL_URL ? `${PORTAL_URL}?token=${encodeURIComponent(token)}` : null);
+
+// Authenticates a portal route by the token's hash, like calendar feeds, so
+// revoking a token takes effect at once. The request then runs as the
+// token's patient: req.user looks like a patient account without a user ID,
+// which canAccessAppointment and the audit trail understand. Idempotency-Key
+// is ignored since stored responses belong to user accounts.
+async function authorizePortal(req, res, next) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    throw new ApiError(401, 'UNAUTHORIZED', 'Authentication required');
+  }
+  const portalToken = await storage.portalTokens.findActive(hashToken(token));
+  if (!portalToken) {
+    throw new ApiError(401, 'INVALID_PORTAL_TOKEN', 'Unknown, expired or revoked portal token');
+  }
+  await storage.portalTokens.touch(portalToken.id);
+  req.user = {
+    id: null,
+    role: 'patient',
+    organizationId: portalToken.organization_id,
+    patientId: portalToken.patient_id,
+    providerId: null
+  };
+  req.tenantId = portalToken.organization_id;
+  req.portalTokenId = portalToken.id;
+  assertValidRequest(req);
+  next();
+}
+
+// The patient's own appointment; those of other patients answer 404 here
+async function fetchPortalAppointment(req, id) {
+  const appt = await storage.appointments.findById(id, { tenantId: req.tenantId });
+  if (!appt || appt.archived_at || !canAccessAppointment(req.user, appt)) {
+    throw notFound('Appointment not found');
+  }
+  return appt;
+}
+
+// Moving or cancelling online ends PORTAL_CHANGE_CUTOFF_HOURS before the start
+function assertPortalChangeable(appt) {
+  if (FINAL_STATUSES.includes(appt.status)) {
+    throw new ApiError(409, 'INVALID_STATUS_TRANSITION', `Cannot change an appointment that is ${appt.status}`);
+  }
+  if (new Date(appt.starts_at).getTime() - Date.now() < PORTAL_CHANGE_CUTOFF_HOURS * 3600000) {
+    throw new ApiError(409, 'POLICY_WINDOW',
+      `Appointments can only be changed online until ${PORTAL_CHANGE_CUTOFF_HOURS} hours before they start; please contact the clinic`);
+  }
+}
+
+// Slot-hoarding limits, counted over the patient's portal holds. Run after
+// lockBookingParties has locked the patient, so concurrent requests see each
+// other's holds.
+async function assertPortalHoldAllowed(conn, res, patientId) {
+  const usage = await storage.slotHolds.portalUsage(patientId, { db: conn });
+  if (usage.active >= PORTAL_MAX_ACTIVE_HOLDS) {
+    throw new ApiError(409, 'HOLD_LIMIT_REACHED',
+      `You can hold ${PORTAL_MAX_ACTIVE_HOLDS} slot(s) at a time; confirm or release a hold first`);
+  }
+  if (usage.recent >= PORTAL_HOLDS_PER_HOUR) {
+    res.set('Retry-After', String(Math.max(usage.retry_after, 1)));
+    throw new ApiError(429, 'RATE_LIMITED', 'Too many slot holds; try again later');
+  }
+}
+
+// Runs `fn(conn, hold)` in a transaction for an open portal hold of the
+// request's patient. Holds past ExpiresAt that the worker has not expired yet
+// count as gone, like waitlist offers.
+async function withPortalHold(req, id, fn) {
+  return storage.withTransaction(async (conn) => {
+    const hold = await storage.slotHolds.findById(id, { forUpdate: true, db: conn });
+    if (!hold || hold.patient_id !== req.user.patientId || hold.portal_token_id === null) {
+      throw notFound('Slot hold not found');
+    }
+    if (hold.status !== 'held' || new Date(hold.expires_at) <= new Date()) {
+      throw new ApiError(409, 'HOLD_NOT_ACTIVE', 'This slot is no longer held; choose a slot again');
+    }
+    return fn(conn, hold);
+  });
+}
+
+// A hold's slot must still be within the provider's working hours when it is
+// turned into a booking
+async function assertHoldInWorkingHours(hold) {
+  const scheduleError = await checkWithinWorkingHours(
+    hold.provider_id, hold.appointment_date, formatTime(hold.appointment_time), hold.duration_minutes
+  );
+  if (scheduleError) throw new ApiError(422, 'OUTSIDE_WORKING_HOURS', scheduleError);
+}
+
+
+/**
+ * @swagger
+ * /patients/{id}/portal-tokens:
+ *   get:
+ *     summary: List a patient's portal tokens
+ *     tags: [Patient Portal]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Patient ID
+ *     responses:
+ *       200:
+ *         description: Tokens, without their secret values
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PortalToken'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Patient not found
+ *   post:
+ *     summary: Create a portal token for a patient
+ *     description: >
+ *       The token is only returned once. With Send the link (PORTAL_URL?token=...) also goes to the
+ *       patient's email address or phone, like reminders do.
+ *     tags: [Patient Portal]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Patient ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ExpiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 90
+ *                 description: Defaults to PORTAL_TOKEN_DAYS (7)
+ *               Send:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Token created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PortalToken'
+ *                 - type: object
+ *                   properties:
+ *                     Token:
+ *                       type: string
+ *                     Link:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Null when PORTAL_URL is not configured
+ *                       example: https://portal.clinic.example/?token=...
+ *                     SentVia:
+ *                       type: string
+ *                       enum: [email, sms]
+ *                       nullable: true
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Patient not found
+ *       422:
+ *         description: Send was asked for but the patient has no email address or phone (NO_CONTACT)
+ *       502:
+ *         description: The link could not be sent (DELIVERY_FAILED); no token was created
+ */
+
+app.get('/patients/:id/portal-tokens', authorize(...STAFF_ROLES), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!(await ensurePatientExists(id, req.tenantId))) throw notFound('Patient not found');
+  const rows = await storage.portalTokens.listByPatient(id);
+  res.json(rows.map(serializePortalToken));
+});
+
+app.post('/patients/:id/portal-tokens', authorize(...STAFF_ROLES), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const patient = await storage.patients.findById(id, { tenantId: req.tenantId });
+  if (!patient) throw notFound('Patient not found');
+  const { ExpiresInDays = PORTAL_TOKEN_DAYS, Send = false } = req.body || {};
+  if (Send && !PORTAL_URL) {
+    console.error('PORTAL_URL is not set');
+    throw new ApiError(500, 'PORTAL_NOT_CONFIGURED', 'Portal links cannot be sent because PORTAL_URL is not set');
+  }
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  const { created, sentVia } = await storage.withTransaction(async (conn) => {
+    const row = await storage.portalTokens.insert({
+      patient_id: id,
+      token_hash: hashToken(token),
+      expires_at: storage.now(ExpiresInDays * 24 * 60),
+      created_by: req.user.id
+    }, { db: conn });
+
+    // Sent before committing, so a link that never went out leaves no token
+    let channel = null;
+    if (Send) {
+      try {
+        channel = await sendToPatient(patient, {
+          subject: 'Book and manage your appointments',
+          text: `Hello ${patient.name}, use this link to book, move or cancel your appointments: `
+            + `${portalLink(token)} (valid for ${ExpiresInDays} days).`
+        });
+      } catch (err) {
+        console.error(`Sending portal link failed (request ${req.id}):`, err.message);
+        throw new ApiError(502, 'DELIVERY_FAILED', 'The portal link could not be sent');
+      }
+      if (!channel) {
+        throw new ApiError(422, 'NO_CONTACT', 'The patient has no email address or phone number to send the link to');
+      }
+    }
+    return { created: row, sentVia: channel };
+  });
+
+  res.status(201).json({ ...serializePortalToken(created), Token: token, Link: portalLink(token), SentVia: sentVia });
+});
+
+
+/**
+ * @swagger
+ * /portal-tokens/{id}:
+ *   delete:
+ *     summary: Revoke a portal token
+ *     description: The token stops working at once; holds it placed run out as usual.
+ *     tags: [Patient Portal]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Portal token ID
+ *     responses:
+ *       204:
+ *         description: Token revoked
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Token not found
+ */
+
+app.delete('/portal-tokens/:id', authorize(...STAFF_ROLES), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const token = await storage.portalTokens.findById(id);
+  if (!token || !(await ensurePatientExists(token.patient_id, req.tenantId))) {
+    throw notFound('Token not found');
+  }
+  await storage.portalTokens.revoke(id);
+  res.status(204).end();
+});
+
+
+/**
+ * @swagger
+ * /portal/session:
+ *   delete:
+ *     summary: Sign out of the portal
+ *     description: Revokes the portal token the request was made with.
+ *     tags: [Patient Portal]
+ *     security:
+ *       - portalToken: []
+ *     responses:
+ *       204:
+ *         description: Token revoked
+ *       401:
+ *         $ref: '#/components/responses/PortalUnauthorized'
+ * /portal/providers:
+ *   get:
+ *     summary: List the providers patients can book with
+ *     tags: [Patient Portal]
+ *     security:
+ *       - portalToken: []
+ *     responses:
+ *       200:
+ *         description: Providers of the patient's organization
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PortalProvider'
+ *       401:
+ *         $ref: '#/components/responses/PortalUnauthorized'
+ */
+
+app.delete('/portal/session', authorizePortal, async (req, res) => {
+  await storage.portalTokens.revoke(req.portalTokenId);
+  res.status(204).end();
+});
+
+app.get('/portal/providers', authorizePortal, async (req, res) => {
+  const rows = await storage.providers.list({ tenantId: req.tenantId, orderBy: 'name, id' });
+  res.json(rows.map((row) => ({
+    ProviderId: row.id,
+    Name: row.name,
+    Specialty: row.specialty,
+    TimeZone: row.time_zone || DEFAULT_TIME_ZONE
+  })));
+});
+
+
+/**
+ * @swagger
+ * /portal/slots:
+ *   get:
+ *     summary: Find free slots to book
+ *     description: >
+ *       Like GET /availability, but only slots that start in the future and that nobody holds.
+ *       Slots are as long as an appointment for the reason takes (see DurationMinutes of Appointment).
+ *     tags: [Patient Portal]
+ *     security:
+ *       - portalToken: []
+ *     parameters:
+ *       - in: query
+ *         name: providerId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-08-18"
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-08-22"
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           example: Physiotherapy
+ *       - $ref: '#/components/parameters/timeZone'
+ *     responses:
+ *       200:
+ *         description: Free slots, in the same shape as GET /availability
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ProviderId:
+ *                   type: integer
+ *                 TimeZone:
+ *                   type: string
+ *                 SlotMinutes:
+ *                   type: integer
+ *                 Slots:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         $ref: '#/components/responses/PortalUnauthorized'
+ *       404:
+ *         description: Provider not found
+ */
+
+app.get('/portal/slots', authorizePortal, async (req, res) => {
+  const providerId = parseInt(req.query.providerId, 10);
+  const { from, to, reason } = req.query;
+  if (from > to) {
+    throw badRequest('from must not be after to');
+  }
+  if (addDays(from, MAX_AVAILABILITY_DAYS - 1) < to) {
+    throw badRequest(`Range must not exceed ${MAX_AVAILABILITY_DAYS} days`);
+  }
+  if (!(await ensureProviderExists(providerId, req.tenantId))) {
+    throw notFound('Provider not found');
+  }
+
+  const slotMinutes = await resolveDuration(undefined, reason, providerId);
+  const zone = await providerTimeZone(providerId);
+  const now = new Date();
+  const free = (await findFreeSlots(providerId, from, to, slotMinutes, zone)).filter((slot) => slot.startsAt > now);
+  const endOf = (slot) => new Date(slot.startsAt.getTime() + slotMinutes * 60000);
+  const holds = free.length === 0 ? [] : await storage.slotHolds.findActive({
+    providerId, startsAt: free[0].startsAt, endsAt: endOf(free[free.length - 1])
+  });
+  const slots = free
+    .filter((slot) => !holds.some((hold) => hold.starts_at < endOf(slot) && hold.ends_at > slot.startsAt))
+    .map((slot) => serializeSlot(slot, slotMinutes, req.timeZone || zone));
+
+  res.json({ ProviderId: providerId, TimeZone: zone, SlotMinutes: slotMinutes, Slots: slots });
+});
+
+
+/**
+ * @swagger
+ * /portal/holds:
+ *   post:
+ *     summary: Hold a slot
+ *     description: >
+ *       Reserves the slot for PORTAL_HOLD_MINUTES; confirm it to book, or pass it to
+ *       PUT /portal/appointments/{id} to move an appointment there. With AppointmentId the hold
+ *       is for moving that appointment: it takes the appointment's reason and length and may
+ *       overlap the appointment's current time.
+ *     tags: [Patient Portal]
+ *     security:
+ *       - portalToken: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ProviderId
+ *               - StartsAt
+ *             properties:
+ *               ProviderId:
+ *                 type: integer
+ *                 minimum: 1
+ *               StartsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: A slot's StartsAt from GET /portal/slots
+ *                 example: "2025-08-18T09:00:00+02:00"
+ *               Reason:
+ *                 type: string
+ *                 pattern: '\S'
+ *                 description: Required unless AppointmentId is given
+ *                 example: Check-up
+ *               AppointmentId:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       201:
+ *         description: Slot held
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SlotHold'
+ *       400:
+ *         description: Invalid input, or a start in the past
+ *       401:
+ *         $ref: '#/components/responses/PortalUnauthorized'
+ *       404:
+ *         description: Provider or appointment not found
+ *       409:
+ *         description: >
+ *           The slot is booked (SLOT_CONFLICT) or held (SLOT_HELD), the patient already holds
+ *           PORTAL_MAX_ACTIVE_HOLDS slots (HOLD_LIMIT_REACHED), or the appointment can no longer
+ *           be moved online (POLICY_WINDOW)
+ *       422:
+ *         description: The slot is outside the provider's working hours
+ *       429:
+ *         description: More than PORTAL_HOLDS_PER_HOUR holds in the last hour (RATE_LIMITED); see Retry-After
+ */
+
+app.post('/portal/holds', authorizePortal, async (req, res) => {
+  const { ProviderId, StartsAt, AppointmentId } = req.body;
+  const { patientId } = req.user;
+  const appt = AppointmentId ? await fetchPortalAppointment(req, AppointmentId) : null;
+  if (appt) assertPortalChangeable(appt);
+  const reason = appt ? appt.reason : req.body.Reason && req.body.Reason.trim();
+  if (!reason) throw badRequest('Reason is required unless AppointmentId is given');
+  if (!(await ensureProviderExists(ProviderId, req.tenantId))) {
+    throw notFound('Provider not found');
+  }
+
+  const zone = await providerTimeZone(ProviderId);
+  const { date, time, startsAt } = resolveStart({ StartsAt }, zone);
+  if (startsAt <= new Date()) throw badRequest('StartsAt must be in the future');
+  const duration = appt ? appt.duration_minutes : await resolveDuration(undefined, reason, ProviderId);
+  const scheduleError = await checkWithinWorkingHours(ProviderId, date, time, duration);
+  if (scheduleError) {
+    throw new ApiError(422, 'OUTSIDE_WORKING_HOURS', scheduleError);
+  }
+
+  const hold = await storage.withTransaction(async (conn) => {
+    await lockBookingParties(conn, patientId, ProviderId);
+    await assertPortalHoldAllowed(conn, res, patientId);
+    await assertBookable(conn, patientId, ProviderId, startsAt, duration, appt && appt.id);
+    const [starts, ends] = instantValues(startsAt, duration);
+    return storage.slotHolds.insert({
+      patient_id: patientId,
+      provider_id: ProviderId,
+      appointment_date: date,
+      appointment_time: time,
+      starts_at: starts,
+      ends_at: ends,
+      duration_minutes: duration,
+      reason,
+      portal_token_id: req.portalTokenId,
+      expires_at: storage.now(PORTAL_HOLD_MINUTES)
+    }, { db: conn });
+  });
+
+  res.status(201).json(serializeSlotHold(hold, req.timeZone || zone));
+});
+
+
+/**
+ * @swagger
+ * /portal/holds/{id}:
+ *   delete:
+ *     summary: Release a held slot
+ *     description: The slot is free again and offered to the waitlist.
+ *     tags: [Patient Portal]
+ *     security:
+ *       - portalToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Slot hold ID
+ *     responses:
+ *       204:
+ *         description: Hold released
+ *       401:
+ *         $ref: '#/components/responses/PortalUnauthorized'
+ *       404:
+ *         description: Slot hold not found
+ *       409:
+ *         description: The hold was already confirmed, released or has expired (HOLD_NOT_ACTIVE)
+ * /portal/holds/{id}/confirm:
+ *   post:
+ *     summary: Book a held slot
+ *     description: Books the slot as an appointment with the hold's reason.
+ *     tags: [Patient Portal]
+ *     security:
+ *       - portalToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Slot hold ID
+ *     responses:
+ *       201:
+ *         description: Appointment booked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       401:
+ *         $ref: '#/components/responses/PortalUnauthorized'
+ *       404:
+ *         description: Slot hold not found
+ *       409:
+ *         description: >
+ *           The hold is no longer active (HOLD_NOT_ACTIVE), or the patient booked something
+ *           overlapping meanwhile (SLOT_CONFLICT)
+ *       422:
+ *         description: The slot is no longer within the provider's working hours
+ */
+
+app.delete('/portal/holds/:id', authorizePortal, async (req, res) => {
+  await withPortalHold(req, parseInt(req.params.id, 10), (conn, hold) => releaseHold(conn, hold, 'released'));
+  res.status(204).end();
+});
+
+app.post('/portal/holds/:id/confirm', authorizePortal, async (req, res) => {
+  const created = await withPortalHold(req, parseInt(req.params.id, 10), async (conn, hold) => {
+    await assertHoldInWorkingHours(hold);
+    await lockBookingParties(conn, hold.patient_id, hold.provider_id);
+    await assertBookable(conn, hold.patient_id, hold.provider_id, hold.starts_at, hold.duration_minutes);
+
+    const zone = await providerTimeZone(hold.provider_id, conn);
+    const [starts, ends] = instantValues(hold.starts_at, hold.duration_minutes, zone);
+    const appt = await storage.appointments.insert({
+      patient_id: hold.patient_id,
+      provider_id: hold.provider_id,
+      appointment_date: hold.appointment_date,
+      appointment_time: formatTime(hold.appointment_time),
+      starts_at: starts,
+      ends_at: ends,
+      time_zone: zone,
+      duration_minutes: hold.duration_minutes,
+      reason: hold.reason,
+      organization_id: req.tenantId
+    }, { db: conn });
+    await scheduleReminders(conn, appt.id);
+    await auditChange(conn, req, 'appointment', 'create', null, appt);
+    await storage.slotHolds.update(hold.id, {
+      status: 'accepted', appointment_id: appt.id, resolved_at: storage.now()
+    }, { db: conn });
+    return appt;
+  });
+  res.status(201).json(serializeAppointment(created, req.timeZone));
+});
+
+
+/**
+ * @swagger
+ * /portal/appointments:
+ *   get:
+ *     summary: List the patient's upcoming appointments
+ *     description: Appointments ending from now on, soonest first, including cancelled ones.
+ *     tags: [Patient Portal]
+ *     security:
+ *       - portalToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *       - $ref: '#/components/parameters/timeZone'
+ *     responses:
+ *       200:
+ *         description: A page of appointments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Appointment'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         $ref: '#/components/responses/PortalUnauthorized'
+ */
+
+app.get('/portal/appointments', authorizePortal, async (req, res) => {
+  const { limit, offset, error: pageError } = parsePagination(req.query);
+  if (pageError) throw badRequest(pageError);
+  const { rows, total } = await storage.appointments.list({
+    tenantId: req.tenantId,
+    scope: { patientId: req.user.patientId },
+    unfinished: true,
+    orderBy: 'starts_at',
+    limit,
+    offset
+  });
+  res.json({ data: rows.map((row) => serializeAppointment(row, req.timeZone)), pagination: { total, limit, offset } });
+});
+
+
+/**
+ * @swagger
+ * /portal/appointments/{id}:
+ *   put:
+ *     summary: Move an appointment to a held slot
+ *     description: >
+ *       Hold the new slot first (POST /portal/holds with AppointmentId). The appointment keeps its
+ *       reason and takes the hold's time, provider and length; its old slot is offered to the waitlist.
+ *     tags: [Patient Portal]
+ *     security:
+ *       - portalToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Appointment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - SlotHoldId
+ *             properties:
+ *               SlotHoldId:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: Appointment moved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       401:
+ *         $ref: '#/components/responses/PortalUnauthorized'
+ *       404:
+ *         description: Appointment or slot hold not found
+ *       409:
+ *         description: >
+ *           Too close to the appointment to change it online (POLICY_WINDOW), the appointment is
+ *           completed, cancelled or a no-show, the hold is no longer active (HOLD_NOT_ACTIVE), or
+ *           the new slot overlaps another appointment (SLOT_CONFLICT)
+ *       422:
+ *         description: The held slot is no longer within the provider's working hours
+ *   delete:
+ *     summary: Cancel an appointment
+ *     tags: [Patient Portal]
+ *     security:
+ *       - portalToken: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Appointment ID
+ *     responses:
+ *       200:
+ *         description: Appointment cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Appointment'
+ *       401:
+ *         $ref: '#/components/responses/PortalUnauthorized'
+ *       404:
+ *         description: Appointment not found
+ *       409:
+ *         description: Too close to the appointment to cancel it online (POLICY_WINDOW), or already final
+ */
+
+app.put('/portal/appointments/:id', authorizePortal, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const appt = await fetchPortalAppointment(req, id);
+  assertPortalChangeable(appt);
+
+  const updated = await withPortalHold(req, req.body.SlotHoldId, async (conn, hold) => {
+    await assertHoldInWorkingHours(hold);
+    // The old provider too: its freed slot is offered in this transaction
+    await lockBookingParties(conn, appt.patient_id, [appt.provider_id, hold.provider_id]);
+    const current = await storage.appointments.findById(id, { forUpdate: true, db: conn });
+    if (current.sequence !== appt.sequence || FINAL_STATUSES.includes(current.status)) {
+      throw new ApiError(409, 'CONCURRENT_UPDATE', 'The appointment was changed by another request; reload and try again');
+    }
+    await assertBookable(conn, appt.patient_id, hold.provider_id, hold.starts_at, hold.duration_minutes, id);
+
+    const zone = await providerTimeZone(hold.provider_id, conn);
+    const [starts, ends] = instantValues(hold.starts_at, hold.duration_minutes, zone);
+    const moved = await storage.appointments.update(id, {
+      provider_id: hold.provider_id,
+      appointment_date: hold.appointment_date,
+      appointment_time: formatTime(hold.appointment_time),
+      starts_at: starts,
+      ends_at: ends,
+      time_zone: zone,
+      duration_minutes: hold.duration_minutes
+    }, { bumpSequence: true, db: conn });
+    await storage.slotHolds.update(hold.id, {
+      status: 'accepted', appointment_id: id, resolved_at: storage.now()
+    }, { db: conn });
+    await scheduleReminders(conn, id);
+    await auditChange(conn, req, 'appointment', 'update', appt, moved);
+    await offerFreedSlot(appt, conn);
+    return moved;
+  });
+  res.json(serializeAppointment(updated, req.timeZone));
+});
+
+app.delete('/portal/appointments/:id', authorizePortal, async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  assertPortalChangeable(await fetchPortalAppointment(req, id));
+  res.json(serializeAppointment(await transitionAppointment(req, id, 'cancel', null), req.timeZone));
+});
+
+
+// --- Bulk import & export ---
+/**
+ * @swagger
+ * tags:
+ *   name: Import & Export
+ *   description: CSV import and export of patients and appointments
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     dryRun:
+ *       in: query
+ *       name: dryRun
+ *       schema:
+ *         type: boolean
+ *         default: false
+ *       description: Check every row but write nothing
+ *     atomic:
+ *       in: query
+ *       name: atomic
+ *       schema:
+ *         type: boolean
+ *         default: false
+ *       description: Import nothing unless every row is valid. Otherwise valid rows are imported and failed rows skipped.
+ *   schemas:
+ *     ImportReport:
+ *       type: object
+ *       properties:
+ *         DryRun:
+ *           type: boolean
+ *         Atomic:
+ *           type: boolean
+ *         Committed:
+ *           type: boolean
+ *           description: Whether the valid rows were written
+ *         Total:
+ *           type: integer
+ *         Succeeded:
+ *           type: integer
+ *         Failed:
+ *           type: integer
+ *         Rows:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               Row:
+ *                 type: integer
+ *                 description: 1-based data row, not counting the header
+ *               Status:
+ *                 type: string
+ *                 enum: [created, valid, failed]
+ *                 description: valid means the row passed but was not written (dry run or atomic import with failures)
+ *               Id:
+ *                 type: integer
+ *                 description: ID of the created record
+ *               Error:
+ *                 type: object
+ *                 description: Same shape as the error of the matching single-record route
+ *                 properties:
+ *                   code:
+ *                     type: string
+ *                     example: SLOT_CONFLICT
+ *                   message:
+ *                     type: string
+ *                   details:
+ *                     type: object
+ */
+
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 10000;
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' });
+// CSV cells are strings, so rows are coerced to the body schema's types
+const csvAjv = createAjv({ coerceTypes: true });
+
+// Each resource imports rows with the body schema of its POST route, so a CSV
+// row is checked exactly like a single create. Export columns that cannot be
+// imported (IDs, status, ...) are skipped, so exported files can be imported
+// again as they are.
+const APPOINTMENT_CREATE_SCHEMA = swaggerSpec.paths['/appointments'].post.requestBody.content['application/json'].schema;
 
-// Example MySQL endpoint
-const pool = mysql.createPool({
-  host: process.env.MYSQL_ADDON_HOST,
-  user: process.env.MYSQL_ADDON_USER,
-  password: process.env.MYSQL_ADDON_PASSWORD,
-  database: process.env.MYSQL_ADDON_DB,
-  port: process.env.MYSQL_ADDON_PORT || 3306,
-  waitForConnections: true,
-  connectionLimit: 5
-});
+const CSV_RESOURCES = {
+  patients: {
+    schema: swaggerSpec.components.schemas.PatientInput,
+    // Address and EmergencyContact are objects and cannot be imported from CSV
+    importColumns: ['name', 'contact', 'FirstName', 'LastName', 'DateOfBirth', 'Sex', 'Email', 'Phone', 'Mrn'],
+    exportColumns: ['PatientId', 'Name', 'Contact', 'FirstName', 'LastName', 'DateOfBirth', 'Sex', 'Email', 'Phone', 'Mrn'],
+    exportRows: (query, tenantId) => storage.patients.stream(tenantId),
+    serialize: serializePatient,
+    async importRow(conn, req, row) {
+      const patient = await savePatient(conn, { ...patientColumns(row), organization_id: req.tenantId });
+      await auditChange(conn, req, 'patient', 'import', null, patient);
+      return patient.id;
+    }
+  },
+  appointments: {
+    schema: APPOINTMENT_CREATE_SCHEMA,
+    importColumns: Object.keys(APPOINTMENT_CREATE_SCHEMA.properties),
+    exportColumns: ['AppointmentId', 'PatientId', 'ProviderId', 'AppointmentDate', 'AppointmentTime', 'TimeZone',
+      'StartsAt', 'EndsAt', 'DurationMinutes', 'Reason', 'Status', 'CancellationReason', 'SeriesId', 'CreatedAt'],
+    exportRows: ({ dateFrom, dateTo }, tenantId) => storage.appointments.stream({
+      tenantId, dateFrom: dateFrom || undefined, dateTo: dateTo || undefined, archived: false
+    }),
+    serialize: serializeAppointment,
+    // Same checks as POST /appointments; conflicts are looked up on the import
+    // connection so rows also clash with earlier rows of the same file. All
+    // rows share one transaction, so only locking reads happen on it: the
+    // overlap checks see bookings committed by others after earlier rows.
+    // Exported files carry StartsAt as well as the local date and time;
+    // StartsAt wins when both are present.
+    async importRow(conn, req, row) {
+      const { PatientId, ProviderId, DurationMinutes, Reason } = row;
+      if (!(await ensurePatientExists(PatientId, req.tenantId))) {
+        throw notFound('Patient not found');
+      }
+      if (!(await ensureProviderExists(ProviderId, req.tenantId))) {
+        throw notFound('Provider not found');
+      }
+      const zone = await providerTimeZone(ProviderId);
+      const { date, time, startsAt } = resolveStart(row.StartsAt ? { StartsAt: row.StartsAt } : row, zone);
+      const duration = await resolveDuration(DurationMinutes, Reason, ProviderId);
+      const scheduleError = await checkWithinWorkingHours(ProviderId, date, time, duration);
+      if (scheduleError) {
+        throw new ApiError(422, 'OUTSIDE_WORKING_HOURS', scheduleError);
+      }
+      await lockBookingParties(conn, PatientId, ProviderId);
+      await assertBookable(conn, PatientId, ProviderId, startsAt, duration);
 
+      const [starts, ends] = instantValues(startsAt, duration, zone);
+      const appt = await storage.appointments.insert({
+        patient_id: PatientId,
+        provider_id: ProviderId,
+        appointment_date: date,
+        appointment_time: time,
+        starts_at: starts,
+        ends_at: ends,
+        time_zone: zone,
+        duration_minutes: duration,
+        reason: Reason.trim(),
+        organization_id: req.tenantId
+      }, { db: conn });
+      await scheduleReminders(conn, appt.id);
+      await auditChange(conn, req, 'appointment', 'import', null, appt);
+      return appt.id;
+    }
+  }
+};
+
+for (const resource of Object.values(CSV_RESOURCES)) {
+  resource.validateRow = csvAjv.compile(toAjvRefs(closeObjects(resource.schema)));
+}
 
-(async () => {
+// Maps header names case-insensitively onto the resource's import columns and
+// drops empty cells, so optional columns can be left blank.
+function readCsvRows(text, resource) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw badRequest('Request body must be a CSV document sent as text/csv');
+  }
+  const properties = resource.importColumns;
+  const unknown = [];
+  let records;
   try {
-    const conn = await pool.getConnection();
-
-    // Create tables if not exists
-    await conn.query(`
-      CREATE TABLE IF NOT EXISTS patients (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        name VARCHAR(255) NOT NULL,
-        contact VARCHAR(255)
-      )
-    `);
-
-    await conn.query(`
-      CREATE TABLE IF NOT EXISTS appointments (
-        id INT AUTO_INCREMENT PRIMARY KEY,
-        patient_id INT NOT NULL,
-        appointment_date DATE NOT NULL,
-        appointment_time TIME NOT NULL,
-        reason TEXT,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (patient_id) REFERENCES patients(id)
-      )
-    `);
-
-    // Seed a default patient if table is empty
-    const [rows] = await conn.query('SELECT COUNT(*) as count FROM patients');
-    if (rows[0].count === 0) {
-      await conn.query('INSERT INTO patients (name, contact) VALUES (?, ?)', ['John Doe', '123456789']);
-      console.log('Seed patient added');
-    }
-
-    conn.release();
-    console.log("Tables ready and seed check complete");
+    records = parseCsv(text, {
+      bom: true,
+      trim: true,
+      skip_empty_lines: true,
+      columns: (header) => header.map((name) => {
+        const property = properties.find((key) => key.toLowerCase() === name.toLowerCase());
+        if (property) return property;
+        if (!resource.exportColumns.some((column) => column.toLowerCase() === name.toLowerCase())) {
+          unknown.push(name);
+        }
+        return false;
+      })
+    });
   } catch (err) {
-    console.error("DB error:", err);
+    throw badRequest(`Invalid CSV: ${err.message}`);
   }
-})();
-
+  if (unknown.length > 0) {
+    throw badRequest('Unknown CSV columns', { columns: unknown, allowed: properties });
+  }
+  if (records.length > IMPORT_MAX_ROWS) {
+    throw badRequest(`At most ${IMPORT_MAX_ROWS} rows can be imported at once`);
+  }
+  return records.map((record) => Object.fromEntries(Object.entries(record).filter(([, value]) => value !== '')));
+}
 
-// --- Helpers ---
-const isValidDate = (s) => /^\d{4}-\d{2}-\d{2}$/.test(s);
-const isValidTime = (s) => /^([01]\d|2[0-3]):[0-5]\d$/.test(s);
+// Thrown out of runImport's transaction to roll it back without failing
+const IMPORT_ROLLBACK = new Error('Import rolled back');
 
-async function ensurePatientExists(patientId) {
-  const [rows] = await pool.query('SELECT id FROM patients WHERE id = ?', [patientId]);
-  return rows.length > 0;
-}
+// Runs every row inside one transaction. Rows only throw ApiErrors before
+// writing anything, so a failed row leaves nothing behind; any other error
+// aborts the whole import. The transaction is committed unless this is a dry
+// run or an atomic import with failed rows.
+async function runImport(req, resource, rows, { dryRun, atomic }) {
+  const results = [];
+  let committed = false;
+  try {
+    await storage.withTransaction(async (conn) => {
+      for (const [index, row] of rows.entries()) {
+        const entry = { Row: index + 1 };
+        try {
+          if (!resource.validateRow(row)) {
+            throw badRequest('Row validation failed', { errors: describeErrors(null, resource.validateRow.errors) });
+          }
+          entry.Id = await resource.importRow(conn, req, row);
+          entry.Status = 'created';
+        } catch (err) {
+          if (!(err instanceof ApiError)) throw err;
+          entry.Status = 'failed';
+          entry.Error = { code: err.code, message: err.message, ...(err.details && { details: err.details }) };
+        }
+        results.push(entry);
+      }
+      committed = !dryRun && !(atomic && results.some((entry) => entry.Status === 'failed'));
+      if (!committed) throw IMPORT_ROLLBACK;
+    });
+  } catch (err) {
+    if (err !== IMPORT_ROLLBACK) throw err;
+    for (const entry of results.filter((e) => e.Status === 'created')) {
+      entry.Status = 'valid';
+      delete entry.Id;
+    }
+  }
 
-async function isSlotTaken(patientId, date, time) {
-  const [rows] = await pool.query(
-    'SELECT id FROM appointments WHERE patient_id = ? AND appointment_date = ? AND appointment_time = ?',
-    [patientId, date, time]
-  );
-  return rows.length > 0;
+  const failed = results.filter((entry) => entry.Status === 'failed').length;
+  return {
+    DryRun: dryRun,
+    Atomic: atomic,
+    Committed: committed,
+    Total: results.length,
+    Succeeded: results.length - failed,
+    Failed: failed,
+    Rows: results
+  };
 }
 
 
 /**
  * @swagger
- * tags:
- *   name: Patients
- *   description: API to manage patients
+ * /import/patients:
+ *   post:
+ *     summary: Import patients from CSV
+ *     description: >
+ *       One patient per row under a header row naming the columns (name, contact; case-insensitive).
+ *       Rows are checked like POST /patients and reported one by one. A PatientId column, as in
+ *       the export, is ignored.
+ *     tags: [Import & Export]
+ *     parameters:
+ *       - $ref: '#/components/parameters/dryRun'
+ *       - $ref: '#/components/parameters/atomic'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "name,contact\nJane Doe,jane@example.com\nJohn Roe,+1 555 0100\n"
+ *     responses:
+ *       200:
+ *         description: Per-row report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: Body is not CSV, has unknown columns or too many rows
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ * /import/appointments:
+ *   post:
+ *     summary: Import appointments from CSV
+ *     description: >
+ *       One appointment per row under a header row naming the columns (PatientId, ProviderId,
+ *       AppointmentDate, AppointmentTime, DurationMinutes, Reason; case-insensitive). Rows are
+ *       checked like POST /appointments, including working hours and overlaps with existing
+ *       appointments and with earlier rows of the same file. Read-only columns from the export
+ *       (AppointmentId, Status, ...) are ignored.
+ *     tags: [Import & Export]
+ *     parameters:
+ *       - $ref: '#/components/parameters/dryRun'
+ *       - $ref: '#/components/parameters/atomic'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "PatientId,ProviderId,AppointmentDate,AppointmentTime,DurationMinutes,Reason\n1,2,2025-08-20,14:30,,Routine check-up\n"
+ *     responses:
+ *       200:
+ *         description: Per-row report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportReport'
+ *       400:
+ *         description: Body is not CSV, has unknown columns or too many rows
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 
+app.post('/import/:resource', authorize(...STAFF_ROLES), csvBody, async (req, res) => {
+  const resource = CSV_RESOURCES[req.params.resource];
+  if (!resource) throw notFound(`Cannot ${req.method} ${req.path}`);
+  const rows = readCsvRows(req.body, resource);
+  res.json(await runImport(req, resource, rows, {
+    dryRun: req.query.dryRun === 'true',
+    atomic: req.query.atomic === 'true'
+  }));
+});
+
+
 /**
  * @swagger
- * /patients:
+ * /export/patients:
  *   get:
- *     summary: Get all patients
- *     tags: [Patients]
+ *     summary: Export all patients as CSV
+ *     description: Streamed row by row, so it works for large tables.
+ *     tags: [Import & Export]
  *     responses:
  *       200:
- *         description: List of patients
+ *         description: CSV with a header row
  *         content:
- *           application/json:
+ *           text/csv:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                   name:
- *                     type: string
- *                   contact:
- *                     type: string
+ *               type: string
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ * /export/appointments:
+ *   get:
+ *     summary: Export appointments as CSV
+ *     description: Streamed row by row, so it works for large tables.
+ *     tags: [Import & Export]
+ *     parameters:
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive lower bound on AppointmentDate
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Inclusive upper bound on AppointmentDate
+ *     responses:
+ *       200:
+ *         description: CSV with a header row
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 
+app.get('/export/:resource', authorize(...STAFF_ROLES), async (req, res) => {
+  const resource = CSV_RESOURCES[req.params.resource];
+  if (!resource) throw notFound(`Cannot ${req.method} ${req.path}`);
+  // Started before sending headers so an unreachable database is still a JSON error
+  const rows = await resource.exportRows(req.query, req.tenantId);
 
-app.get('/patients', async (req, res) => {
-  try {
-    const [rows] = await pool.query('SELECT id, name, contact FROM patients ORDER BY id');
-    console.log("Patients fetched:", rows); 
-    res.json(rows);
-  } catch (err) {
-    console.error('DB Error:', err); 
-    res.status(500).json({ message: 'Database error', error: err.message });
-  }
+  res.type('text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${req.params.resource}.csv"`);
+  await pipeline(
+    rows,
+    async function* serialize(source) {
+      for await (const row of source) yield resource.serialize(row, req.timeZone);
+    },
+    stringifyCsv({
+      header: true,
+      columns: resource.exportColumns,
+      cast: { date: (value) => value.toISOString() }
+    }),
+    res
+  );
 });
 
 
+// --- Audit trail ---
 /**
  * @swagger
- * /patients:
- *   post:
- *     summary: Create a new patient
- *     tags: [Patients]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
+ * tags:
+ *   name: Audit
+ *   description: Who changed which patient or appointment, and when
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         AuditId:
+ *           type: integer
+ *         Entity:
+ *           type: string
+ *           enum: [patient, appointment]
+ *         EntityId:
+ *           type: integer
+ *         Action:
+ *           type: string
+ *           description: create, update, delete, import, or a status action (confirm, check-in, complete, cancel, no-show)
+ *           example: update
+ *         ActorUserId:
+ *           type: integer
+ *           nullable: true
+ *         ActorRole:
+ *           type: string
+ *           nullable: true
+ *         RequestId:
+ *           type: string
+ *           nullable: true
+ *           description: X-Request-Id of the request that made the change
+ *         Changes:
+ *           type: object
+ *           description: Changed fields, in the API's field names
+ *           additionalProperties:
  *             type: object
- *             required:
- *               - name
  *             properties:
- *               name:
- *                 type: string
- *               contact:
- *                 type: string
+ *               from: {}
+ *               to: {}
+ *           example:
+ *             AppointmentTime:
+ *               from: "14:30"
+ *               to: "15:00"
+ *         CreatedAt:
+ *           type: string
+ *           format: date-time
+ *   parameters:
+ *     auditFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         anyOf:
+ *           - type: string
+ *             format: date
+ *           - type: string
+ *             format: date-time
+ *       description: Entries at or after this time; a date means from the start of that day
+ *     auditTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         anyOf:
+ *           - type: string
+ *             format: date
+ *           - type: string
+ *             format: date-time
+ *       description: Entries at or before this time; a date includes the whole day
+ */
+
+// The entity recorded for each resource, and how to tell whether a record
+// with no history exists (deleted patients included)
+const AUDIT_ENTITIES = {
+  patients: {
+    entity: 'patient',
+    exists: (id, tenantId) => storage.patients.findById(id, { tenantId, includeDeleted: true })
+  },
+  appointments: {
+    entity: 'appointment',
+    exists: (id, tenantId) => storage.appointments.findById(id, { tenantId })
+  }
+};
+
+// auditLog.list bounds for the from/to query parameters. Dates are local
+// days: `to` as a date ends before the next one starts.
+function auditRange({ from, to }) {
+  const range = {};
+  if (from) range.from = new Date(isValidDate(from) ? `${from}T00:00:00` : from);
+  if (to && isValidDate(to)) {
+    range.before = new Date(`${to}T00:00:00`);
+    range.before.setDate(range.before.getDate() + 1);
+  } else if (to) {
+    range.to = new Date(to);
+  }
+  return range;
+}
+
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: Search the audit trail
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *           enum: [patient, appointment]
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: actorUserId
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/auditFrom'
+ *       - $ref: '#/components/parameters/auditTo'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
  *     responses:
- *       201:
- *         description: Patient created successfully
+ *       200:
+ *         description: A page of entries, newest first
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 id:
- *                   type: integer
- *                 name:
- *                   type: string
- *                 contact:
- *                   type: string
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEntry'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid query parameter
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 
-app.post('/patients', async (req, res) => {
-  const { name, contact } = req.body || {};
-  if (!name || typeof name !== 'string' || !name.trim()) {
-    return res.status(400).json({ message: 'Invalid name' });
-  }
-  const [result] = await pool.query(
-    'INSERT INTO patients (name, contact) VALUES (?, ?)',
-    [name.trim(), contact || null]
-  );
-  res.status(201).json({
-    id: result.insertId,
-    name: name.trim(),
-    contact: contact || null,
-    message: 'Patient created successfully'
+app.get('/audit', authorize('admin'), async (req, res) => {
+  const { limit, offset, error: pageError } = parsePagination(req.query);
+  if (pageError) throw badRequest(pageError);
+
+  const { entity, entityId, actorUserId } = req.query;
+  const { rows, total } = await storage.auditLog.list({
+    tenantId: req.tenantId,
+    entity,
+    entityId: entityId === undefined ? undefined : Number(entityId),
+    actorUserId: actorUserId === undefined ? undefined : Number(actorUserId),
+    ...auditRange(req.query),
+    limit,
+    offset
   });
+  res.json({ data: rows.map(serializeAuditEntry), pagination: { total, limit, offset } });
 });
 
 
 /**
  * @swagger
- * /patients/{id}:
+ * /patients/{id}/history:
  *   get:
- *     summary: Get a patient by ID
- *     tags: [Patients]
+ *     summary: Change history of a patient
+ *     description: Still available after the patient has been deleted.
+ *     tags: [Audit]
  *     parameters:
  *       - in: path
  *         name: id
+ *         required: true
  *         schema:
  *           type: integer
- *         required: true
+ *           minimum: 1
  *         description: Patient ID
  *     responses:
  *       200:
- *         description: Patient details
+ *         description: Entries, oldest first
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 PatientId:
- *                   type: integer
- *                   example: 1
- *                 name:
- *                   type: string
- *                   example: John Doe
- *                 contact:
- *                   type: string
- *                   example: "+1234567890"
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AuditEntry'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
- *         description: Patient not found
- *       500:
- *         description: Database error
+ *         description: Patient not found and never recorded
+ * /appointments/{id}/history:
+ *   get:
+ *     summary: Change history of an appointment
+ *     tags: [Audit]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Appointment ID
+ *     responses:
+ *       200:
+ *         description: Entries, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AuditEntry'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Appointment not found and never recorded
  */
 
-// --- Get Patient by ID ---
-app.get('/patients/:id', async (req, res) => {
-  try {
+for (const [resource, { entity, exists }] of Object.entries(AUDIT_ENTITIES)) {
+  app.get(`/${resource}/:id/history`, authorize(...STAFF_ROLES), async (req, res) => {
     const id = parseInt(req.params.id, 10);
-    if (isNaN(id) || id <= 0) {
-      return res.status(400).json({ message: 'Invalid PatientId' });
+    const rows = await storage.auditLog.listForEntity(entity, id, { tenantId: req.tenantId });
+    if (rows.length === 0 && !(await exists(id, req.tenantId))) {
+      throw notFound(`${entity === 'patient' ? 'Patient' : 'Appointment'} not found`);
     }
+    res.json(rows.map(serializeAuditEntry));
+  });
+}
 
-    const [rows] = await pool.query(
-      'SELECT id AS PatientId, name, contact FROM patients WHERE id = ?',
-      [id]
-    );
 
-    if (rows.length === 0) {
-      return res.status(404).json({ message: 'Patient not found' });
-    }
+// --- Reports ---
+/**
+ * @swagger
+ * tags:
+ *   name: Reports
+ *   description: >
+ *     Aggregates over the organization's appointments between dateFrom and dateTo (the
+ *     providers' local dates, at most 366 days), as JSON or, with format=csv, as CSV with the
+ *     same columns. Archived appointments are left out.
+ */
 
-    res.json(rows[0]);
-  } catch (err) {
-    console.error('DB Error:', err);
-    res.status(500).json({ message: 'Database error', error: err.message });
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     reportDateFrom:
+ *       in: query
+ *       name: dateFrom
+ *       required: true
+ *       schema:
+ *         type: string
+ *         format: date
+ *     reportDateTo:
+ *       in: query
+ *       name: dateTo
+ *       required: true
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Inclusive
+ *     reportProviderId:
+ *       in: query
+ *       name: providerId
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *       description: Only this provider's appointments
+ *     reportGroupBy:
+ *       in: query
+ *       name: groupBy
+ *       schema:
+ *         type: string
+ *         enum: [day, week, month, provider]
+ *         default: day
+ *       description: One row per day, week (starting Monday), month or provider
+ *     reportFormat:
+ *       in: query
+ *       name: format
+ *       schema:
+ *         type: string
+ *         enum: [json, csv]
+ *         default: json
+ *   schemas:
+ *     ReportGroup:
+ *       type: object
+ *       description: Which group a row covers; Period for day, week and month, the provider otherwise
+ *       properties:
+ *         Period:
+ *           type: string
+ *           format: date
+ *           description: First day of the day, week or month
+ *         ProviderId:
+ *           type: integer
+ *           nullable: true
+ *         ProviderName:
+ *           type: string
+ *           nullable: true
+ *     AppointmentReportRow:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ReportGroup'
+ *         - type: object
+ *           properties:
+ *             Total:
+ *               type: integer
+ *             Scheduled:
+ *               type: integer
+ *             Confirmed:
+ *               type: integer
+ *             CheckedIn:
+ *               type: integer
+ *             Completed:
+ *               type: integer
+ *             Cancelled:
+ *               type: integer
+ *             NoShow:
+ *               type: integer
+ *             CancellationRate:
+ *               type: number
+ *               nullable: true
+ *               description: Cancelled / Total
+ *             NoShowRate:
+ *               type: number
+ *               nullable: true
+ *               description: NoShow / (CheckedIn + Completed + NoShow), i.e. of the appointments that had an outcome
+ *     UtilizationReportRow:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ReportGroup'
+ *         - type: object
+ *           properties:
+ *             AvailableMinutes:
+ *               type: integer
+ *               description: Working hours minus breaks and closures, as configured now
+ *             BookedMinutes:
+ *               type: integer
+ *               description: Length of the appointments that were not cancelled
+ *             Appointments:
+ *               type: integer
+ *             Utilization:
+ *               type: number
+ *               nullable: true
+ *               description: BookedMinutes / AvailableMinutes; above 1 when bookings exceed working hours
+ *     LeadTimeReportRow:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ReportGroup'
+ *         - type: object
+ *           description: Hours from booking (creation) to the start of the appointment
+ *           properties:
+ *             Appointments:
+ *               type: integer
+ *             AverageLeadHours:
+ *               type: number
+ *             MinLeadHours:
+ *               type: number
+ *             MaxLeadHours:
+ *               type: number
+ *             LeadUnder1Day:
+ *               type: integer
+ *             Lead1To7Days:
+ *               type: integer
+ *             Lead7To30Days:
+ *               type: integer
+ *             LeadOver30Days:
+ *               type: integer
+ *     BusiestHoursReportRow:
+ *       type: object
+ *       properties:
+ *         Weekday:
+ *           type: integer
+ *           description: 0 = Sunday
+ *         Hour:
+ *           type: integer
+ *           description: Start hour on the provider's clock
+ *         Appointments:
+ *           type: integer
+ *         BookedMinutes:
+ *           type: integer
+ */
+
+const REPORT_MAX_DAYS = 366;
+
+// The period a 'YYYY-MM-DD' date falls in, named by its first day
+function periodOf(date, groupBy) {
+  if (groupBy === 'week') return addDays(date, -((weekdayOf(date) + 6) % 7));
+  if (groupBy === 'month') return `${date.slice(0, 7)}-01`;
+  return date;
+}
+
+const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null);
+const toHours = (minutes) => (minutes === null ? null : Math.round(Number(minutes) / 6) / 10);
+
+// The storage.reports scope shared by the reports: the organization's
+// appointments in the date range, optionally of one provider
+function reportScope(req) {
+  const { dateFrom, dateTo, providerId } = req.query;
+  if (dateTo < dateFrom) throw badRequest('dateTo must not be before dateFrom');
+  if (addDays(dateFrom, REPORT_MAX_DAYS - 1) < dateTo) {
+    throw badRequest(`A report covers at most ${REPORT_MAX_DAYS} days`);
   }
-});
+  return { tenantId: req.tenantId, dateFrom, dateTo, providerId: providerId === undefined ? undefined : Number(providerId) };
+}
+
+// A report row's group columns for ?groupBy
+const groupValues = (groupBy, row) => (groupBy === 'provider'
+  ? { ProviderId: row.provider_id, ProviderName: row.provider_name }
+  : { Period: row.period });
+
+// JSON array, or CSV with `columns` as header when ?format=csv
+async function sendReport(req, res, name, columns, rows) {
+  if (req.query.format !== 'csv') return res.json(rows);
+  res.type('text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${name}-${req.query.dateFrom}-${req.query.dateTo}.csv"`);
+  await pipeline(Readable.from(rows), stringifyCsv({ header: true, columns }), res);
+}
+
+const groupColumns = (groupBy) => (groupBy === 'provider' ? ['ProviderId', 'ProviderName'] : ['Period']);
 
 
 /**
  * @swagger
- * /patients/{id}:
- *   put:
- *     summary: Update a patient by ID
- *     tags: [Patients]
+ * /reports/appointments:
+ *   get:
+ *     summary: Appointments per period or provider, by status, with cancellation and no-show rates
+ *     tags: [Reports]
  *     parameters:
- *       - in: path
- *         name: id
- *         schema:
- *           type: integer
- *         required: true
- *         description: Patient ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *                 example: Jane Doe
- *               contact:
- *                 type: string
- *                 example: "+9876543210"
+ *       - $ref: '#/components/parameters/reportDateFrom'
+ *       - $ref: '#/components/parameters/reportDateTo'
+ *       - $ref: '#/components/parameters/reportProviderId'
+ *       - $ref: '#/components/parameters/reportGroupBy'
+ *       - $ref: '#/components/parameters/reportFormat'
  *     responses:
  *       200:
- *         description: Patient updated successfully
+ *         description: One row per group that has appointments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AppointmentReportRow'
+ *           text/csv:
+ *             schema:
+ *               type: string
  *       400:
- *         description: Invalid input
- *       404:
- *         description: Patient not found
- *       500:
- *         description: Database error
+ *         description: Invalid date range or query parameter
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 
-//--- Update Patient ---
-app.put('/patients/:id', async (req, res) => {
-  try {
-    const id = parseInt(req.params.id, 10);
-    const { name, contact } = req.body;
+app.get('/reports/appointments', authorize('admin'), async (req, res) => {
+  const { groupBy = 'day' } = req.query;
+  const rows = await storage.reports.statusCounts(reportScope(req), groupBy);
+  const report = rows.map((row) => {
+    const [checkedIn, completed, cancelled, noShow] =
+      [row.checked_in, row.completed, row.cancelled, row.no_show].map(Number);
+    return {
+      ...groupValues(groupBy, row),
+      Total: row.total,
+      Scheduled: Number(row.scheduled),
+      Confirmed: Number(row.confirmed),
+      CheckedIn: checkedIn,
+      Completed: completed,
+      Cancelled: cancelled,
+      NoShow: noShow,
+      CancellationRate: ratio(cancelled, row.total),
+      NoShowRate: ratio(noShow, checkedIn + completed + noShow)
+    };
+  });
+  await sendReport(req, res, 'appointments', [
+    ...groupColumns(req.query.groupBy), 'Total', 'Scheduled', 'Confirmed', 'CheckedIn', 'Completed', 'Cancelled',
+    'NoShow', 'CancellationRate', 'NoShowRate'
+  ], report);
+});
 
-    if (isNaN(id) || id <= 0) {
-      return res.status(400).json({ message: 'Invalid PatientId' });
-    }
 
-    if (!name || !contact) {
-      return res.status(400).json({ message: 'Name and contact are required' });
-    }
+/**
+ * @swagger
+ * /reports/utilization:
+ *   get:
+ *     summary: Booked versus available time per provider
+ *     description: >
+ *       Available time comes from the providers' current working hours, breaks and closures,
+ *       so changed schedules are applied to past dates too. With groupBy day, week or month
+ *       there is one row per provider and period.
+ *     tags: [Reports]
+ *     parameters:
+ *       - $ref: '#/components/parameters/reportDateFrom'
+ *       - $ref: '#/components/parameters/reportDateTo'
+ *       - $ref: '#/components/parameters/reportProviderId'
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month, provider]
+ *           default: provider
+ *       - $ref: '#/components/parameters/reportFormat'
+ *     responses:
+ *       200:
+ *         description: One row per provider (and period), leaving out periods without hours or bookings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/UtilizationReportRow'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid date range or query parameter
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 
-    const [result] = await pool.query(
-      'UPDATE patients SET name = ?, contact = ? WHERE id = ?',
-      [name, contact, id]
-    );
+app.get('/reports/utilization', authorize('admin'), async (req, res) => {
+  const scope = reportScope(req);
+  const { dateFrom, dateTo, groupBy = 'provider' } = req.query;
+  const providers = await storage.providers.list({
+    tenantId: req.tenantId,
+    ids: scope.providerId === undefined ? null : [scope.providerId],
+    orderBy: 'name, id'
+  });
+  const booked = await storage.reports.bookedByProviderDay(scope);
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ message: 'Patient not found' });
+  // One entry per provider, or per provider and period, in provider order
+  const groups = new Map();
+  const groupFor = (provider, date) => {
+    const period = groupBy === 'provider' ? null : periodOf(date, groupBy);
+    const key = `${provider.id}|${period}`;
+    if (!groups.has(key)) {
+      groups.set(key, { provider, period, available: 0, booked: 0, appointments: 0 });
     }
-
-    res.json({ message: 'Patient updated successfully' });
-  } catch (err) {
-    console.error('DB Error:', err);
-    res.status(500).json({ message: 'Database error', error: err.message });
+    return groups.get(key);
+  };
+  const byId = new Map(providers.map((provider) => [provider.id, provider]));
+  for (const provider of providers) {
+    const schedule = await loadProviderSchedule(provider.id, dateFrom, dateTo);
+    for (let date = dateFrom; date <= dateTo; date = addDays(date, 1)) {
+      const open = openIntervalsFor(schedule, date).reduce((sum, [start, end]) => sum + end - start, 0);
+      if (open > 0 || groupBy === 'provider') groupFor(provider, date).available += open;
+    }
+  }
+  for (const row of booked) {
+    if (!byId.has(row.provider_id)) continue;
+    const group = groupFor(byId.get(row.provider_id), row.appointment_date);
+    group.booked += Number(row.minutes);
+    group.appointments += row.appointments;
   }
+
+  const report = [...groups.values()]
+    .sort((a, b) => providers.indexOf(a.provider) - providers.indexOf(b.provider)
+      || String(a.period).localeCompare(String(b.period)))
+    .map((group) => ({
+      ...(groupBy === 'provider' ? {} : { Period: group.period }),
+      ProviderId: group.provider.id,
+      ProviderName: group.provider.name,
+      AvailableMinutes: group.available,
+      BookedMinutes: group.booked,
+      Appointments: group.appointments,
+      Utilization: ratio(group.booked, group.available)
+    }));
+  await sendReport(req, res, 'utilization', [
+    ...(groupBy === 'provider' ? [] : ['Period']), 'ProviderId', 'ProviderName', 'AvailableMinutes', 'BookedMinutes',
+    'Appointments', 'Utilization'
+  ], report);
 });
 
 
 /**
  * @swagger
- * /patients/{id}:
- *   delete:
- *     summary: Delete a patient by ID
- *     tags: [Patients]
+ * /reports/lead-time:
+ *   get:
+ *     summary: How far ahead appointments are booked
+ *     description: Lead time is the time from creating the appointment to its start, cancelled ones included.
+ *     tags: [Reports]
  *     parameters:
- *       - in: path
- *         name: id
- *         schema:
- *           type: integer
- *         required: true
- *         description: Patient ID
+ *       - $ref: '#/components/parameters/reportDateFrom'
+ *       - $ref: '#/components/parameters/reportDateTo'
+ *       - $ref: '#/components/parameters/reportProviderId'
+ *       - $ref: '#/components/parameters/reportGroupBy'
+ *       - $ref: '#/components/parameters/reportFormat'
  *     responses:
  *       200:
- *         description: Patient deleted successfully
- *       404:
- *         description: Patient not found
- *       500:
- *         description: Database error
+ *         description: One row per group that has appointments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/LeadTimeReportRow'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid date range or query parameter
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 
-// --- Delete Patient ---
-app.delete('/patients/:id', async (req, res) => {
-  try {
-    const id = parseInt(req.params.id, 10);
-    if (isNaN(id) || id <= 0) {
-      return res.status(400).json({ message: 'Invalid PatientId' });
-    }
+app.get('/reports/lead-time', authorize('admin'), async (req, res) => {
+  const { groupBy = 'day' } = req.query;
+  const rows = await storage.reports.leadTimes(reportScope(req), groupBy);
+  const report = rows.map((row) => ({
+    ...groupValues(groupBy, row),
+    Appointments: row.appointments,
+    AverageLeadHours: toHours(row.average),
+    MinLeadHours: toHours(row.min),
+    MaxLeadHours: toHours(row.max),
+    LeadUnder1Day: Number(row.under_1_day),
+    Lead1To7Days: Number(row.days_1_to_7),
+    Lead7To30Days: Number(row.days_7_to_30),
+    LeadOver30Days: Number(row.over_30_days)
+  }));
+  await sendReport(req, res, 'lead-time', [
+    ...groupColumns(req.query.groupBy), 'Appointments', 'AverageLeadHours', 'MinLeadHours', 'MaxLeadHours',
+    'LeadUnder1Day', 'Lead1To7Days', 'Lead7To30Days', 'LeadOver30Days'
+  ], report);
+});
 
-    const [result] = await pool.query(
-      'DELETE FROM patients WHERE id = ?',
-      [id]
-    );
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ message: 'Patient not found' });
-    }
+/**
+ * @swagger
+ * /reports/busiest-hours:
+ *   get:
+ *     summary: Appointments by weekday and starting hour, busiest first
+ *     description: Cancelled appointments are left out.
+ *     tags: [Reports]
+ *     parameters:
+ *       - $ref: '#/components/parameters/reportDateFrom'
+ *       - $ref: '#/components/parameters/reportDateTo'
+ *       - $ref: '#/components/parameters/reportProviderId'
+ *       - $ref: '#/components/parameters/reportFormat'
+ *     responses:
+ *       200:
+ *         description: One row per weekday and hour that has appointments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/BusiestHoursReportRow'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid date range or query parameter
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
 
-    res.json({ message: 'Patient deleted successfully' });
-  } catch (err) {
-    console.error('DB Error:', err);
-    res.status(500).json({ message: 'Database error', error: err.message });
-  }
+app.get('/reports/busiest-hours', authorize('admin'), async (req, res) => {
+  const rows = await storage.reports.busiestHours(reportScope(req));
+  const report = rows.map((row) => ({
+    Weekday: row.weekday,
+    Hour: row.hour,
+    Appointments: row.appointments,
+    BookedMinutes: Number(row.minutes)
+  }));
+  await sendReport(req, res, 'busiest-hours', ['Weekday', 'Hour', 'Appointments', 'BookedMinutes'], report);
 });
 
 
+// --- Webhooks ---
 /**
  * @swagger
  * tags:
- *   name: Appointments
- *   description: API to manage appointments
+ *   name: Webhooks
+ *   description: >
+ *     Outbound notifications of patient and appointment changes. Each delivery is a POST of a
+ *     WebhookPayload signed with the webhook's secret: X-Webhook-Signature is "sha256=" followed by
+ *     the hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<raw body>". Failed deliveries are retried
+ *     with exponential backoff up to WEBHOOK_MAX_ATTEMPTS times.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookEvent:
+ *       type: string
+ *       enum:
+ *         - patient.created
+ *         - patient.updated
+ *         - patient.deleted
+ *         - patient.restored
+ *         - appointment.created
+ *         - appointment.updated
+ *         - appointment.rescheduled
+ *         - appointment.status_changed
+ *         - appointment.cancelled
+ *         - appointment.deleted
+ *         - appointment.restored
+ *       description: >
+ *         appointment.rescheduled is sent when the time or provider changes, appointment.status_changed
+ *         for confirm, check-in, complete and no-show. DELETE /appointments/{id} cancels, so it sends
+ *         appointment.cancelled; appointment.deleted is sent when an appointment is archived with
+ *         its patient.
+ *     Webhook:
+ *       type: object
+ *       properties:
+ *         WebhookId:
+ *           type: integer
+ *         Url:
+ *           type: string
+ *           example: https://ehr.example.com/hooks/clinic
+ *         Events:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/WebhookEvent'
+ *         Description:
+ *           type: string
+ *           nullable: true
+ *         Active:
+ *           type: boolean
+ *         Secret:
+ *           type: string
+ *           description: Only returned when the webhook is created or its secret is changed
+ *         CreatedAt:
+ *           type: string
+ *           format: date-time
+ *     WebhookInput:
+ *       type: object
+ *       required: [Url, Events]
+ *       additionalProperties: false
+ *       properties:
+ *         Url:
+ *           type: string
+ *           pattern: '^https?://'
+ *           maxLength: 2048
+ *         Events:
+ *           type: array
+ *           minItems: 1
+ *           uniqueItems: true
+ *           items:
+ *             $ref: '#/components/schemas/WebhookEvent'
+ *         Description:
+ *           type: string
+ *           nullable: true
+ *           maxLength: 255
+ *         Active:
+ *           type: boolean
+ *           default: true
+ *         Secret:
+ *           type: string
+ *           minLength: 16
+ *           maxLength: 255
+ *           description: Signing secret; generated when a webhook is created without one, kept when omitted on update
+ *     WebhookPayload:
+ *       type: object
+ *       properties:
+ *         Event:
+ *           $ref: '#/components/schemas/WebhookEvent'
+ *         OccurredAt:
+ *           type: string
+ *           format: date-time
+ *         OrganizationId:
+ *           type: integer
+ *         Data:
+ *           description: The patient or appointment after the change (before it, for deletes)
+ *           oneOf:
+ *             - $ref: '#/components/schemas/Patient'
+ *             - $ref: '#/components/schemas/Appointment'
+ *         Previous:
+ *           description: The record before the change; only on updates
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         DeliveryId:
+ *           type: integer
+ *         WebhookId:
+ *           type: integer
+ *         Event:
+ *           $ref: '#/components/schemas/WebhookEvent'
+ *         Payload:
+ *           $ref: '#/components/schemas/WebhookPayload'
+ *         Status:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *         Attempts:
+ *           type: integer
+ *         NextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         ResponseStatus:
+ *           type: integer
+ *           nullable: true
+ *           description: HTTP status of the last attempt; null when the receiver could not be reached
+ *         LastError:
+ *           type: string
+ *           nullable: true
+ *         DeliveredAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         RedeliveryOf:
+ *           type: integer
+ *           nullable: true
+ *           description: The delivery this one repeats
+ *         CreatedAt:
+ *           type: string
+ *           format: date-time
+ *   parameters:
+ *     webhookId:
+ *       in: path
+ *       name: id
+ *       required: true
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *       description: Webhook ID
  */
 
+// Url must be an absolute http(s) URL; the schema only checks the scheme
+function assertWebhookUrl(url) {
+  if (!URL.canParse(url)) throw badRequest('Url must be an absolute http or https URL');
+}
+
+async function fetchWebhook(req, id) {
+  const webhook = await storage.webhooks.findById(id, { tenantId: req.tenantId });
+  if (!webhook) throw notFound('Webhook not found');
+  return webhook;
+}
+
 
 /**
  * @swagger
- * /appointments:
+ * /webhooks:
  *   get:
- *     summary: Get all appointments
- *     tags: [Appointments]
+ *     summary: Get the organization's webhooks
+ *     tags: [Webhooks]
  *     responses:
  *       200:
- *         description: List of all appointments
+ *         description: List of webhooks
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 type: object
- *                 properties:
- *                   AppointmentId:
- *                     type: integer
- *                     example: 1
- *                   PatientId:
- *                     type: integer
- *                     example: 10
- *                   AppointmentDate:
- *                     type: string
- *                     format: date
- *                     example: "2025-08-19"
- *                   AppointmentTime:
- *                     type: string
- *                     example: "14:30"
- *                   Reason:
- *                     type: string
- *                     example: "Routine checkup"
- *       500:
- *         description: Database error
- */
-
-
-app.get('/appointments', async (req, res) => {
-  try {
-    const [rows] = await pool.query(
-      'SELECT * FROM appointments ORDER BY patient_id'
-    );
-    console.log("Appointments fetched:", rows); 
-    res.json(rows);
-  } catch (err) {
-    console.error('DB Error:', err); 
-    res.status(500).json({ message: 'Database error', error: err.message });
-  }
-});
-
-
-
-/**
- * @swagger
- * /appointments:
+ *                 $ref: '#/components/schemas/Webhook'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *   post:
- *     summary: Create a new appointment
- *     tags: [Appointments]
+ *     summary: Subscribe a URL to events
+ *     description: The response is the only place the generated secret is shown.
+ *     tags: [Webhooks]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - PatientId
- *               - AppointmentDate
- *               - AppointmentTime
- *               - Reason
- *             properties:
- *               PatientId:
- *                 type: integer
- *                 description: ID of the patient
- *                 example: 1
- *               AppointmentDate:
- *                 type: string
- *                 format: date
- *                 description: Date of the appointment (YYYY-MM-DD)
- *                 example: "2025-08-20"
- *               AppointmentTime:
- *                 type: string
- *                 description: Time of the appointment (HH:MM 24h format)
- *                 example: "14:30"
- *               Reason:
- *                 type: string
- *                 description: Reason for the appointment
- *                 example: "Routine check-up"
+ *             $ref: '#/components/schemas/WebhookInput'
  *     responses:
  *       201:
- *         description: Appointment created successfully
+ *         description: Webhook created
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 AppointmentId:
- *                   type: integer
- *                   example: 123
- *                 PatientId:
- *                   type: integer
- *                   example: 1
- *                 AppointmentDate:
- *                   type: string
- *                   example: "2025-08-20"
- *                 AppointmentTime:
- *                   type: string
- *                   example: "14:30"
- *                 Reason:
- *                   type: string
- *                   example: "Routine check-up"
+ *               $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
 
-
-// --- Create Appointment ---
-app.post('/appointments', async (req, res) => {
-  const { PatientId, AppointmentDate, AppointmentTime, Reason } = req.body || {};
-
-  if (!Number.isInteger(PatientId) || PatientId <= 0) {
-    return res.status(400).json({ message: 'Invalid PatientId' });
-  }
-  if (!isValidDate(AppointmentDate)) {
-    return res.status(400).json({ message: "AppointmentDate must be 'YYYY-MM-DD'" });
-  }
-  if (!isValidTime(AppointmentTime)) {
-    return res.status(400).json({ message: "AppointmentTime must be 'HH:MM' (24h)" });
-  }
-  if (!Reason || typeof Reason !== 'string' || !Reason.trim()) {
-    return res.status(400).json({ message: 'Reason is required' });
-  }
-
-  if (!(await ensurePatientExists(PatientId))) {
-    return res.status(404).json({ message: 'Patient not found' });
-  }
-  if (await isSlotTaken(PatientId, AppointmentDate, AppointmentTime)) {
-    return res.status(409).json({ message: 'This time slot is already booked for this patient' });
-  }
-
-  const [result] = await pool.query(
-    'INSERT INTO appointments (patient_id, appointment_date, appointment_time, reason) VALUES (?, ?, ?, ?)',
-    [PatientId, AppointmentDate, AppointmentTime, Reason.trim()]
-  );
-
-res.status(201).json({
-  id: result.insertId,          
-  patient_id: PatientId,        
-  appointment_date: AppointmentDate,
-  appointment_time: AppointmentTime,
-  reason: Reason.trim(),
-  message: 'Appointment created successfully'
+app.get('/webhooks', authorize('admin'), async (req, res) => {
+  const rows = await storage.webhooks.list(req.tenantId);
+  res.json(rows.map((row) => serializeWebhook(row)));
 });
+
+app.post('/webhooks', authorize('admin'), async (req, res) => {
+  const { Url, Events, Description, Active = true } = req.body;
+  assertWebhookUrl(Url);
+  const secret = req.body.Secret || generateSecret();
+  const created = await storage.webhooks.insert({
+    organization_id: req.tenantId,
+    url: Url,
+    events: Events,
+    secret,
+    description: Description || null,
+    active: Active
+  });
+  res.status(201).json(serializeWebhook(created, secret));
 });
 
 
 /**
  * @swagger
- * /appointments/{id}:
+ * /webhooks/{id}:
  *   get:
- *     summary: Get an appointment by ID
- *     tags: [Appointments]
+ *     summary: Get a webhook by ID
+ *     tags: [Webhooks]
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *         description: Appointment ID
+ *       - $ref: '#/components/parameters/webhookId'
  *     responses:
  *       200:
- *         description: Appointment details
+ *         description: Webhook details
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 AppointmentId:
- *                   type: integer
- *                   example: 1
- *                 PatientId:
- *                   type: integer
- *                   example: 10
- *                 AppointmentDate:
- *                   type: string
- *                   format: date
- *                   example: "2025-08-19"
- *                 AppointmentTime:
- *                   type: string
- *                   example: "14:30"
- *                 Reason:
- *                   type: string
- *                   example: "Routine checkup"
+ *               $ref: '#/components/schemas/Webhook'
  *       404:
- *         description: Appointment not found
- */
-
-
-// --- Get Appointment ---
-app.get('/appointments/:id', async (req, res) => {
-  const id = parseInt(req.params.id, 10);
-  const [rows] = await pool.query(
-    'SELECT id as AppointmentId, patient_id as PatientId, appointment_date as AppointmentDate, appointment_time as AppointmentTime, reason as Reason FROM appointments WHERE id = ?',
-    [id]
-  );
-  if (rows.length === 0) return res.status(404).json({ message: 'Appointment not found' });
-  res.json(rows[0]);
-});
-
-
-/**
- * @swagger
- * /appointments/{id}:
+ *         description: Webhook not found
  *   put:
- *     summary: Update an appointment by ID
- *     tags: [Appointments]
+ *     summary: Update a webhook
+ *     description: >
+ *       Replaces Url, Events, Description and Active. Deliveries queued while a webhook is
+ *       inactive are sent once it is active again.
+ *     tags: [Webhooks]
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *         description: Appointment ID
+ *       - $ref: '#/components/parameters/webhookId'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               AppointmentDate:
- *                 type: string
- *                 format: date
- *                 example: 2025-08-20
- *               AppointmentTime:
- *                 type: string
- *                 example: "14:30"
- *               Reason:
- *                 type: string
- *                 example: "Updated reason"
+ *             $ref: '#/components/schemas/WebhookInput'
  *     responses:
  *       200:
- *         description: Appointment updated successfully
+ *         description: Webhook updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
  *       400:
  *         description: Invalid input
  *       404:
- *         description: Appointment not found
- *       409:
- *         description: Time slot already booked
+ *         description: Webhook not found
+ *   delete:
+ *     summary: Delete a webhook and its delivery log
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/webhookId'
+ *     responses:
+ *       204:
+ *         description: Webhook deleted
+ *       404:
+ *         description: Webhook not found
  */
 
+app.get('/webhooks/:id', authorize('admin'), async (req, res) => {
+  res.json(serializeWebhook(await fetchWebhook(req, parseInt(req.params.id, 10))));
+});
 
-//--- Update Appointment ---
-app.put('/appointments/:id', async (req, res) => {
+app.put('/webhooks/:id', authorize('admin'), async (req, res) => {
   const id = parseInt(req.params.id, 10);
-  const [rows] = await pool.query('SELECT * FROM appointments WHERE id = ?', [id]);
-  if (rows.length === 0) return res.status(404).json({ message: 'Appointment not found' });
-  const appt = rows[0];
+  const { Url, Events, Description, Active = true, Secret } = req.body;
+  assertWebhookUrl(Url);
+  // Without Secret the current one is kept
+  const updated = await storage.webhooks.update(id, {
+    url: Url,
+    events: Events,
+    description: Description || null,
+    active: Active,
+    ...(Secret && { secret: Secret })
+  }, { tenantId: req.tenantId });
+  if (!updated) throw notFound('Webhook not found');
+  res.json(serializeWebhook(updated, Secret));
+});
 
-  const { AppointmentDate, AppointmentTime, Reason } = req.body || {};
-  if (AppointmentDate && !isValidDate(AppointmentDate)) {
-    return res.status(400).json({ message: "AppointmentDate must be 'YYYY-MM-DD'" });
-  }
-  if (AppointmentTime && !isValidTime(AppointmentTime)) {
-    return res.status(400).json({ message: "AppointmentTime must be 'HH:MM' (24h)" });
-  }
+app.delete('/webhooks/:id', authorize('admin'), async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!(await storage.webhooks.delete(id, { tenantId: req.tenantId }))) throw notFound('Webhook not found');
+  res.status(204).end();
+});
 
-  const newDate = AppointmentDate || appt.appointment_date;
-  const newTime = AppointmentTime || appt.appointment_time;
-  const newReason = (typeof Reason === 'string' && Reason.trim()) || appt.reason;
 
-  if ((await isSlotTaken(appt.patient_id, newDate, newTime)) &&
-      !(newDate === appt.appointment_date && newTime === appt.appointment_time)) {
-    return res.status(409).json({ message: 'This time slot is already booked for this patient' });
-  }
+/**
+ * @swagger
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Delivery log of a webhook
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/webhookId'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           $ref: '#/components/schemas/WebhookEvent'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/offset'
+ *     responses:
+ *       200:
+ *         description: A page of deliveries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       404:
+ *         description: Webhook not found
+ */
 
-  await pool.query(
-    'UPDATE appointments SET appointment_date = ?, appointment_time = ?, reason = ? WHERE id = ?',
-    [newDate, newTime, newReason, id]
-  );
+app.get('/webhooks/:id/deliveries', authorize('admin'), async (req, res) => {
+  const { limit, offset, error: pageError } = parsePagination(req.query);
+  if (pageError) throw badRequest(pageError);
+  const webhook = await fetchWebhook(req, parseInt(req.params.id, 10));
 
-  res.json({
-    AppointmentId: id,
-    PatientId: appt.patient_id,
-    AppointmentDate: newDate,
-    AppointmentTime: newTime,
-    Reason: newReason,
-    Message: 'Appointment updated successfully'
+  const { rows, total } = await storage.webhookDeliveries.list({
+    webhookId: webhook.id, status: req.query.status, event: req.query.event, limit, offset
   });
+  res.json({ data: rows.map(serializeWebhookDelivery), pagination: { total, limit, offset } });
 });
 
 
 /**
  * @swagger
- * /appointments/{id}:
- *   delete:
- *     summary: Delete an appointment by ID
- *     tags: [Appointments]
+ * /webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a delivery again
+ *     description: >
+ *       Queues a copy of the delivery, with the same event and payload, to be sent by the next
+ *       worker run. The original stays in the log unchanged. Receivers can recognise repeats by
+ *       RedeliveryOf in the log, not by the payload, which is identical.
+ *     tags: [Webhooks]
  *     parameters:
+ *       - $ref: '#/components/parameters/webhookId'
  *       - in: path
- *         name: id
+ *         name: deliveryId
  *         required: true
  *         schema:
  *           type: integer
- *         description: Appointment ID
+ *           minimum: 1
+ *         description: Delivery ID
  *     responses:
- *       200:
- *         description: Appointment deleted successfully
+ *       202:
+ *         description: Redelivery queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
  *       404:
- *         description: Appointment not found
+ *         description: Webhook or delivery not found
  */
 
-
-// --- Delete Appointment ---
-app.delete('/appointments/:id', async (req, res) => {
-  const id = parseInt(req.params.id, 10);
-  const [result] = await pool.query('DELETE FROM appointments WHERE id = ?', [id]);
-  if (result.affectedRows === 0) return res.status(404).json({ message: 'Appointment not found' });
-  res.json({ AppointmentId: id, Message: 'Appointment deleted successfully' });
+app.post('/webhooks/:id/deliveries/:deliveryId/redeliver', authorize('admin'), async (req, res) => {
+  const webhook = await fetchWebhook(req, parseInt(req.params.id, 10));
+  const delivery = await storage.webhookDeliveries.findById(parseInt(req.params.deliveryId, 10), { webhookId: webhook.id });
+  if (!delivery) throw notFound('Delivery not found');
+  const queued = await redeliver(null, delivery);
+  res.status(202).json(serializeWebhookDelivery(queued));
 });
 
 
@@ -719,6 +8326,7 @@ app.delete('/appointments/:id', async (req, res) => {
  * /:
  *   get:
  *     summary: Test API status
+ *     security: []
  *     responses:
  *       200:
  *         description: API is running
@@ -727,6 +8335,42 @@ app.get('/', async (req, res) => {
   res.json({ status: 'ok', docs: '/api-docs' });
 });
 
+// --- Error handling ---
+app.use((req, res, next) => {
+  next(notFound(`Cannot ${req.method} ${req.path}`));
+});
+
+app.use((err, req, res, next) => {
+  // A streamed response (CSV export) failed halfway; let Express close the connection
+  if (res.headersSent) return next(err);
+  if (err instanceof ApiError) {
+    return res.status(err.status).json({
+      error: { code: err.code, message: err.message, ...(err.details && { details: err.details }) }
+    });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: { code: 'INVALID_JSON', message: 'Request body is not valid JSON' } });
+  }
+  if (err.expose && err.status < 500) {
+    return res.status(err.status).json({ error: { code: 'BAD_REQUEST', message: err.message } });
+  }
+  // Two requests locked the same rows in opposite order, or waited too long
+  // for each other; the loser is rolled back and can simply retry
+  if (err.code === 'ER_LOCK_DEADLOCK' || err.code === 'ER_LOCK_WAIT_TIMEOUT') {
+    return res.status(409).json({
+      error: { code: 'CONCURRENT_UPDATE', message: 'Another request is changing the same records; try again' }
+    });
+  }
+  if (err.code === 'ER_ROW_IS_REFERENCED_2') {
+    return res.status(409).json({
+      error: { code: 'RECORD_IN_USE', message: 'Record is still referenced by other records' }
+    });
+  }
+
+  console.error(`Unhandled error (request ${req.id}):`, err);
+  res.status(500).json({ error: { code: 'INTERNAL_ERROR', message: 'Internal server error' } });
+});
+
 // ✅ Export app for Vercel serverless
 module.exports = app;
 
@@ -0,0 +1,106 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { pool } = require('./db');
+
+// Migrations are files named NNN_description.js in ./migrations exporting
+// async up(conn) and down(conn). Applied versions are recorded in
+// schema_migrations. MySQL commits DDL implicitly, so a migration that
+// fails halfway is not rolled back and has to be fixed by hand.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const LOCK_NAME = 'schema_migrations';
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map((file) => file.match(/^(\d+)_(\w+)\.js$/))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version: Number(version), name, file }))
+    .sort((a, b) => a.version - b.version);
+}
+
+async function appliedVersions(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  const [rows] = await conn.query('SELECT version, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(rows.map((row) => [row.version, row.applied_at]));
+}
+
+async function up(conn) {
+  const applied = await appliedVersions(conn);
+  const pending = loadMigrations().filter((m) => !applied.has(m.version));
+  if (pending.length === 0) {
+    console.log('Nothing to migrate');
+    return;
+  }
+  for (const migration of pending) {
+    console.log(`Applying ${migration.file}`);
+    await require(path.join(MIGRATIONS_DIR, migration.file)).up(conn);
+    await conn.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+  }
+}
+
+// Reverts the last `steps` applied migrations, newest first
+async function down(conn, steps) {
+  const applied = await appliedVersions(conn);
+  const targets = loadMigrations().filter((m) => applied.has(m.version)).reverse().slice(0, steps);
+  if (targets.length === 0) {
+    console.log('Nothing to roll back');
+    return;
+  }
+  for (const migration of targets) {
+    console.log(`Reverting ${migration.file}`);
+    await require(path.join(MIGRATIONS_DIR, migration.file)).down(conn);
+    await conn.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+  }
+}
+
+async function status(conn) {
+  const applied = await appliedVersions(conn);
+  for (const migration of loadMigrations()) {
+    const appliedAt = applied.get(migration.version);
+    console.log(`${appliedAt ? 'applied' : 'pending'}  ${migration.file}${appliedAt ? `  (${appliedAt.toISOString()})` : ''}`);
+  }
+}
+
+const COMMANDS = {
+  up: (conn) => up(conn),
+  down: (conn, [steps = '1']) => {
+    const count = Number(steps);
+    if (!Number.isInteger(count) || count < 1) throw new Error('down takes a positive number of steps');
+    return down(conn, count);
+  },
+  status: (conn) => status(conn)
+};
+
+async function main([command, ...args]) {
+  if (!COMMANDS[command]) {
+    console.error('Usage: node migrate.js <up|down [steps]|status>');
+    process.exitCode = 1;
+    return;
+  }
+  const conn = await pool.getConnection();
+  try {
+    // Keeps two deploys from migrating the same database at once
+    const [[{ locked }]] = await conn.query('SELECT GET_LOCK(?, 10) AS locked', [LOCK_NAME]);
+    if (locked !== 1) throw new Error('Another migration is running');
+    try {
+      await COMMANDS[command](conn, args);
+    } finally {
+      await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+  } finally {
+    conn.release();
+  }
+}
+
+main(process.argv.slice(2))
+  .catch((err) => {
+    console.error('Migration failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,29 @@
+// The original schema: patients and their appointments.
+module.exports = {
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS patients (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        contact VARCHAR(255)
+      )
+    `);
+
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS appointments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        patient_id INT NOT NULL,
+        appointment_date DATE NOT NULL,
+        appointment_time TIME NOT NULL,
+        reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (patient_id) REFERENCES patients(id)
+      )
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS appointments');
+    await conn.query('DROP TABLE IF EXISTS patients');
+  }
+};
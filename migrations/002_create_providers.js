@@ -0,0 +1,24 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('../db');
+
+// Providers, and the provider seeing each appointment. Appointments booked
+// before providers existed keep a NULL provider_id; they get one assigned
+// the next time they are updated via PUT.
+module.exports = {
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS providers (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        specialty VARCHAR(255),
+        contact VARCHAR(255)
+      )
+    `);
+    await addColumnIfMissing(conn, 'appointments', 'provider_id',
+      'INT NULL AFTER patient_id, ADD FOREIGN KEY (provider_id) REFERENCES providers(id)');
+  },
+
+  async down(conn) {
+    await dropColumnIfExists(conn, 'appointments', 'provider_id');
+    await conn.query('DROP TABLE IF EXISTS providers');
+  }
+};
@@ -0,0 +1,14 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('../db');
+
+module.exports = {
+  async up(conn) {
+    await addColumnIfMissing(conn, 'providers', 'default_duration_minutes', 'INT NULL');
+    await addColumnIfMissing(conn, 'appointments', 'duration_minutes',
+      'INT NOT NULL DEFAULT 30 AFTER appointment_time');
+  },
+
+  async down(conn) {
+    await dropColumnIfExists(conn, 'appointments', 'duration_minutes');
+    await dropColumnIfExists(conn, 'providers', 'default_duration_minutes');
+  }
+};
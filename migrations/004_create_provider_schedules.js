@@ -0,0 +1,46 @@
+module.exports = {
+  async up(conn) {
+    // Weekly templates use JS weekday numbers: 0 = Sunday ... 6 = Saturday
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS provider_working_hours (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        provider_id INT NOT NULL,
+        weekday TINYINT NOT NULL,
+        start_time TIME NOT NULL,
+        end_time TIME NOT NULL,
+        FOREIGN KEY (provider_id) REFERENCES providers(id) ON DELETE CASCADE
+      )
+    `);
+
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS provider_breaks (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        provider_id INT NOT NULL,
+        weekday TINYINT NOT NULL,
+        start_time TIME NOT NULL,
+        end_time TIME NOT NULL,
+        label VARCHAR(255),
+        FOREIGN KEY (provider_id) REFERENCES providers(id) ON DELETE CASCADE
+      )
+    `);
+
+    // provider_id NULL closes the whole clinic; NULL times close the whole day
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS closures (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        provider_id INT NULL,
+        closure_date DATE NOT NULL,
+        start_time TIME NULL,
+        end_time TIME NULL,
+        reason VARCHAR(255),
+        FOREIGN KEY (provider_id) REFERENCES providers(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS closures');
+    await conn.query('DROP TABLE IF EXISTS provider_breaks');
+    await conn.query('DROP TABLE IF EXISTS provider_working_hours');
+  }
+};
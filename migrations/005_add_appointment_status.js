@@ -0,0 +1,20 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('../db');
+
+const TIMESTAMP_COLUMNS = ['confirmed_at', 'checked_in_at', 'completed_at', 'cancelled_at', 'no_show_at'];
+
+module.exports = {
+  async up(conn) {
+    await addColumnIfMissing(conn, 'appointments', 'status',
+      "ENUM('scheduled', 'confirmed', 'checked_in', 'completed', 'cancelled', 'no_show') NOT NULL DEFAULT 'scheduled' AFTER reason");
+    await addColumnIfMissing(conn, 'appointments', 'cancellation_reason', 'TEXT NULL AFTER status');
+    for (const column of TIMESTAMP_COLUMNS) {
+      await addColumnIfMissing(conn, 'appointments', column, 'DATETIME NULL');
+    }
+  },
+
+  async down(conn) {
+    for (const column of [...TIMESTAMP_COLUMNS, 'cancellation_reason', 'status']) {
+      await dropColumnIfExists(conn, 'appointments', column);
+    }
+  }
+};
@@ -0,0 +1,33 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('../db');
+
+module.exports = {
+  async up(conn) {
+    // Recurrence rule of a series; each occurrence is a row in appointments
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS appointment_series (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        patient_id INT NOT NULL,
+        provider_id INT NOT NULL,
+        frequency ENUM('daily', 'weekly') NOT NULL,
+        interval_count INT NOT NULL DEFAULT 1,
+        start_date DATE NOT NULL,
+        until_date DATE NULL,
+        occurrence_count INT NULL,
+        appointment_time TIME NOT NULL,
+        duration_minutes INT NOT NULL,
+        reason TEXT,
+        cancelled_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (patient_id) REFERENCES patients(id),
+        FOREIGN KEY (provider_id) REFERENCES providers(id)
+      )
+    `);
+    await addColumnIfMissing(conn, 'appointments', 'series_id',
+      'INT NULL, ADD FOREIGN KEY (series_id) REFERENCES appointment_series(id)');
+  },
+
+  async down(conn) {
+    await dropColumnIfExists(conn, 'appointments', 'series_id');
+    await conn.query('DROP TABLE IF EXISTS appointment_series');
+  }
+};
@@ -0,0 +1,21 @@
+module.exports = {
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        email VARCHAR(255) NOT NULL UNIQUE,
+        password_hash VARCHAR(255) NOT NULL,
+        role ENUM('admin', 'receptionist', 'provider', 'patient') NOT NULL,
+        patient_id INT NULL,
+        provider_id INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+        FOREIGN KEY (provider_id) REFERENCES providers(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS users');
+  }
+};
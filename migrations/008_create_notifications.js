@@ -0,0 +1,30 @@
+module.exports = {
+  async up(conn) {
+    // Outbox of messages to send; the worker picks up pending rows whose
+    // next_attempt_at has passed. recipient is the patient's contact at the
+    // time the reminder was queued.
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        appointment_id INT NOT NULL,
+        kind VARCHAR(32) NOT NULL DEFAULT 'reminder',
+        channel ENUM('email', 'sms') NOT NULL,
+        recipient VARCHAR(255) NOT NULL,
+        offset_minutes INT NOT NULL,
+        send_at DATETIME NOT NULL,
+        status ENUM('pending', 'sent', 'failed', 'cancelled') NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        next_attempt_at DATETIME NOT NULL,
+        last_error TEXT NULL,
+        sent_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_notifications_due (status, next_attempt_at),
+        FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS notifications');
+  }
+};
@@ -0,0 +1,30 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('../db');
+
+module.exports = {
+  async up(conn) {
+    // iCalendar SEQUENCE: bumped whenever a calendar client should replace
+    // its copy of the event (reschedule, cancellation)
+    await addColumnIfMissing(conn, 'appointments', 'sequence', 'INT NOT NULL DEFAULT 0');
+
+    // Feed URLs carry a token instead of a bearer header because calendar
+    // clients cannot send one. Only the SHA-256 of the token is stored.
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        owner_type ENUM('patient', 'provider') NOT NULL,
+        owner_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        label VARCHAR(255) NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        revoked_at DATETIME NULL,
+        INDEX idx_calendar_feed_tokens_owner (owner_type, owner_id)
+      )
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS calendar_feed_tokens');
+    await dropColumnIfExists(conn, 'appointments', 'sequence');
+  }
+};
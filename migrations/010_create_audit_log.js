@@ -0,0 +1,26 @@
+module.exports = {
+  async up(conn) {
+    // Append-only: the API only ever inserts here. Entries outlive the records
+    // they describe, so there are no foreign keys. `changes` maps API field
+    // names to { from, to }.
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        entity VARCHAR(32) NOT NULL,
+        entity_id INT NOT NULL,
+        action VARCHAR(32) NOT NULL,
+        actor_user_id INT NULL,
+        actor_role VARCHAR(32) NULL,
+        request_id VARCHAR(64) NULL,
+        changes JSON NOT NULL,
+        created_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+        INDEX idx_audit_log_entity (entity, entity_id, id),
+        INDEX idx_audit_log_created_at (created_at)
+      )
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS audit_log');
+  }
+};
@@ -0,0 +1,60 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('../db');
+
+// Structured patient fields next to the original name/contact, which stay as
+// the display name and a free-text fallback.
+const COLUMNS = [
+  ['first_name', 'VARCHAR(100) NULL'],
+  ['last_name', 'VARCHAR(100) NULL'],
+  ['date_of_birth', 'DATE NULL'],
+  ['sex', "ENUM('female', 'male', 'other', 'unknown') NULL"],
+  ['email', 'VARCHAR(255) NULL'],
+  ['phone', 'VARCHAR(16) NULL'],
+  ['address_line1', 'VARCHAR(255) NULL'],
+  ['address_line2', 'VARCHAR(255) NULL'],
+  ['address_city', 'VARCHAR(100) NULL'],
+  ['address_region', 'VARCHAR(100) NULL'],
+  ['address_postal_code', 'VARCHAR(20) NULL'],
+  ['address_country', 'CHAR(2) NULL'],
+  ['emergency_contact_name', 'VARCHAR(255) NULL'],
+  ['emergency_contact_phone', 'VARCHAR(16) NULL'],
+  ['emergency_contact_relationship', 'VARCHAR(100) NULL'],
+  ['mrn', 'VARCHAR(64) NULL']
+];
+
+module.exports = {
+  async up(conn) {
+    for (const [column, definition] of COLUMNS) {
+      await addColumnIfMissing(conn, 'patients', column, definition);
+    }
+    await conn.query(`
+      ALTER TABLE patients
+        ADD INDEX idx_patients_name (last_name, first_name),
+        ADD INDEX idx_patients_date_of_birth (date_of_birth),
+        ADD INDEX idx_patients_phone (phone),
+        ADD UNIQUE INDEX uq_patients_mrn (mrn)
+    `);
+
+    // Best-effort backfill: the last word of name is the last name, and a
+    // contact that is clearly an email or an E.164 number is copied over.
+    await conn.query(`
+      UPDATE patients
+      SET last_name = SUBSTRING_INDEX(TRIM(name), ' ', -1),
+          first_name = NULLIF(TRIM(LEFT(TRIM(name), CHAR_LENGTH(TRIM(name)) - CHAR_LENGTH(SUBSTRING_INDEX(TRIM(name), ' ', -1)))), '')
+      WHERE first_name IS NULL AND last_name IS NULL
+    `);
+    await conn.query(`
+      UPDATE patients SET email = TRIM(contact)
+      WHERE email IS NULL AND TRIM(contact) REGEXP '^[^@[:space:]]+@[^@[:space:]]+\\\\.[^@[:space:]]+$'
+    `);
+    await conn.query(`
+      UPDATE patients SET phone = REGEXP_REPLACE(contact, '[[:space:]().-]', '')
+      WHERE phone IS NULL AND REGEXP_REPLACE(contact, '[[:space:]().-]', '') REGEXP '^\\\\+[1-9][0-9]{1,14}$'
+    `);
+  },
+
+  async down(conn) {
+    for (const [column] of [...COLUMNS].reverse()) {
+      await dropColumnIfExists(conn, 'patients', column);
+    }
+  }
+};
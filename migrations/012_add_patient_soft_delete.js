@@ -0,0 +1,17 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('../db');
+
+module.exports = {
+  async up(conn) {
+    // Deleted patients are hidden, not removed, so they can be restored.
+    // Their appointments may be archived along with them: hidden from
+    // listings and no longer blocking their time slots.
+    await addColumnIfMissing(conn, 'patients', 'deleted_at', 'DATETIME NULL');
+    await addColumnIfMissing(conn, 'appointments', 'archived_at', 'DATETIME NULL');
+    await conn.query('ALTER TABLE patients ADD INDEX idx_patients_deleted_at (deleted_at)');
+  },
+
+  async down(conn) {
+    await dropColumnIfExists(conn, 'appointments', 'archived_at');
+    await dropColumnIfExists(conn, 'patients', 'deleted_at');
+  }
+};
@@ -0,0 +1,57 @@
+module.exports = {
+  async up(conn) {
+    // Patients waiting for an earlier or any slot. provider_id NULL means any
+    // provider; the preferred times bound the start time of an offered slot.
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS waitlist_entries (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        patient_id INT NOT NULL,
+        provider_id INT NULL,
+        date_from DATE NOT NULL,
+        date_to DATE NOT NULL,
+        preferred_time_from TIME NULL,
+        preferred_time_to TIME NULL,
+        duration_minutes INT NULL,
+        reason TEXT NOT NULL,
+        priority INT NOT NULL DEFAULT 0,
+        status ENUM('waiting', 'offered', 'booked', 'cancelled') NOT NULL DEFAULT 'waiting',
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_waitlist_entries_match (status, provider_id, date_from, date_to),
+        FOREIGN KEY (patient_id) REFERENCES patients(id),
+        FOREIGN KEY (provider_id) REFERENCES providers(id)
+      )
+    `);
+
+    // A slot reserved for one patient until expires_at; other patients cannot
+    // book over it meanwhile. Waitlist offers are holds with an entry.
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS slot_holds (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        patient_id INT NOT NULL,
+        provider_id INT NOT NULL,
+        appointment_date DATE NOT NULL,
+        appointment_time TIME NOT NULL,
+        duration_minutes INT NOT NULL,
+        waitlist_entry_id INT NULL,
+        source_appointment_id INT NULL,
+        status ENUM('held', 'accepted', 'declined', 'expired', 'released') NOT NULL DEFAULT 'held',
+        expires_at DATETIME NOT NULL,
+        appointment_id INT NULL,
+        resolved_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_slot_holds_active (status, expires_at),
+        INDEX idx_slot_holds_slot (provider_id, appointment_date),
+        FOREIGN KEY (patient_id) REFERENCES patients(id),
+        FOREIGN KEY (provider_id) REFERENCES providers(id),
+        FOREIGN KEY (waitlist_entry_id) REFERENCES waitlist_entries(id),
+        FOREIGN KEY (appointment_id) REFERENCES appointments(id)
+      )
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS slot_holds');
+    await conn.query('DROP TABLE IF EXISTS waitlist_entries');
+  }
+};
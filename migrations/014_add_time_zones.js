@@ -0,0 +1,64 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('../db');
+const { DEFAULT_TIME_ZONE, resolveLocalTime, sqlUtc } = require('../timezones');
+
+// Fills starts_at/ends_at of `table` from its local date and time, read in
+// the provider's zone. Local times that fell into a DST gap are moved past
+// it; ambiguous ones take the first occurrence, the one GET /availability
+// offers.
+function legacyInstant(date, time, zone) {
+  const resolved = resolveLocalTime(date, time, zone, 'reject');
+  if (resolved.error === 'NONEXISTENT_LOCAL_TIME') return resolveLocalTime(date, time, zone, 'later').instant;
+  if (resolved.error === 'AMBIGUOUS_LOCAL_TIME') return resolveLocalTime(date, time, zone, 'earlier').instant;
+  return resolved.instant;
+}
+
+async function backfillInstants(conn, table, withZoneColumn) {
+  const [rows] = await conn.query(
+    `SELECT t.id, t.appointment_date, t.appointment_time, t.duration_minutes, pr.time_zone
+     FROM ${table} t LEFT JOIN providers pr ON pr.id = t.provider_id
+     WHERE t.starts_at IS NULL`
+  );
+  for (const row of rows) {
+    const zone = row.time_zone || DEFAULT_TIME_ZONE;
+    const instant = legacyInstant(row.appointment_date, row.appointment_time, zone);
+    const endsAt = new Date(instant.getTime() + row.duration_minutes * 60000);
+    await conn.query(
+      `UPDATE ${table} SET starts_at = ?, ends_at = ?${withZoneColumn ? ', time_zone = ?' : ''} WHERE id = ?`,
+      [sqlUtc(instant), sqlUtc(endsAt), ...(withZoneColumn ? [zone] : []), row.id]
+    );
+  }
+}
+
+module.exports = {
+  async up(conn) {
+    // NULL means the clinic's zone (CLINIC_TIME_ZONE)
+    await addColumnIfMissing(conn, 'providers', 'time_zone', 'VARCHAR(64) NULL');
+
+    // UTC instants used for overlap checks and reminders, and the zone the
+    // appointment was booked in. appointment_date/appointment_time remain the
+    // provider's wall-clock time.
+    await addColumnIfMissing(conn, 'appointments', 'starts_at', 'DATETIME NULL');
+    await addColumnIfMissing(conn, 'appointments', 'ends_at', 'DATETIME NULL');
+    await addColumnIfMissing(conn, 'appointments', 'time_zone', 'VARCHAR(64) NULL');
+    await addColumnIfMissing(conn, 'slot_holds', 'starts_at', 'DATETIME NULL');
+    await addColumnIfMissing(conn, 'slot_holds', 'ends_at', 'DATETIME NULL');
+
+    await backfillInstants(conn, 'appointments', true);
+    await backfillInstants(conn, 'slot_holds', false);
+
+    await conn.query(`
+      ALTER TABLE appointments
+        ADD INDEX idx_appointments_provider_starts_at (provider_id, starts_at),
+        ADD INDEX idx_appointments_patient_starts_at (patient_id, starts_at)
+    `);
+  },
+
+  async down(conn) {
+    await dropColumnIfExists(conn, 'slot_holds', 'ends_at');
+    await dropColumnIfExists(conn, 'slot_holds', 'starts_at');
+    await dropColumnIfExists(conn, 'appointments', 'time_zone');
+    await dropColumnIfExists(conn, 'appointments', 'ends_at');
+    await dropColumnIfExists(conn, 'appointments', 'starts_at');
+    await dropColumnIfExists(conn, 'providers', 'time_zone');
+  }
+};
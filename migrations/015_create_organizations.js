@@ -0,0 +1,87 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('../db');
+
+// Tables whose rows belong to one organization. Slot holds, notifications,
+// schedules and calendar tokens hang off patients, providers or appointments
+// and follow their organization.
+const TENANT_TABLES = ['patients', 'providers', 'appointments', 'appointment_series', 'closures', 'waitlist_entries'];
+
+module.exports = {
+  async up(conn) {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS organizations (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS locations (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        organization_id INT NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        address VARCHAR(255) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_locations_organization (organization_id, name),
+        FOREIGN KEY (organization_id) REFERENCES organizations(id)
+      )
+    `);
+
+    // Everything that exists so far belongs to one clinic
+    const [[existing]] = await conn.query('SELECT MIN(id) AS id FROM organizations');
+    let defaultId = existing.id;
+    if (!defaultId) {
+      [{ insertId: defaultId }] = await conn.query(
+        'INSERT INTO organizations (name) VALUES (?)',
+        [process.env.DEFAULT_ORGANIZATION_NAME || 'Default organization']
+      );
+    }
+
+    for (const table of TENANT_TABLES) {
+      await addColumnIfMissing(conn, table, 'organization_id', 'INT NULL');
+      await conn.query(`UPDATE ${table} SET organization_id = ? WHERE organization_id IS NULL`, [defaultId]);
+      await conn.query(`
+        ALTER TABLE ${table}
+          MODIFY organization_id INT NOT NULL,
+          ADD INDEX idx_${table}_organization (organization_id),
+          ADD FOREIGN KEY (organization_id) REFERENCES organizations(id)
+      `);
+    }
+
+    // Users without an organization are platform admins, who manage
+    // organizations and work in one at a time (X-Organization-Id)
+    await addColumnIfMissing(conn, 'users', 'organization_id',
+      'INT NULL, ADD FOREIGN KEY (organization_id) REFERENCES organizations(id)');
+    await conn.query('UPDATE users SET organization_id = ? WHERE organization_id IS NULL', [defaultId]);
+
+    // No foreign key: entries outlive what they describe (see 010)
+    await addColumnIfMissing(conn, 'audit_log', 'organization_id', 'INT NULL');
+    await conn.query('UPDATE audit_log SET organization_id = ? WHERE organization_id IS NULL', [defaultId]);
+    await conn.query('ALTER TABLE audit_log ADD INDEX idx_audit_log_organization (organization_id, id)');
+
+    await addColumnIfMissing(conn, 'providers', 'location_id',
+      'INT NULL, ADD FOREIGN KEY (location_id) REFERENCES locations(id)');
+
+    // Medical record numbers are issued by each organization
+    await conn.query(`
+      ALTER TABLE patients
+        DROP INDEX uq_patients_mrn,
+        ADD UNIQUE INDEX uq_patients_organization_mrn (organization_id, mrn)
+    `);
+  },
+
+  async down(conn) {
+    await conn.query(`
+      ALTER TABLE patients
+        ADD UNIQUE INDEX uq_patients_mrn (mrn),
+        DROP INDEX uq_patients_organization_mrn
+    `);
+    await dropColumnIfExists(conn, 'providers', 'location_id');
+    await dropColumnIfExists(conn, 'audit_log', 'organization_id');
+    await dropColumnIfExists(conn, 'users', 'organization_id');
+    for (const table of [...TENANT_TABLES].reverse()) {
+      await dropColumnIfExists(conn, table, 'organization_id');
+    }
+    await conn.query('DROP TABLE IF EXISTS locations');
+    await conn.query('DROP TABLE IF EXISTS organizations');
+  }
+};
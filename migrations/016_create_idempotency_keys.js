@@ -0,0 +1,24 @@
+module.exports = {
+  async up(conn) {
+    // Responses of POST/PUT requests sent with an Idempotency-Key, replayed
+    // when the same user repeats the key. response_status is NULL while the
+    // first request is still running.
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS idempotency_keys (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        idempotency_key VARCHAR(255) NOT NULL,
+        request_hash CHAR(64) NOT NULL,
+        response_status SMALLINT NULL,
+        response_body JSON NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE INDEX uq_idempotency_keys_user_key (user_id, idempotency_key),
+        INDEX idx_idempotency_keys_created_at (created_at)
+      )
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS idempotency_keys');
+  }
+};
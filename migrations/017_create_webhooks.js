@@ -0,0 +1,48 @@
+module.exports = {
+  async up(conn) {
+    // Subscriptions of outside systems to patient and appointment events.
+    // `events` is a JSON array of event names; `secret` signs deliveries.
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        organization_id INT NOT NULL,
+        url VARCHAR(2048) NOT NULL,
+        events JSON NOT NULL,
+        secret VARCHAR(255) NOT NULL,
+        description VARCHAR(255) NULL,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_webhooks_organization (organization_id, active),
+        FOREIGN KEY (organization_id) REFERENCES organizations(id)
+      )
+    `);
+
+    // Outbox and delivery log in one, like notifications: the worker posts
+    // pending rows whose next_attempt_at has passed. A manual redelivery is a
+    // new row pointing at the original.
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        webhook_id INT NOT NULL,
+        event VARCHAR(64) NOT NULL,
+        payload JSON NOT NULL,
+        status ENUM('pending', 'delivered', 'failed') NOT NULL DEFAULT 'pending',
+        attempts INT NOT NULL DEFAULT 0,
+        next_attempt_at DATETIME NOT NULL,
+        response_status SMALLINT NULL,
+        last_error TEXT NULL,
+        delivered_at DATETIME NULL,
+        redelivery_of BIGINT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_webhook_deliveries_due (status, next_attempt_at),
+        INDEX idx_webhook_deliveries_webhook (webhook_id, id),
+        FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS webhook_deliveries');
+    await conn.query('DROP TABLE IF EXISTS webhooks');
+  }
+};
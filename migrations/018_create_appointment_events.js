@@ -0,0 +1,29 @@
+module.exports = {
+  async up(conn) {
+    // Changes to appointments in the order they happened, streamed by GET
+    // /appointments/stream. The ID is the SSE event ID clients resume from.
+    // previous_* hold the date and provider before a reschedule, so screens
+    // showing the old day or provider hear about it too.
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS appointment_events (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        organization_id INT NOT NULL,
+        appointment_id INT NOT NULL,
+        event VARCHAR(64) NOT NULL,
+        patient_id INT NOT NULL,
+        provider_id INT NULL,
+        appointment_date DATE NOT NULL,
+        previous_provider_id INT NULL,
+        previous_date DATE NULL,
+        payload JSON NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_appointment_events_organization (organization_id, id),
+        INDEX idx_appointment_events_created_at (created_at)
+      )
+    `);
+  },
+
+  async down(conn) {
+    await conn.query('DROP TABLE IF EXISTS appointment_events');
+  }
+};
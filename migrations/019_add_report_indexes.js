@@ -0,0 +1,19 @@
+// Reports (GET /reports/...) scan an organization's appointments by date,
+// optionally for one provider
+module.exports = {
+  async up(conn) {
+    await conn.query(`
+      ALTER TABLE appointments
+        ADD INDEX idx_appointments_organization_date (organization_id, appointment_date, provider_id, status),
+        ADD INDEX idx_appointments_organization_provider_date (organization_id, provider_id, appointment_date)
+    `);
+  },
+
+  async down(conn) {
+    await conn.query(`
+      ALTER TABLE appointments
+        DROP INDEX idx_appointments_organization_date,
+        DROP INDEX idx_appointments_organization_provider_date
+    `);
+  }
+};
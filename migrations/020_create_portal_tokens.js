@@ -0,0 +1,37 @@
+const { addColumnIfMissing, dropColumnIfExists } = require('../db');
+
+module.exports = {
+  async up(conn) {
+    // Links that let a patient without an account use the self-service
+    // portal. Like calendar feed tokens, only the SHA-256 of the token is
+    // stored.
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS portal_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        patient_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        expires_at DATETIME NOT NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME NULL,
+        revoked_at DATETIME NULL,
+        INDEX idx_portal_tokens_patient (patient_id),
+        FOREIGN KEY (patient_id) REFERENCES patients(id)
+      )
+    `);
+
+    // Holds placed by patients in the portal: the token that placed them,
+    // which rate limits count, and the reason the booking will carry
+    await addColumnIfMissing(conn, 'slot_holds', 'portal_token_id',
+      'INT NULL, ADD FOREIGN KEY (portal_token_id) REFERENCES portal_tokens(id)');
+    await addColumnIfMissing(conn, 'slot_holds', 'reason', 'TEXT NULL');
+    await conn.query('ALTER TABLE slot_holds ADD INDEX idx_slot_holds_patient (patient_id, created_at)');
+  },
+
+  async down(conn) {
+    await conn.query('ALTER TABLE slot_holds DROP INDEX idx_slot_holds_patient');
+    await dropColumnIfExists(conn, 'slot_holds', 'reason');
+    await dropColumnIfExists(conn, 'slot_holds', 'portal_token_id');
+    await conn.query('DROP TABLE IF EXISTS portal_tokens');
+  }
+};
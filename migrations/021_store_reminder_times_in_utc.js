@@ -0,0 +1,22 @@
+// Reminder times were written in the server's local time, shifted from the
+// UTC starts_at by the offset at queue time, so reminders queued across a
+// DST change went out an hour off. send_at and next_attempt_at now hold UTC
+// and are compared with UTC_TIMESTAMP(); existing rows are converted with the
+// offset that applied at each of their times.
+module.exports = {
+  async up(conn) {
+    await conn.query(`
+      UPDATE notifications
+      SET send_at = CONVERT_TZ(send_at, @@session.time_zone, '+00:00'),
+          next_attempt_at = CONVERT_TZ(next_attempt_at, @@session.time_zone, '+00:00')
+    `);
+  },
+
+  async down(conn) {
+    await conn.query(`
+      UPDATE notifications
+      SET send_at = CONVERT_TZ(send_at, '+00:00', @@session.time_zone),
+          next_attempt_at = CONVERT_TZ(next_attempt_at, '+00:00', @@session.time_zone)
+    `);
+  }
+};
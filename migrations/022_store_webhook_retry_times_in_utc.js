@@ -0,0 +1,19 @@
+// webhook_deliveries.next_attempt_at was written in the server's local time
+// while notifications.next_attempt_at holds UTC. Both outboxes now schedule
+// by UTC and compare with UTC_TIMESTAMP(); existing rows are converted with
+// the offset that applied at each of their times.
+module.exports = {
+  async up(conn) {
+    await conn.query(`
+      UPDATE webhook_deliveries
+      SET next_attempt_at = CONVERT_TZ(next_attempt_at, @@session.time_zone, '+00:00')
+    `);
+  },
+
+  async down(conn) {
+    await conn.query(`
+      UPDATE webhook_deliveries
+      SET next_attempt_at = CONVERT_TZ(next_attempt_at, '+00:00', @@session.time_zone)
+    `);
+  }
+};
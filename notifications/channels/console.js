@@ -0,0 +1,6 @@
+// Prints messages instead of sending them; the default for local development.
+module.exports = {
+  async send({ channel, to, subject, text }) {
+    console.log(`[${channel}] to ${to}${subject ? ` - ${subject}` : ''}: ${text}`);
+  }
+};
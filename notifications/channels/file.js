@@ -0,0 +1,10 @@
+const fs = require('fs/promises');
+
+// Appends one JSON line per message to NOTIFY_FILE, handy for tests and demos.
+const NOTIFY_FILE = process.env.NOTIFY_FILE || 'notifications.log';
+
+module.exports = {
+  async send(message) {
+    await fs.appendFile(NOTIFY_FILE, `${JSON.stringify({ ...message, at: new Date().toISOString() })}\n`);
+  }
+};
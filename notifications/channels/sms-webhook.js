@@ -0,0 +1,18 @@
+// Posts { to, text } as JSON to SMS_WEBHOOK_URL, so any SMS gateway (or a
+// small relay in front of one) can be plugged in. SMS_WEBHOOK_TOKEN, when
+// set, is sent as a bearer token.
+module.exports = {
+  async send({ to, text }) {
+    if (!process.env.SMS_WEBHOOK_URL) throw new Error('SMS_WEBHOOK_URL is not set');
+    const response = await fetch(process.env.SMS_WEBHOOK_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.SMS_WEBHOOK_TOKEN && { Authorization: `Bearer ${process.env.SMS_WEBHOOK_TOKEN}` })
+      },
+      body: JSON.stringify({ to, text }),
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!response.ok) throw new Error(`SMS webhook answered ${response.status}`);
+  }
+};
@@ -0,0 +1,133 @@
+const storage = require('../storage');
+const { sqlUtc } = require('../timezones');
+
+// Appointment reminders go through the notifications table (an outbox): the
+// API only queues rows, and the worker (worker.js) delivers them.
+
+// Minutes before the appointment at which reminders go out, e.g. "1440,120"
+// for 24h and 2h before.
+const REMINDER_OFFSETS = (process.env.REMINDER_OFFSETS || '1440,120')
+  .split(',')
+  .map(Number)
+  .filter((n) => Number.isInteger(n) && n > 0);
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS, 10) || 5;
+const MAX_BACKOFF_MINUTES = 60;
+
+// Which adapter delivers each channel: EMAIL_ADAPTER is smtp, file or
+// console; SMS_ADAPTER is sms-webhook, file or console.
+const CHANNEL_ADAPTERS = {
+  email: process.env.EMAIL_ADAPTER || 'console',
+  sms: process.env.SMS_ADAPTER || 'console'
+};
+const ADAPTERS = ['console', 'file', 'smtp', 'sms-webhook'];
+
+const adapterCache = {};
+function adapterFor(channel) {
+  const name = CHANNEL_ADAPTERS[channel];
+  if (!ADAPTERS.includes(name)) throw new Error(`Unknown adapter '${name}' for ${channel}`);
+  adapterCache[name] = adapterCache[name] || require(`./channels/${name}`);
+  return adapterCache[name];
+}
+
+// Email wins over phone. Patients without either fall back to the free-text
+// contact: anything with an @ is treated as email, anything that looks like a
+// phone number as SMS. Returns [channel, recipient] or null.
+function channelFor({ email, phone, contact }) {
+  if (email) return ['email', email];
+  if (phone) return ['sms', phone];
+  if (!contact) return null;
+  if (contact.includes('@')) return ['email', contact.trim()];
+  if (/^\+?[\d\s().-]{6,}$/.test(contact)) return ['sms', contact.trim()];
+  return null;
+}
+
+const PENDING_STATUSES = ['scheduled', 'confirmed'];
+
+// Marks the pending reminders of one or more appointments as cancelled
+async function cancelReminders(db, appointmentIds) {
+  const ids = [].concat(appointmentIds);
+  if (ids.length === 0) return;
+  await storage.notifications.cancelPending(ids, { db });
+}
+
+// Replaces the pending reminders of an appointment with fresh ones for its
+// current date and time. Offsets already in the past are skipped. `db` is the
+// connection of the caller's transaction, if any. send_at and
+// next_attempt_at are UTC like starts_at.
+async function scheduleReminders(db, appointmentId) {
+  await cancelReminders(db, appointmentId);
+  const appointment = await storage.appointments.findById(appointmentId, { db });
+  if (!appointment || !PENDING_STATUSES.includes(appointment.status)) return;
+  const patient = await storage.patients.findById(appointment.patient_id, { includeDeleted: true, db });
+  const target = patient && channelFor(patient);
+  if (!target) return;
+  const [channel, recipient] = target;
+
+  for (const offset of REMINDER_OFFSETS) {
+    const due = new Date(appointment.starts_at.getTime() - offset * 60000);
+    if (due <= new Date()) continue;
+    await storage.notifications.insert({
+      appointment_id: appointmentId,
+      channel,
+      recipient,
+      offset_minutes: offset,
+      send_at: sqlUtc(due),
+      next_attempt_at: sqlUtc(due)
+    }, { db });
+  }
+}
+
+function renderReminder(note) {
+  const zone = note.time_zone ? ` (${note.time_zone})` : '';
+  const when = `${note.appointment_date} at ${String(note.appointment_time).slice(0, 5)}${zone}`;
+  const withWhom = note.provider_name ? ` with ${note.provider_name}` : '';
+  return {
+    subject: 'Appointment reminder',
+    text: `Hello ${note.patient_name}, this is a reminder of your appointment on ${when}${withWhom}.`
+  };
+}
+
+// Sends what is due, one row per transaction so several workers can run side
+// by side (SKIP LOCKED). Failures are retried with exponential backoff until
+// MAX_ATTEMPTS, then the row is marked failed. Returns the number processed.
+async function processOutbox(limit = 50) {
+  let processed = 0;
+  while (processed < limit) {
+    const claimed = await storage.withTransaction(async (conn) => {
+      const note = await storage.notifications.claimDue({ db: conn });
+      if (!note) return false;
+      try {
+        await adapterFor(note.channel).send({ channel: note.channel, to: note.recipient, ...renderReminder(note) });
+        await storage.notifications.update(note.id, {
+          status: 'sent', sent_at: storage.now(), attempts: note.attempts + 1, last_error: null
+        }, { db: conn });
+      } catch (err) {
+        const attempts = note.attempts + 1;
+        const backoff = Math.min(2 ** attempts, MAX_BACKOFF_MINUTES) * 60000;
+        await storage.notifications.update(note.id, {
+          attempts,
+          last_error: err.message,
+          status: attempts >= MAX_ATTEMPTS ? 'failed' : 'pending',
+          next_attempt_at: sqlUtc(new Date(Date.now() + backoff))
+        }, { db: conn });
+      }
+      return true;
+    });
+    if (!claimed) break;
+    processed += 1;
+  }
+  return processed;
+}
+
+// Sends a one-off message (e.g. a portal link) to a patient right away,
+// bypassing the outbox: the caller waits for the adapter and sees its errors.
+// Returns the channel used, or null when the patient has no usable contact.
+async function sendToPatient(patient, { subject, text }) {
+  const target = channelFor(patient);
+  if (!target) return null;
+  const [channel, to] = target;
+  await adapterFor(channel).send({ channel, to, subject, text });
+  return channel;
+}
+
+module.exports = { scheduleReminders, cancelReminders, processOutbox, sendToPatient };
@@ -0,0 +1,68 @@
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const { pool } = require('./db');
+
+// Run after `node migrate.js up`. The first admin is created from
+// ADMIN_EMAIL/ADMIN_PASSWORD in every environment so someone can log in; it
+// belongs to the default organization created by migration 015. A platform
+// admin, who can create further organizations, is created from
+// PLATFORM_ADMIN_EMAIL/PLATFORM_ADMIN_PASSWORD when set. Demo records are
+// never written when NODE_ENV is production.
+
+async function defaultOrganizationId(conn) {
+  const [[{ id }]] = await conn.query('SELECT MIN(id) AS id FROM organizations');
+  return id;
+}
+
+async function seedAdmin(conn) {
+  const [[{ count }]] = await conn.query('SELECT COUNT(*) AS count FROM users WHERE organization_id IS NOT NULL');
+  if (count > 0 || !process.env.ADMIN_EMAIL || !process.env.ADMIN_PASSWORD) return;
+  await conn.query(
+    "INSERT INTO users (email, password_hash, role, organization_id) VALUES (?, ?, 'admin', ?)",
+    [process.env.ADMIN_EMAIL.trim().toLowerCase(), await bcrypt.hash(process.env.ADMIN_PASSWORD, 10),
+      await defaultOrganizationId(conn)]
+  );
+  console.log('Admin user created');
+}
+
+async function seedPlatformAdmin(conn) {
+  const [[{ count }]] = await conn.query('SELECT COUNT(*) AS count FROM users WHERE organization_id IS NULL');
+  if (count > 0 || !process.env.PLATFORM_ADMIN_EMAIL || !process.env.PLATFORM_ADMIN_PASSWORD) return;
+  await conn.query(
+    "INSERT INTO users (email, password_hash, role) VALUES (?, ?, 'admin')",
+    [process.env.PLATFORM_ADMIN_EMAIL.trim().toLowerCase(), await bcrypt.hash(process.env.PLATFORM_ADMIN_PASSWORD, 10)]
+  );
+  console.log('Platform admin created');
+}
+
+async function seedDemoData(conn) {
+  if (process.env.NODE_ENV === 'production') {
+    console.log('Skipping demo data in production');
+    return;
+  }
+  const [[{ count }]] = await conn.query('SELECT COUNT(*) AS count FROM patients');
+  if (count > 0) return;
+  await conn.query(
+    'INSERT INTO patients (name, contact, organization_id) VALUES (?, ?, ?)',
+    ['John Doe', '123456789', await defaultOrganizationId(conn)]
+  );
+  console.log('Seed patient added');
+}
+
+async function main() {
+  const conn = await pool.getConnection();
+  try {
+    await seedAdmin(conn);
+    await seedPlatformAdmin(conn);
+    await seedDemoData(conn);
+  } finally {
+    conn.release();
+  }
+}
+
+main()
+  .catch((err) => {
+    console.error('Seeding failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,19 @@
+// Data access for everything the API and the worker store. STORAGE_BACKEND
+// picks the implementation: mysql (the default) or memory, which keeps
+// everything in the process for local development and tests without a
+// database. Both export the same repositories and work on rows shaped like
+// the MySQL tables (snake_case columns), so serializers do not care which one
+// is in use.
+//
+// withTransaction(fn) runs `fn(conn)` in a transaction that commits when it
+// resolves and rolls back when it throws. Methods take an optional `db`: that
+// `conn`, or nothing to run outside a transaction. now(minutes) is the
+// database's clock as a column value.
+const BACKENDS = ['mysql', 'memory'];
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'mysql';
+
+if (!BACKENDS.includes(STORAGE_BACKEND)) {
+  throw new Error(`Unknown STORAGE_BACKEND '${STORAGE_BACKEND}'; use one of ${BACKENDS.join(', ')}`);
+}
+
+module.exports = { STORAGE_BACKEND, ...require(`./${STORAGE_BACKEND}`) };
@@ -0,0 +1,996 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { Readable } = require('stream');
+
+// Repositories kept in process memory (see ./index.js). Data is lost on
+// restart. Filtering and sorting follow the MySQL queries in ./mysql.js,
+// including case-insensitive LIKE, the unique indexes and the foreign keys
+// that block or cascade deletes.
+//
+// Transactions run one at a time: withTransaction waits for the running one,
+// snapshots every table and puts the snapshot back when `fn` throws. Row
+// locks are therefore no-ops. Writes outside a transaction wait their turn
+// too, so a rollback cannot undo them.
+
+const TABLES = [
+  'organizations', 'locations', 'users', 'patients', 'providers', 'provider_working_hours', 'provider_breaks',
+  'closures', 'appointments', 'appointment_series', 'notifications', 'calendar_feed_tokens', 'portal_tokens',
+  'waitlist_entries', 'slot_holds', 'audit_log', 'idempotency_keys', 'webhooks', 'webhook_deliveries',
+  'appointment_events'
+];
+let tables = Object.fromEntries(TABLES.map((table) => [table, []]));
+let nextIds = Object.fromEntries(TABLES.map((table) => [table, 1]));
+
+const transaction = new AsyncLocalStorage();
+let queue = Promise.resolve();
+
+// Runs `fn(conn)` inside a transaction, rolled back when it throws. A call
+// made inside a running transaction joins it, with a savepoint of its own.
+async function withTransaction(fn) {
+  const current = transaction.getStore();
+  if (current && current.open) return runWithSnapshot(current, fn);
+  const run = queue.then(async () => {
+    const conn = { open: true };
+    try {
+      return await transaction.run(conn, () => runWithSnapshot(conn, fn));
+    } finally {
+      conn.open = false;
+    }
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+async function runWithSnapshot(conn, fn) {
+  const snapshot = structuredClone({ tables, nextIds });
+  try {
+    return await fn(conn);
+  } catch (err) {
+    ({ tables, nextIds } = snapshot);
+    throw err;
+  }
+}
+
+// Writes join the running transaction or wait for their own
+function write(fn) {
+  const current = transaction.getStore();
+  return current && current.open ? fn() : withTransaction(fn);
+}
+
+// The clock, `minutes` ahead, as a column value
+const now = (minutes = 0) => new Date(Date.now() + minutes * 60000);
+
+// Columns MySQL fills in when an INSERT leaves them out
+const DEFAULTS = {
+  locations: { address: null },
+  users: { patient_id: null, provider_id: null, organization_id: null },
+  patients: {
+    contact: null, first_name: null, last_name: null, date_of_birth: null, sex: null, email: null, phone: null,
+    address_line1: null, address_line2: null, address_city: null, address_region: null, address_postal_code: null,
+    address_country: null, emergency_contact_name: null, emergency_contact_phone: null,
+    emergency_contact_relationship: null, mrn: null, deleted_at: null
+  },
+  providers: { specialty: null, contact: null, default_duration_minutes: null, time_zone: null, location_id: null },
+  provider_breaks: { label: null },
+  closures: { provider_id: null, start_time: null, end_time: null, reason: null },
+  appointments: {
+    provider_id: null, reason: null, duration_minutes: 30, status: 'scheduled', cancellation_reason: null,
+    confirmed_at: null, checked_in_at: null, completed_at: null, cancelled_at: null, no_show_at: null,
+    series_id: null, sequence: 0, archived_at: null, starts_at: null, ends_at: null, time_zone: null
+  },
+  appointment_series: { interval_count: 1, until_date: null, occurrence_count: null, reason: null, cancelled_at: null },
+  notifications: { kind: 'reminder', status: 'pending', attempts: 0, last_error: null, sent_at: null },
+  calendar_feed_tokens: { label: null, created_by: null, revoked_at: null },
+  portal_tokens: { created_by: null, last_used_at: null, revoked_at: null },
+  waitlist_entries: {
+    provider_id: null, preferred_time_from: null, preferred_time_to: null, duration_minutes: null, priority: 0,
+    status: 'waiting', created_by: null
+  },
+  slot_holds: {
+    waitlist_entry_id: null, source_appointment_id: null, status: 'held', appointment_id: null, resolved_at: null,
+    starts_at: null, ends_at: null, portal_token_id: null, reason: null
+  },
+  audit_log: { actor_user_id: null, actor_role: null, request_id: null, organization_id: null },
+  idempotency_keys: { response_status: null, response_body: null },
+  webhooks: { description: null, active: true },
+  webhook_deliveries: {
+    status: 'pending', attempts: 0, response_status: null, last_error: null, delivered_at: null, redelivery_of: null
+  },
+  appointment_events: { provider_id: null, previous_provider_id: null, previous_date: null }
+};
+
+// Columns written as UTC DATETIME strings and read back as Dates, like the
+// typeCast in db.js
+const UTC_COLUMNS = ['starts_at', 'ends_at', 'send_at', 'next_attempt_at'];
+const readUtc = (value) => (typeof value === 'string' ? new Date(`${value.replace(' ', 'T')}Z`) : value);
+
+// TIME columns come back as 'HH:MM:SS'
+const TIME_COLUMNS = ['appointment_time', 'start_time', 'end_time', 'preferred_time_from', 'preferred_time_to'];
+const readTime = (value) => (value === null || value === undefined ? value : String(value).padEnd(8, ':00').slice(0, 8));
+
+// JSON columns come back as a fresh copy of what was written
+const JSON_COLUMNS = ['changes', 'events', 'payload', 'response_body'];
+
+function assign(row, columns) {
+  for (const [column, value] of Object.entries(columns)) {
+    if (UTC_COLUMNS.includes(column)) row[column] = readUtc(value);
+    else if (TIME_COLUMNS.includes(column)) row[column] = readTime(value);
+    else if (JSON_COLUMNS.includes(column) && value !== null && value !== undefined) row[column] = JSON.parse(JSON.stringify(value));
+    else row[column] = value;
+  }
+  return row;
+}
+
+// Rows are copied on the way out so callers cannot change the store
+const copy = (row) => (row ? structuredClone(row) : null);
+
+const duplicate = (value, key) =>
+  Object.assign(new Error(`Duplicate entry '${value}' for key '${key}'`), { code: 'ER_DUP_ENTRY' });
+
+// The unique indexes callers rely on: the MRN per organization, user emails
+// (case-insensitive, like the column's collation) and idempotency keys per user
+const UNIQUE_KEYS = {
+  patients: [['uq_patients_organization_mrn', (row) => row.mrn && `${row.organization_id}|${row.mrn}`]],
+  users: [['email', (row) => row.email && row.email.toLowerCase()]],
+  idempotency_keys: [['uq_idempotency_keys_user_key', (row) => `${row.user_id}|${row.idempotency_key}`]]
+};
+
+function assertUnique(table, row) {
+  for (const [key, valueOf] of UNIQUE_KEYS[table] || []) {
+    const value = valueOf(row);
+    if (value && tables[table].some((other) => other.id !== row.id && valueOf(other) === value)) {
+      throw duplicate(value, key);
+    }
+  }
+}
+
+// Returns a copy of the new row. Throws ER_DUP_ENTRY like the unique indexes.
+function insertRow(table, columns) {
+  const row = assign({ ...DEFAULTS[table], id: null, created_at: new Date() }, columns);
+  assertUnique(table, row);
+  row.id = nextIds[table]++;
+  tables[table].push(row);
+  return copy(row);
+}
+
+function updateRow(table, row, columns) {
+  const updated = assign({ ...row }, columns);
+  assertUnique(table, updated);
+  Object.assign(row, updated);
+  return copy(row);
+}
+
+// Foreign keys onto each table: the referencing table and column, and
+// whether a delete cascades to those rows or is refused
+const REFERENCES = {
+  patients: [
+    ['appointments', 'patient_id'], ['appointment_series', 'patient_id'], ['users', 'patient_id', 'cascade'],
+    ['waitlist_entries', 'patient_id'], ['slot_holds', 'patient_id'], ['portal_tokens', 'patient_id']
+  ],
+  providers: [
+    ['appointments', 'provider_id'], ['appointment_series', 'provider_id'], ['users', 'provider_id', 'cascade'],
+    ['provider_working_hours', 'provider_id', 'cascade'], ['provider_breaks', 'provider_id', 'cascade'],
+    ['closures', 'provider_id', 'cascade'], ['waitlist_entries', 'provider_id'], ['slot_holds', 'provider_id']
+  ],
+  locations: [['providers', 'location_id']],
+  appointments: [['notifications', 'appointment_id', 'cascade'], ['slot_holds', 'appointment_id']],
+  appointment_series: [['appointments', 'series_id']],
+  waitlist_entries: [['slot_holds', 'waitlist_entry_id']],
+  portal_tokens: [['slot_holds', 'portal_token_id']],
+  webhooks: [['webhook_deliveries', 'webhook_id', 'cascade']]
+};
+
+// Deletes the rows matching `predicate`, with MySQL's error when another row
+// still refers to one of them. Returns the number deleted.
+function deleteRows(table, predicate) {
+  const doomed = tables[table].filter(predicate);
+  for (const row of doomed) {
+    for (const [child, column, onDelete] of REFERENCES[table] || []) {
+      if (onDelete === 'cascade') {
+        deleteRows(child, (other) => other[column] === row.id);
+      } else if (tables[child].some((other) => other[column] === row.id)) {
+        throw Object.assign(
+          new Error(`Cannot delete or update a parent row: a foreign key constraint fails (${child}.${column})`),
+          { code: 'ER_ROW_IS_REFERENCED_2' }
+        );
+      }
+    }
+  }
+  tables[table] = tables[table].filter((row) => !doomed.includes(row));
+  return doomed.length;
+}
+
+const findRow = (table, id) => tables[table].find((row) => row.id === id);
+const ofTenant = (row, tenantId) => !tenantId || row.organization_id === tenantId;
+
+const contains = (value, needle) =>
+  value !== null && value !== undefined && String(value).toLowerCase().includes(String(needle).toLowerCase());
+
+// Sorts by an ORDER BY list of whitelisted "column ASC|DESC" (parseSort),
+// then by id. NULLs come first in ascending order, as in MySQL.
+function sortRows(rows, orderBy) {
+  const keys = `${orderBy}, id ASC`.split(',').map((clause) => {
+    const [column, direction = 'ASC'] = clause.trim().split(/\s+/);
+    return [column, direction.toUpperCase() === 'DESC' ? -1 : 1];
+  });
+  const rank = (value) => (value instanceof Date ? value.getTime() : value);
+  return rows.sort((a, b) => {
+    for (const [column, sign] of keys) {
+      const [x, y] = [rank(a[column]), rank(b[column])];
+      if (x === y) continue;
+      if (x === null || x === undefined) return -sign;
+      if (y === null || y === undefined) return sign;
+      if (typeof x === 'string' && typeof y === 'string') {
+        const order = x.localeCompare(y, undefined, { sensitivity: 'base' });
+        if (order !== 0) return order * sign;
+        continue;
+      }
+      return (x < y ? -1 : 1) * sign;
+    }
+    return 0;
+  });
+}
+
+const select = (table, predicate, orderBy = 'id') => sortRows(tables[table].filter(predicate), orderBy).map(copy);
+
+const page = (rows, orderBy, limit, offset) => ({
+  rows: sortRows(rows, orderBy).slice(offset, offset + limit).map(copy),
+  total: rows.length
+});
+
+// findById, insert, update and delete of a table whose rows belong to an
+// organization, as in ./mysql.js
+function tenantTable(table) {
+  return {
+    async findById(id, { tenantId = null } = {}) {
+      const row = findRow(table, id);
+      return row && ofTenant(row, tenantId) ? copy(row) : null;
+    },
+
+    async insert(columns) {
+      return write(() => insertRow(table, columns));
+    },
+
+    async update(id, columns, { tenantId = null } = {}) {
+      return write(() => {
+        const row = findRow(table, id);
+        return row && ofTenant(row, tenantId) ? updateRow(table, row, columns) : null;
+      });
+    },
+
+    async delete(id, { tenantId = null } = {}) {
+      return write(() => deleteRows(table, (row) => row.id === id && ofTenant(row, tenantId)) > 0);
+    }
+  };
+}
+
+const organizations = {
+  async list() {
+    return select('organizations', () => true);
+  },
+
+  async findById(id) {
+    return copy(findRow('organizations', id));
+  },
+
+  async insert(columns) {
+    return write(() => insertRow('organizations', columns));
+  }
+};
+
+const locations = {
+  ...tenantTable('locations'),
+
+  async list(tenantId) {
+    return select('locations', (row) => row.organization_id === tenantId, 'name');
+  }
+};
+
+const users = {
+  ...tenantTable('users'),
+
+  async findByEmail(email) {
+    return copy(tables.users.find((row) => row.email.toLowerCase() === String(email).toLowerCase()));
+  },
+
+  async list(tenantId) {
+    return select('users', (row) => row.organization_id === tenantId);
+  }
+};
+
+// MySQL's SOUNDEX: first letter, then the codes of the remaining consonants
+// with repeats collapsed, padded to four characters but not cut off
+const SOUNDEX_CODES = {
+  B: 1, F: 1, P: 1, V: 1,
+  C: 2, G: 2, J: 2, K: 2, Q: 2, S: 2, X: 2, Z: 2,
+  D: 3, T: 3,
+  L: 4,
+  M: 5, N: 5,
+  R: 6
+};
+function soundex(value) {
+  const letters = String(value || '').toUpperCase().replace(/[^A-Z]/g, '');
+  if (!letters) return '';
+  let code = letters[0];
+  let last = SOUNDEX_CODES[letters[0]];
+  for (const letter of letters.slice(1)) {
+    const digit = SOUNDEX_CODES[letter];
+    if (digit && digit !== last) code += digit;
+    if (letter !== 'H' && letter !== 'W') last = digit;
+  }
+  return code.padEnd(4, '0');
+}
+
+const patients = {
+  async findById(id, { tenantId = null, includeDeleted = false } = {}) {
+    const row = findRow('patients', id);
+    return row && ofTenant(row, tenantId) && (includeDeleted || !row.deleted_at) ? copy(row) : null;
+  },
+
+  async list({ tenantId, includeDeleted = false, q, name, contact, orderBy, limit, offset }) {
+    const rows = tables.patients.filter((row) =>
+      row.organization_id === tenantId
+      && (includeDeleted || !row.deleted_at)
+      && (!q || ['name', 'contact', 'email', 'phone', 'mrn'].some((column) => contains(row[column], q)))
+      && (!name || contains(row.name, name))
+      && (!contact || contains(row.contact, contact)));
+    return page(rows, orderBy, limit, offset);
+  },
+
+  async findDuplicateCandidates(probe, { tenantId, excludeId = null, lastName }) {
+    const sound = soundex(lastName);
+    return tables.patients
+      .filter((row) =>
+        row.id !== (excludeId || 0)
+        && row.organization_id === tenantId
+        && !row.deleted_at
+        && ((sound && soundex(row.last_name || row.name) === sound)
+          || ['date_of_birth', 'phone', 'email', 'mrn'].some((column) => probe[column] && row[column] === probe[column])))
+      .slice(0, 500)
+      .map(copy);
+  },
+
+  async stream(tenantId) {
+    return Readable.from(select('patients', (row) => row.organization_id === tenantId && !row.deleted_at));
+  },
+
+  async lock() {},
+
+  async insert(columns) {
+    return write(() => insertRow('patients', columns));
+  },
+
+  async update(id, columns) {
+    return write(() => {
+      const row = findRow('patients', id);
+      return row ? updateRow('patients', row, columns) : null;
+    });
+  },
+
+  async delete(id) {
+    await write(() => deleteRows('patients', (row) => row.id === id));
+  },
+
+  async moveRecords(fromId, toId) {
+    await write(() => {
+      for (const row of tables.appointments.filter((appt) => appt.patient_id === fromId)) {
+        Object.assign(row, { patient_id: toId, sequence: row.sequence + 1 });
+      }
+      for (const table of ['appointment_series', 'users', 'waitlist_entries', 'slot_holds']) {
+        for (const row of tables[table].filter((other) => other.patient_id === fromId)) row.patient_id = toId;
+      }
+      for (const row of tables.calendar_feed_tokens) {
+        if (row.owner_type === 'patient' && row.owner_id === fromId && !row.revoked_at) row.revoked_at = now();
+      }
+    });
+  }
+};
+
+const providers = {
+  ...tenantTable('providers'),
+
+  async list({ tenantId, locationId = null, ids = null, orderBy = 'id' }) {
+    return select('providers', (row) =>
+      row.organization_id === tenantId
+      && (!locationId || row.location_id === locationId)
+      && (!ids || ids.includes(row.id)), orderBy);
+  },
+
+  async lock() {}
+};
+
+const workingHours = {
+  async list(providerId) {
+    return select('provider_working_hours', (row) => row.provider_id === providerId, 'weekday, start_time');
+  },
+
+  async replace(providerId, rows) {
+    await write(() => {
+      deleteRows('provider_working_hours', (row) => row.provider_id === providerId);
+      for (const row of rows) insertRow('provider_working_hours', { ...row, provider_id: providerId });
+    });
+  }
+};
+
+const breaks = {
+  async list(providerId) {
+    return select('provider_breaks', (row) => row.provider_id === providerId, 'weekday, start_time');
+  },
+
+  async insert(columns) {
+    return write(() => insertRow('provider_breaks', columns));
+  },
+
+  async delete(id, { providerId }) {
+    return write(() => deleteRows('provider_breaks', (row) => row.id === id && row.provider_id === providerId) > 0);
+  }
+};
+
+const closures = {
+  ...tenantTable('closures'),
+
+  async list({ tenantId, providerId, from, to }) {
+    return select('closures', (row) =>
+      row.organization_id === tenantId
+      && (providerId === undefined || row.provider_id === providerId || row.provider_id === null)
+      && (from === undefined || row.closure_date >= from)
+      && (to === undefined || row.closure_date <= to), 'closure_date, start_time');
+  },
+
+  async listForProvider(providerId, from, to) {
+    const provider = findRow('providers', providerId);
+    return select('closures', (row) =>
+      row.closure_date >= from && row.closure_date <= to
+      && (row.provider_id === providerId
+        || (row.provider_id === null && provider && row.organization_id === provider.organization_id)));
+  }
+};
+
+// appointments.findAll and count filters, as appointmentFilter in ./mysql.js
+function appointmentMatches(row, {
+  ids, tenantId, patientId, providerId, seriesId, statuses, dateFrom, dateTo, archived, upcoming, startsFrom
+}) {
+  return (ids === undefined || ids.includes(row.id))
+    && [['organization_id', tenantId], ['patient_id', patientId], ['provider_id', providerId], ['series_id', seriesId]]
+      .every(([column, value]) => value === undefined || row[column] === value)
+    && (statuses === undefined || statuses.includes(row.status))
+    && (dateFrom === undefined || row.appointment_date >= dateFrom)
+    && (dateTo === undefined || row.appointment_date <= dateTo)
+    && (archived === undefined || Boolean(row.archived_at) === archived)
+    && (!upcoming || row.starts_at >= new Date())
+    && (startsFrom === undefined || row.starts_at >= startsFrom);
+}
+
+const appointments = {
+  async findById(id, { tenantId = null } = {}) {
+    const row = findRow('appointments', id);
+    return row && ofTenant(row, tenantId) ? copy(row) : null;
+  },
+
+  async list({
+    tenantId, scope = {}, includeArchived = false, unfinished = false, patientId, providerId, dateFrom, dateTo,
+    timeFrom, timeTo, statuses, reason, orderBy, limit, offset
+  }) {
+    const rows = tables.appointments.filter((row) =>
+      row.organization_id === tenantId
+      && [['patient_id', scope.patientId], ['provider_id', scope.providerId],
+        ['patient_id', patientId], ['provider_id', providerId]]
+        .every(([column, value]) => value === undefined || value === null || row[column] === value)
+      && (includeArchived || !row.archived_at)
+      && (!unfinished || row.ends_at > new Date())
+      && (dateFrom === undefined || row.appointment_date >= dateFrom)
+      && (dateTo === undefined || row.appointment_date <= dateTo)
+      && (timeFrom === undefined || row.appointment_time >= readTime(timeFrom))
+      && (timeTo === undefined || row.appointment_time <= readTime(timeTo))
+      && (!statuses || statuses.includes(row.status))
+      && (!reason || contains(row.reason, reason)));
+    return page(rows, orderBy, limit, offset);
+  },
+
+  async findAll(filter, { orderBy = 'id' } = {}) {
+    return select('appointments', (row) => appointmentMatches(row, filter), orderBy);
+  },
+
+  async count(filter) {
+    return tables.appointments.filter((row) => appointmentMatches(row, filter)).length;
+  },
+
+  async findAllWithNames(filter) {
+    return select('appointments', (row) => appointmentMatches(row, filter) && findRow('patients', row.patient_id), 'starts_at')
+      .map((row) => ({
+        ...row,
+        patient_name: findRow('patients', row.patient_id).name,
+        provider_name: (findRow('providers', row.provider_id) || { name: null }).name
+      }));
+  },
+
+  async stream(filter) {
+    return Readable.from(select('appointments', (row) => appointmentMatches(row, filter), 'starts_at'));
+  },
+
+  async findOverlapping({ patientId = null, providerId, startsAt, endsAt, excludeId = null }) {
+    const [start, end] = [readUtc(startsAt), readUtc(endsAt)];
+    return tables.appointments
+      .filter((row) =>
+        ((patientId && row.patient_id === patientId) || row.provider_id === providerId)
+        && row.starts_at < end
+        && row.ends_at > start
+        && row.status !== 'cancelled'
+        && !row.archived_at
+        && row.id !== (excludeId || 0))
+      .map((row) => row.id)
+      .sort((a, b) => a - b);
+  },
+
+  async insert(columns) {
+    return write(() => insertRow('appointments', columns));
+  },
+
+  async update(id, columns, { status = null, bumpSequence = false } = {}) {
+    return write(() => {
+      const row = findRow('appointments', id);
+      if (!row || (status && row.status !== status)) return null;
+      return updateRow('appointments', row, { ...columns, ...(bumpSequence && { sequence: row.sequence + 1 }) });
+    });
+  },
+
+  async updateMany(ids, columns, { statuses = null, bumpSequence = false } = {}) {
+    return write(() => {
+      const rows = tables.appointments.filter((row) => ids.includes(row.id) && (!statuses || statuses.includes(row.status)));
+      for (const row of rows) {
+        updateRow('appointments', row, { ...columns, ...(bumpSequence && { sequence: row.sequence + 1 }) });
+      }
+      return rows.length;
+    });
+  }
+};
+
+const series = tenantTable('appointment_series');
+
+const notifications = {
+  async listByAppointment(appointmentId) {
+    return select('notifications', (row) => row.appointment_id === appointmentId, 'send_at');
+  },
+
+  async insert(columns) {
+    await write(() => insertRow('notifications', columns));
+  },
+
+  async update(id, columns) {
+    await write(() => {
+      const row = findRow('notifications', id);
+      if (row) updateRow('notifications', row, columns);
+    });
+  },
+
+  async cancelPending(appointmentIds) {
+    await write(() => {
+      for (const row of tables.notifications) {
+        if (appointmentIds.includes(row.appointment_id) && row.status === 'pending') row.status = 'cancelled';
+      }
+    });
+  },
+
+  async claimDue() {
+    const [note] = select('notifications', (row) => row.status === 'pending' && row.next_attempt_at <= new Date(), 'next_attempt_at');
+    if (!note) return null;
+    const appt = findRow('appointments', note.appointment_id);
+    const provider = findRow('providers', appt.provider_id);
+    return {
+      ...note,
+      appointment_date: appt.appointment_date,
+      appointment_time: appt.appointment_time,
+      time_zone: appt.time_zone,
+      patient_name: findRow('patients', appt.patient_id).name,
+      provider_name: provider ? provider.name : null
+    };
+  }
+};
+
+const calendarTokens = {
+  async findActive({ tokenHash, ownerType, ownerId }) {
+    return copy(tables.calendar_feed_tokens.find((row) =>
+      row.token_hash === tokenHash && row.owner_type === ownerType && row.owner_id === ownerId && !row.revoked_at));
+  },
+
+  async findById(id) {
+    return copy(findRow('calendar_feed_tokens', id));
+  },
+
+  async listByOwner(ownerType, ownerId) {
+    return select('calendar_feed_tokens', (row) => row.owner_type === ownerType && row.owner_id === ownerId);
+  },
+
+  async insert(columns) {
+    return write(() => insertRow('calendar_feed_tokens', columns));
+  },
+
+  async revoke(id) {
+    await write(() => {
+      const row = findRow('calendar_feed_tokens', id);
+      if (row && !row.revoked_at) row.revoked_at = now();
+    });
+  }
+};
+
+const portalTokens = {
+  async findActive(tokenHash) {
+    const token = tables.portal_tokens.find((row) =>
+      row.token_hash === tokenHash && !row.revoked_at && row.expires_at > new Date());
+    const patient = token && findRow('patients', token.patient_id);
+    return patient && !patient.deleted_at ? { ...copy(token), organization_id: patient.organization_id } : null;
+  },
+
+  async findById(id) {
+    return copy(findRow('portal_tokens', id));
+  },
+
+  async listByPatient(patientId) {
+    return select('portal_tokens', (row) => row.patient_id === patientId);
+  },
+
+  async insert(columns) {
+    return write(() => insertRow('portal_tokens', columns));
+  },
+
+  async touch(id) {
+    await write(() => {
+      const row = findRow('portal_tokens', id);
+      if (row) row.last_used_at = now();
+    });
+  },
+
+  async revoke(id) {
+    await write(() => {
+      const row = findRow('portal_tokens', id);
+      if (row && !row.revoked_at) row.revoked_at = now();
+    });
+  }
+};
+
+// Updates the row only while it is in `status` when given
+function updateIf(table, id, columns, status) {
+  return write(() => {
+    const row = findRow(table, id);
+    if (row && (!status || row.status === status)) updateRow(table, row, columns);
+  });
+}
+
+const waitlistEntries = {
+  async findById(id, { tenantId } = {}) {
+    const row = findRow('waitlist_entries', id);
+    return row && row.organization_id === tenantId ? copy(row) : null;
+  },
+
+  async list({ tenantId, scope = {}, status, patientId, providerId, limit, offset }) {
+    const rows = tables.waitlist_entries.filter((row) =>
+      row.organization_id === tenantId
+      && [['patient_id', scope.patientId], ['provider_id', scope.providerId],
+        ['status', status], ['patient_id', patientId], ['provider_id', providerId]]
+        .every(([column, value]) => value === undefined || value === null || row[column] === value));
+    return page(rows, 'priority DESC, created_at', limit, offset);
+  },
+
+  async findAll({ patientId, status }) {
+    return select('waitlist_entries', (row) => row.patient_id === patientId && row.status === status);
+  },
+
+  async insert(columns) {
+    return write(() => insertRow('waitlist_entries', columns));
+  },
+
+  async update(id, columns, { status = null } = {}) {
+    await updateIf('waitlist_entries', id, columns, status);
+  },
+
+  async findNextForSlot(slot) {
+    const provider = findRow('providers', slot.providerId);
+    const time = readTime(slot.time);
+    const [entry] = select('waitlist_entries', (row) => {
+      const patient = findRow('patients', row.patient_id);
+      const duration = row.duration_minutes === null ? slot.durationMinutes : row.duration_minutes;
+      const end = new Date(slot.startsAt.getTime() + duration * 60000);
+      return row.status === 'waiting'
+        && patient && !patient.deleted_at
+        && provider && row.organization_id === provider.organization_id
+        && (row.provider_id === slot.providerId || row.provider_id === null)
+        && row.date_from <= slot.date && slot.date <= row.date_to
+        && (row.preferred_time_from === null || time >= row.preferred_time_from)
+        && (row.preferred_time_to === null || time <= row.preferred_time_to)
+        && duration <= slot.durationMinutes
+        && !tables.slot_holds.some((hold) =>
+          hold.waitlist_entry_id === row.id && hold.provider_id === slot.providerId
+          && hold.appointment_date === slot.date && hold.appointment_time === time)
+        && !tables.appointments.some((appt) =>
+          appt.patient_id === row.patient_id && appt.status !== 'cancelled' && !appt.archived_at
+          && appt.starts_at < end && appt.ends_at > slot.startsAt);
+    }, 'priority DESC, created_at');
+    return entry || null;
+  }
+};
+
+const slotHolds = {
+  async findById(id) {
+    return copy(findRow('slot_holds', id));
+  },
+
+  async findAll({ patientId, waitlistEntryIds, status }) {
+    return select('slot_holds', (row) =>
+      (waitlistEntryIds ? waitlistEntryIds.includes(row.waitlist_entry_id) : row.patient_id === patientId)
+      && row.status === status);
+  },
+
+  async findActive({ providerId, startsAt, endsAt, excludePatientId = null }) {
+    return select('slot_holds', (row) =>
+      row.status === 'held' && row.expires_at > new Date()
+      && row.provider_id === providerId && row.patient_id !== (excludePatientId || 0)
+      && row.starts_at < endsAt && row.ends_at > startsAt);
+  },
+
+  async portalUsage(patientId) {
+    const hourAgo = now(-60);
+    const holds = tables.slot_holds.filter((row) => row.patient_id === patientId && row.portal_token_id !== null);
+    const recent = holds.filter((row) => row.created_at > hourAgo);
+    const oldest = Math.min(...recent.map((row) => row.created_at.getTime()));
+    return {
+      active: holds.filter((row) => row.status === 'held' && row.expires_at > new Date()).length,
+      recent: recent.length,
+      retry_after: recent.length ? Math.floor((oldest + 3600000 - Date.now()) / 1000) : null
+    };
+  },
+
+  async insert(columns) {
+    return write(() => insertRow('slot_holds', columns));
+  },
+
+  async update(id, columns, { status = null } = {}) {
+    await updateIf('slot_holds', id, columns, status);
+  },
+
+  async nextExpired() {
+    const [hold] = select('slot_holds', (row) => row.status === 'held' && row.expires_at <= new Date(), 'expires_at');
+    return hold || null;
+  }
+};
+
+const auditLog = {
+  async insert(columns) {
+    await write(() => insertRow('audit_log', columns));
+  },
+
+  async list({ tenantId, entity, entityId, actorUserId, from, to, before, limit, offset }) {
+    const rows = tables.audit_log.filter((row) =>
+      [['organization_id', tenantId], ['entity', entity], ['entity_id', entityId], ['actor_user_id', actorUserId]]
+        .every(([column, value]) => value === undefined || row[column] === value)
+      && (from === undefined || row.created_at >= from)
+      && (to === undefined || row.created_at <= to)
+      && (before === undefined || row.created_at < before));
+    return page(rows, 'id DESC', limit, offset);
+  },
+
+  async listForEntity(entity, entityId, { tenantId }) {
+    return select('audit_log', (row) =>
+      row.entity === entity && row.entity_id === entityId && row.organization_id === tenantId);
+  }
+};
+
+const idempotencyKeys = {
+  async find(userId, key) {
+    return copy(tables.idempotency_keys.find((row) => row.user_id === userId && row.idempotency_key === key));
+  },
+
+  async insert(columns) {
+    return write(() => insertRow('idempotency_keys', columns).id);
+  },
+
+  async update(id, columns) {
+    await updateIf('idempotency_keys', id, columns);
+  },
+
+  async delete(id) {
+    await write(() => deleteRows('idempotency_keys', (row) => row.id === id));
+  },
+
+  async deleteExpired(hours, { userId, key } = {}) {
+    const cutoff = now(-hours * 60);
+    return write(() => deleteRows('idempotency_keys', (row) =>
+      row.created_at < cutoff && (!userId || (row.user_id === userId && row.idempotency_key === key))));
+  }
+};
+
+const webhooks = {
+  ...tenantTable('webhooks'),
+
+  async list(tenantId) {
+    return select('webhooks', (row) => row.organization_id === tenantId);
+  }
+};
+
+const webhookDeliveries = {
+  async queue({ organizationId, event, payload }) {
+    await write(() => {
+      const subscribed = tables.webhooks.filter((row) =>
+        row.organization_id === organizationId && row.active && row.events.includes(event));
+      for (const webhook of subscribed) {
+        insertRow('webhook_deliveries', { webhook_id: webhook.id, event, payload, next_attempt_at: now() });
+      }
+    });
+  },
+
+  async list({ webhookId, status, event, limit, offset }) {
+    const rows = tables.webhook_deliveries.filter((row) =>
+      row.webhook_id === webhookId
+      && (status === undefined || row.status === status)
+      && (event === undefined || row.event === event));
+    return page(rows, 'id DESC', limit, offset);
+  },
+
+  async findById(id, { webhookId }) {
+    const row = findRow('webhook_deliveries', id);
+    return row && row.webhook_id === webhookId ? copy(row) : null;
+  },
+
+  async insert(columns) {
+    return write(() => insertRow('webhook_deliveries', columns));
+  },
+
+  async update(id, columns) {
+    await updateIf('webhook_deliveries', id, columns);
+  },
+
+  async claimDue() {
+    const [delivery] = select('webhook_deliveries', (row) => {
+      const webhook = findRow('webhooks', row.webhook_id);
+      return row.status === 'pending' && row.next_attempt_at <= new Date() && webhook && webhook.active;
+    }, 'next_attempt_at');
+    if (!delivery) return null;
+    const { url, secret } = findRow('webhooks', delivery.webhook_id);
+    return { ...delivery, url, secret };
+  }
+};
+
+const appointmentEvents = {
+  async insert(columns) {
+    await write(() => insertRow('appointment_events', columns));
+  },
+
+  async listAfter(afterId, { organizationId = null, limit }) {
+    return tables.appointment_events
+      .filter((row) => row.id > afterId && (!organizationId || row.organization_id === organizationId))
+      .slice(0, limit)
+      .map(copy);
+  },
+
+  async idRange() {
+    const rows = tables.appointment_events;
+    return { first: rows.length ? rows[0].id : 0, last: rows.length ? rows[rows.length - 1].id : 0 };
+  },
+
+  async deleteOlderThan(hours) {
+    const cutoff = now(-hours * 60);
+    return write(() => deleteRows('appointment_events', (row) => row.created_at < cutoff));
+  }
+};
+
+// The first day of the period a 'YYYY-MM-DD' date falls in (weeks start on
+// Monday, like WEEKDAY())
+function periodOf(date, groupBy) {
+  if (groupBy === 'month') return `${date.slice(0, 7)}-01`;
+  if (groupBy !== 'week') return date;
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().slice(0, 10);
+}
+
+// The organization's live appointments between two dates, optionally of one provider
+const inScope = ({ tenantId, dateFrom, dateTo, providerId }) => tables.appointments.filter((row) =>
+  row.organization_id === tenantId
+  && row.appointment_date >= dateFrom && row.appointment_date <= dateTo
+  && !row.archived_at
+  && (providerId === undefined || row.provider_id === providerId));
+
+// Rows grouped by provider (provider_id, provider_name) or by period, each
+// group reduced to its columns by `summarize`, in the report's order
+function groupRows(rows, groupBy, summarize) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = groupBy === 'provider' ? row.provider_id : periodOf(row.appointment_date, groupBy);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  const result = [...groups].map(([key, members]) => ({
+    ...(groupBy === 'provider'
+      ? { provider_id: key, provider_name: (findRow('providers', key) || { name: null }).name }
+      : { period: key }),
+    ...summarize(members)
+  }));
+  return sortRows(result, groupBy === 'provider' ? 'provider_name, provider_id' : 'period');
+}
+
+const countWhere = (rows, predicate) => rows.filter(predicate).length;
+const sumOf = (rows, column) => rows.reduce((sum, row) => sum + row[column], 0);
+
+const reports = {
+  async statusCounts(scope, groupBy) {
+    return groupRows(inScope(scope), groupBy, (rows) => ({
+      total: rows.length,
+      ...Object.fromEntries(['scheduled', 'confirmed', 'checked_in', 'completed', 'cancelled', 'no_show']
+        .map((status) => [status, countWhere(rows, (row) => row.status === status)]))
+    }));
+  },
+
+  async bookedByProviderDay(scope) {
+    const groups = new Map();
+    for (const row of inScope(scope).filter((appt) => appt.status !== 'cancelled')) {
+      const key = `${row.provider_id}|${row.appointment_date}`;
+      if (!groups.has(key)) {
+        groups.set(key, { provider_id: row.provider_id, appointment_date: row.appointment_date, appointments: 0, minutes: 0 });
+      }
+      const group = groups.get(key);
+      group.appointments += 1;
+      group.minutes += row.duration_minutes;
+    }
+    return [...groups.values()];
+  },
+
+  // created_at is a local Date and starts_at a UTC one, so the difference
+  // needs no conversion here
+  async leadTimes(scope, groupBy) {
+    const rows = inScope(scope).map((row) => ({
+      ...row, lead_minutes: Math.trunc((row.starts_at - row.created_at) / 60000)
+    }));
+    return groupRows(rows, groupBy, (members) => {
+      const leads = members.map((row) => row.lead_minutes);
+      return {
+        appointments: members.length,
+        average: sumOf(members, 'lead_minutes') / members.length,
+        min: Math.min(...leads),
+        max: Math.max(...leads),
+        under_1_day: countWhere(leads, (lead) => lead < 1440),
+        days_1_to_7: countWhere(leads, (lead) => lead >= 1440 && lead < 10080),
+        days_7_to_30: countWhere(leads, (lead) => lead >= 10080 && lead < 43200),
+        over_30_days: countWhere(leads, (lead) => lead >= 43200)
+      };
+    });
+  },
+
+  async busiestHours(scope) {
+    const groups = new Map();
+    for (const row of inScope(scope).filter((appt) => appt.status !== 'cancelled')) {
+      const weekday = new Date(`${row.appointment_date}T00:00:00Z`).getUTCDay();
+      const hour = parseInt(row.appointment_time.slice(0, 2), 10);
+      const key = `${weekday}|${hour}`;
+      if (!groups.has(key)) groups.set(key, { weekday, hour, appointments: 0, minutes: 0 });
+      const group = groups.get(key);
+      group.appointments += 1;
+      group.minutes += row.duration_minutes;
+    }
+    return [...groups.values()].sort((a, b) =>
+      b.appointments - a.appointments || a.weekday - b.weekday || a.hour - b.hour);
+  }
+};
+
+module.exports = {
+  withTransaction,
+  now,
+  organizations,
+  locations,
+  users,
+  patients,
+  providers,
+  workingHours,
+  breaks,
+  closures,
+  appointments,
+  series,
+  notifications,
+  calendarTokens,
+  portalTokens,
+  waitlistEntries,
+  slotHolds,
+  auditLog,
+  idempotencyKeys,
+  webhooks,
+  webhookDeliveries,
+  appointmentEvents,
+  reports
+};
@@ -0,0 +1,1061 @@
+const mysql = require('mysql2/promise');
+const { pool } = require('../db');
+const { sqlUtc } = require('../timezones');
+
+// Repositories on the mysql2 pool (see ./index.js)
+
+const escapeLike = (s) => String(s).replace(/[\\%_]/g, (c) => `\\${c}`);
+
+// A transaction's connection, or the pool outside of one
+const on = (db) => db || pool;
+
+// Runs `fn(conn)` on a connection of its own inside a transaction, which is
+// committed when `fn` resolves and rolled back when it throws
+async function withTransaction(fn) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await fn(conn);
+    await conn.commit();
+    return result;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+// The database's clock, `minutes` ahead, as a column value
+const now = (minutes = 0) => mysql.raw(minutes ? `NOW() + INTERVAL ${Number(minutes)} MINUTE` : 'NOW()');
+
+// JSON columns are written as text and come back parsed
+const JSON_COLUMNS = ['changes', 'events', 'payload', 'response_body'];
+const encode = (columns) => Object.fromEntries(Object.entries(columns).map(([column, value]) =>
+  [column, JSON_COLUMNS.includes(column) && value !== null && value !== undefined ? JSON.stringify(value) : value]));
+
+async function readRow(db, table, id) {
+  const [rows] = await on(db).query(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+  return rows[0] || null;
+}
+
+async function insertRow(db, table, columns) {
+  const [result] = await on(db).query(`INSERT INTO ${table} SET ?`, [encode(columns)]);
+  return readRow(db, table, result.insertId);
+}
+
+// WHERE condition for an optional organization
+const tenantCondition = (tenantId) => (tenantId ? [' AND organization_id = ?', [tenantId]] : ['', []]);
+
+// findById, insert, update and delete of a table whose rows belong to an
+// organization. Rows of other organizations count as missing; without
+// `tenantId` the row is used regardless of organization, for rows that were
+// already checked. update returns null and delete false when nothing matched.
+function tenantTable(table) {
+  return {
+    async findById(id, { tenantId = null, db } = {}) {
+      const [condition, params] = tenantCondition(tenantId);
+      const [rows] = await on(db).query(`SELECT * FROM ${table} WHERE id = ?${condition}`, [id, ...params]);
+      return rows[0] || null;
+    },
+
+    async insert(columns, { db } = {}) {
+      return insertRow(db, table, columns);
+    },
+
+    async update(id, columns, { tenantId = null, db } = {}) {
+      const [condition, params] = tenantCondition(tenantId);
+      const [result] = await on(db).query(`UPDATE ${table} SET ? WHERE id = ?${condition}`, [encode(columns), id, ...params]);
+      return result.affectedRows === 0 ? null : readRow(db, table, id);
+    },
+
+    async delete(id, { tenantId = null, db } = {}) {
+      const [condition, params] = tenantCondition(tenantId);
+      const [result] = await on(db).query(`DELETE FROM ${table} WHERE id = ?${condition}`, [id, ...params]);
+      return result.affectedRows > 0;
+    }
+  };
+}
+
+// Locks rows in ID order until the transaction ends (see lockBookingParties
+// in index.js)
+async function lockRows(db, table, ids) {
+  if (ids.length === 0) return;
+  await on(db).query(`SELECT id FROM ${table} WHERE id IN (?) ORDER BY id FOR UPDATE`, [ids]);
+}
+
+// Streams the rows of a query from a connection of its own, which goes back
+// to the pool when the stream closes. Connecting first means an unreachable
+// database fails before the caller has sent anything.
+async function streamRows(sql, params) {
+  const conn = await pool.getConnection();
+  // conn.connection is mysql2's underlying callback connection, whose queries can be streamed
+  const stream = conn.connection.query(sql, params).stream();
+  stream.once('close', () => conn.release());
+  return stream;
+}
+
+const organizations = {
+  async list() {
+    const [rows] = await pool.query('SELECT * FROM organizations ORDER BY id');
+    return rows;
+  },
+
+  async findById(id) {
+    return readRow(null, 'organizations', id);
+  },
+
+  async insert(columns) {
+    return insertRow(null, 'organizations', columns);
+  }
+};
+
+const locations = {
+  ...tenantTable('locations'),
+
+  async list(tenantId) {
+    const [rows] = await pool.query('SELECT * FROM locations WHERE organization_id = ? ORDER BY name, id', [tenantId]);
+    return rows;
+  }
+};
+
+const users = {
+  ...tenantTable('users'),
+
+  async findByEmail(email) {
+    const [rows] = await pool.query('SELECT * FROM users WHERE email = ?', [email]);
+    return rows[0] || null;
+  },
+
+  async list(tenantId) {
+    const [rows] = await pool.query('SELECT * FROM users WHERE organization_id = ? ORDER BY id', [tenantId]);
+    return rows;
+  }
+};
+
+const patients = {
+  // Without `tenantId` the row is read regardless of organization, for rows
+  // that were already checked. `forUpdate` locks it on a transaction's connection.
+  async findById(id, { tenantId = null, includeDeleted = false, forUpdate = false, db } = {}) {
+    const [condition, params] = tenantCondition(tenantId);
+    const [rows] = await on(db).query(
+      `SELECT * FROM patients WHERE id = ?${condition}${includeDeleted ? '' : ' AND deleted_at IS NULL'}${forUpdate ? ' FOR UPDATE' : ''}`,
+      [id, ...params]
+    );
+    return rows[0] || null;
+  },
+
+  // `q` searches name, contact, email, phone and MRN; `name` and `contact`
+  // only their column. `orderBy` is a list of whitelisted "column ASC|DESC".
+  async list({ tenantId, includeDeleted = false, q, name, contact, orderBy, limit, offset }) {
+    const where = ['organization_id = ?', includeDeleted ? '1 = 1' : 'deleted_at IS NULL'];
+    const params = [tenantId];
+    if (q) {
+      where.push('(name LIKE ? OR contact LIKE ? OR email LIKE ? OR phone LIKE ? OR mrn LIKE ?)');
+      params.push(...Array(5).fill(`%${escapeLike(q)}%`));
+    }
+    if (name) {
+      where.push('name LIKE ?');
+      params.push(`%${escapeLike(name)}%`);
+    }
+    if (contact) {
+      where.push('contact LIKE ?');
+      params.push(`%${escapeLike(contact)}%`);
+    }
+    const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM patients WHERE ${where.join(' AND ')}`, params);
+    const [rows] = await pool.query(
+      `SELECT * FROM patients WHERE ${where.join(' AND ')} ORDER BY ${orderBy}, id LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return { rows, total };
+  },
+
+  // Possible duplicates of `probe`: same date of birth, phone, email or MRN,
+  // or a last name that sounds alike. Scoring is left to the caller.
+  async findDuplicateCandidates(probe, { tenantId, excludeId = null, lastName }) {
+    const [rows] = await pool.query(
+      `SELECT * FROM patients
+       WHERE id <> ? AND organization_id = ? AND deleted_at IS NULL AND (
+         SOUNDEX(COALESCE(last_name, name)) = SOUNDEX(?)
+         OR date_of_birth = ? OR phone = ? OR email = ? OR mrn = ?
+       )
+       LIMIT 500`,
+      [excludeId || 0, tenantId, lastName, probe.date_of_birth, probe.phone, probe.email, probe.mrn]
+    );
+    return rows;
+  },
+
+  // The organization's live patients in ID order, as a stream (CSV export)
+  async stream(tenantId) {
+    return streamRows('SELECT * FROM patients WHERE organization_id = ? AND deleted_at IS NULL ORDER BY id', [tenantId]);
+  },
+
+  async lock(ids, { db } = {}) {
+    await lockRows(db, 'patients', ids);
+  },
+
+  // Both throw an error with code ER_DUP_ENTRY when the MRN is taken
+  async insert(columns, { db } = {}) {
+    return insertRow(db, 'patients', columns);
+  },
+
+  async update(id, columns, { db } = {}) {
+    await on(db).query('UPDATE patients SET ? WHERE id = ?', [columns, id]);
+    return readRow(db, 'patients', id);
+  },
+
+  // Hard delete, for a merged duplicate; soft deletes set deleted_at
+  async delete(id, { db } = {}) {
+    await on(db).query('DELETE FROM patients WHERE id = ?', [id]);
+  },
+
+  // Hands everything of patient `fromId` over to `toId` for a merge:
+  // appointments (as a change of each), series, user accounts, waitlist
+  // entries and slot holds. The old patient's calendar feeds are revoked.
+  async moveRecords(fromId, toId, { db } = {}) {
+    await on(db).query('UPDATE appointments SET patient_id = ?, sequence = sequence + 1 WHERE patient_id = ?', [toId, fromId]);
+    for (const table of ['appointment_series', 'users', 'waitlist_entries', 'slot_holds']) {
+      await on(db).query(`UPDATE ${table} SET patient_id = ? WHERE patient_id = ?`, [toId, fromId]);
+    }
+    await on(db).query(
+      "UPDATE calendar_feed_tokens SET revoked_at = NOW() WHERE owner_type = 'patient' AND owner_id = ? AND revoked_at IS NULL",
+      [fromId]
+    );
+  }
+};
+
+const providers = {
+  ...tenantTable('providers'),
+
+  // `orderBy` is a fixed ORDER BY list
+  async list({ tenantId, locationId = null, ids = null, orderBy = 'id' }) {
+    const where = ['organization_id = ?'];
+    const params = [tenantId];
+    if (locationId) {
+      where.push('location_id = ?');
+      params.push(locationId);
+    }
+    if (ids) {
+      where.push('id IN (?)');
+      params.push(ids);
+    }
+    const [rows] = await pool.query(`SELECT * FROM providers WHERE ${where.join(' AND ')} ORDER BY ${orderBy}`, params);
+    return rows;
+  },
+
+  async lock(ids, { db } = {}) {
+    await lockRows(db, 'providers', ids);
+  }
+};
+
+const workingHours = {
+  async list(providerId) {
+    const [rows] = await pool.query(
+      'SELECT * FROM provider_working_hours WHERE provider_id = ? ORDER BY weekday, start_time',
+      [providerId]
+    );
+    return rows;
+  },
+
+  async replace(providerId, rows, { db } = {}) {
+    await on(db).query('DELETE FROM provider_working_hours WHERE provider_id = ?', [providerId]);
+    for (const row of rows) {
+      await on(db).query('INSERT INTO provider_working_hours SET ?', [{ ...row, provider_id: providerId }]);
+    }
+  }
+};
+
+const breaks = {
+  async list(providerId) {
+    const [rows] = await pool.query(
+      'SELECT * FROM provider_breaks WHERE provider_id = ? ORDER BY weekday, start_time',
+      [providerId]
+    );
+    return rows;
+  },
+
+  async insert(columns) {
+    return insertRow(null, 'provider_breaks', columns);
+  },
+
+  async delete(id, { providerId }) {
+    const [result] = await pool.query('DELETE FROM provider_breaks WHERE id = ? AND provider_id = ?', [id, providerId]);
+    return result.affectedRows > 0;
+  }
+};
+
+const closures = {
+  ...tenantTable('closures'),
+
+  // With `providerId`, that provider's closures and the clinic-wide ones
+  async list({ tenantId, providerId, from, to }) {
+    const where = ['organization_id = ?'];
+    const params = [tenantId];
+    if (providerId !== undefined) {
+      where.push('(provider_id = ? OR provider_id IS NULL)');
+      params.push(providerId);
+    }
+    if (from !== undefined) {
+      where.push('closure_date >= ?');
+      params.push(from);
+    }
+    if (to !== undefined) {
+      where.push('closure_date <= ?');
+      params.push(to);
+    }
+    const [rows] = await pool.query(
+      `SELECT * FROM closures WHERE ${where.join(' AND ')} ORDER BY closure_date, start_time`,
+      params
+    );
+    return rows;
+  },
+
+  // Closures of the provider between two dates (inclusive), with the
+  // clinic-wide ones of its organization
+  async listForProvider(providerId, from, to) {
+    const [rows] = await pool.query(
+      `SELECT * FROM closures
+       WHERE closure_date BETWEEN ? AND ?
+         AND (provider_id = ? OR (provider_id IS NULL
+           AND organization_id = (SELECT organization_id FROM providers WHERE id = ?)))`,
+      [from, to, providerId, providerId]
+    );
+    return rows;
+  }
+};
+
+// WHERE clause of appointments.findAll and count. `archived` is true or
+// false to pick archived or live rows; `upcoming` keeps those starting now or
+// later, `startsFrom` (a Date) those starting then or later.
+function appointmentFilter({
+  ids, tenantId, patientId, providerId, seriesId, statuses, dateFrom, dateTo, archived, upcoming, startsFrom
+}) {
+  const conditions = [
+    [ids, 'id IN (?)'], [tenantId, 'organization_id = ?'], [patientId, 'patient_id = ?'],
+    [providerId, 'provider_id = ?'], [seriesId, 'series_id = ?'], [statuses, 'status IN (?)'],
+    [dateFrom, 'appointment_date >= ?'], [dateTo, 'appointment_date <= ?'], [startsFrom && sqlUtc(startsFrom), 'starts_at >= ?']
+  ].filter(([value]) => value !== undefined);
+  const where = conditions.map(([, condition]) => condition);
+  if (archived !== undefined) where.push(archived ? 'archived_at IS NOT NULL' : 'archived_at IS NULL');
+  if (upcoming) where.push('starts_at >= UTC_TIMESTAMP()');
+  return [where.length > 0 ? where.join(' AND ') : 'TRUE', conditions.map(([value]) => value)];
+}
+
+const appointments = {
+  // Without `tenantId` the row is read regardless of organization, for rows
+  // that were already checked. `forUpdate` locks it on a transaction's connection.
+  async findById(id, { tenantId = null, forUpdate = false, db } = {}) {
+    const [condition, params] = tenantCondition(tenantId);
+    const [rows] = await on(db).query(
+      `SELECT * FROM appointments WHERE id = ?${condition}${forUpdate ? ' FOR UPDATE' : ''}`,
+      [id, ...params]
+    );
+    return rows[0] || null;
+  },
+
+  // `scope` limits to one patient or provider (the caller's own records);
+  // the other filters come from the query string. `statuses` is a list.
+  // `unfinished` keeps those that have not ended yet.
+  async list({
+    tenantId, scope = {}, includeArchived = false, unfinished = false, patientId, providerId, dateFrom, dateTo,
+    timeFrom, timeTo, statuses, reason, orderBy, limit, offset
+  }) {
+    const where = ['organization_id = ?'];
+    const params = [tenantId];
+    const equal = [
+      ['patient_id', scope.patientId], ['provider_id', scope.providerId],
+      ['patient_id', patientId], ['provider_id', providerId]
+    ];
+    for (const [column, value] of equal) {
+      if (value === undefined || value === null) continue;
+      where.push(`${column} = ?`);
+      params.push(value);
+    }
+    const ranges = [
+      ['appointment_date', '>=', dateFrom], ['appointment_date', '<=', dateTo],
+      ['appointment_time', '>=', timeFrom], ['appointment_time', '<=', timeTo]
+    ];
+    for (const [column, op, value] of ranges) {
+      if (value === undefined) continue;
+      where.push(`${column} ${op} ?`);
+      params.push(value);
+    }
+    if (!includeArchived) where.push('archived_at IS NULL');
+    if (unfinished) where.push('ends_at > UTC_TIMESTAMP()');
+    if (statuses) {
+      where.push('status IN (?)');
+      params.push(statuses);
+    }
+    if (reason) {
+      where.push('reason LIKE ?');
+      params.push(`%${escapeLike(reason)}%`);
+    }
+    const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM appointments WHERE ${where.join(' AND ')}`, params);
+    const [rows] = await pool.query(
+      `SELECT * FROM appointments WHERE ${where.join(' AND ')} ORDER BY ${orderBy}, id LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return { rows, total };
+  },
+
+  // Every row matching `filter` (see appointmentFilter), locked with
+  // `forUpdate` on a transaction's connection. `orderBy` is a fixed ORDER BY list.
+  async findAll(filter, { forUpdate = false, orderBy = 'id', db } = {}) {
+    const [where, params] = appointmentFilter(filter);
+    const [rows] = await on(db).query(
+      `SELECT * FROM appointments WHERE ${where} ORDER BY ${orderBy}${forUpdate ? ' FOR UPDATE' : ''}`,
+      params
+    );
+    return rows;
+  },
+
+  async count(filter) {
+    const [where, params] = appointmentFilter(filter);
+    const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM appointments WHERE ${where}`, params);
+    return total;
+  },
+
+  // Like findAll, by start, with the names of the patient and the provider
+  // as patient_name and provider_name (calendars)
+  async findAllWithNames(filter) {
+    const [where, params] = appointmentFilter(filter);
+    const [rows] = await pool.query(
+      `SELECT a.*, pt.name AS patient_name, pr.name AS provider_name
+       FROM (SELECT * FROM appointments WHERE ${where}) a
+       JOIN patients pt ON pt.id = a.patient_id
+       LEFT JOIN providers pr ON pr.id = a.provider_id
+       ORDER BY a.starts_at, a.id`,
+      params
+    );
+    return rows;
+  },
+
+  // Rows matching `filter` by start, as a stream (CSV export)
+  async stream(filter) {
+    const [where, params] = appointmentFilter(filter);
+    return streamRows(`SELECT * FROM appointments WHERE ${where} ORDER BY starts_at, id`, params);
+  },
+
+  // IDs of live appointments of the patient or the provider overlapping
+  // [startsAt, endsAt), both UTC DATETIME strings; without `patientId`, of
+  // the provider only. On a transaction's connection this is a locking read,
+  // which sees the latest committed rows.
+  async findOverlapping({ patientId = null, providerId, startsAt, endsAt, excludeId = null, db }) {
+    const parties = patientId ? '(patient_id = ? OR provider_id = ?)' : 'provider_id = ?';
+    const [rows] = await on(db).query(
+      `SELECT id FROM appointments
+       WHERE ${parties}
+         AND starts_at < ?
+         AND ends_at > ?
+         AND status <> 'cancelled'
+         AND archived_at IS NULL
+         AND id <> ?
+       ORDER BY id${db ? ' FOR SHARE' : ''}`,
+      [...(patientId ? [patientId] : []), providerId, endsAt, startsAt, excludeId || 0]
+    );
+    return rows.map((row) => row.id);
+  },
+
+  // Returns the new row
+  async insert(columns, { db } = {}) {
+    return insertRow(db, 'appointments', columns);
+  },
+
+  // Returns the updated row, or null when it is no longer in `status` (the
+  // guard that keeps concurrent transitions honest). `bumpSequence` marks a
+  // change calendar clients must pick up.
+  async update(id, columns, { status = null, bumpSequence = false, db } = {}) {
+    const [result] = await on(db).query(
+      `UPDATE appointments SET ?${bumpSequence ? ', sequence = sequence + 1' : ''}
+       WHERE id = ?${status ? ' AND status = ?' : ''}`,
+      [columns, id, ...(status ? [status] : [])]
+    );
+    return result.affectedRows === 0 ? null : readRow(db, 'appointments', id);
+  },
+
+  // The same for several rows, of `statuses` only when given. Returns the
+  // number updated.
+  async updateMany(ids, columns, { statuses = null, bumpSequence = false, db } = {}) {
+    if (ids.length === 0) return 0;
+    const [result] = await on(db).query(
+      `UPDATE appointments SET ?${bumpSequence ? ', sequence = sequence + 1' : ''}
+       WHERE id IN (?)${statuses ? ' AND status IN (?)' : ''}`,
+      [columns, ids, ...(statuses ? [statuses] : [])]
+    );
+    return result.affectedRows;
+  }
+};
+
+const series = tenantTable('appointment_series');
+
+const notifications = {
+  async listByAppointment(appointmentId) {
+    const [rows] = await pool.query('SELECT * FROM notifications WHERE appointment_id = ? ORDER BY send_at, id', [appointmentId]);
+    return rows;
+  },
+
+  async insert(columns, { db } = {}) {
+    await on(db).query('INSERT INTO notifications SET ?', [columns]);
+  },
+
+  async update(id, columns, { db } = {}) {
+    await on(db).query('UPDATE notifications SET ? WHERE id = ?', [columns, id]);
+  },
+
+  async cancelPending(appointmentIds, { db } = {}) {
+    await on(db).query(
+      "UPDATE notifications SET status = 'cancelled' WHERE appointment_id IN (?) AND status = 'pending'",
+      [appointmentIds]
+    );
+  },
+
+  // The next reminder due, locked, with the appointment's date, time and
+  // zone and the patient's and provider's names. SKIP LOCKED lets several
+  // workers run side by side.
+  async claimDue({ db }) {
+    const [rows] = await on(db).query(
+      `SELECT n.*, a.appointment_date, a.appointment_time, a.time_zone, pt.name AS patient_name, pr.name AS provider_name
+       FROM notifications n
+       JOIN appointments a ON a.id = n.appointment_id
+       JOIN patients pt ON pt.id = a.patient_id
+       LEFT JOIN providers pr ON pr.id = a.provider_id
+       WHERE n.status = 'pending' AND n.next_attempt_at <= UTC_TIMESTAMP()
+       ORDER BY n.next_attempt_at
+       LIMIT 1
+       FOR UPDATE OF n SKIP LOCKED`
+    );
+    return rows[0] || null;
+  }
+};
+
+const calendarTokens = {
+  async findActive({ tokenHash, ownerType, ownerId }) {
+    const [rows] = await pool.query(
+      `SELECT * FROM calendar_feed_tokens
+       WHERE token_hash = ? AND owner_type = ? AND owner_id = ? AND revoked_at IS NULL`,
+      [tokenHash, ownerType, ownerId]
+    );
+    return rows[0] || null;
+  },
+
+  async findById(id) {
+    return readRow(null, 'calendar_feed_tokens', id);
+  },
+
+  async listByOwner(ownerType, ownerId) {
+    const [rows] = await pool.query(
+      'SELECT * FROM calendar_feed_tokens WHERE owner_type = ? AND owner_id = ? ORDER BY id',
+      [ownerType, ownerId]
+    );
+    return rows;
+  },
+
+  async insert(columns) {
+    return insertRow(null, 'calendar_feed_tokens', columns);
+  },
+
+  async revoke(id) {
+    await pool.query('UPDATE calendar_feed_tokens SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL', [id]);
+  }
+};
+
+const portalTokens = {
+  // An unexpired, unrevoked token of a patient that is not deleted, with the
+  // patient's organization_id
+  async findActive(tokenHash) {
+    const [rows] = await pool.query(
+      `SELECT t.*, p.organization_id FROM portal_tokens t
+       JOIN patients p ON p.id = t.patient_id AND p.deleted_at IS NULL
+       WHERE t.token_hash = ? AND t.revoked_at IS NULL AND t.expires_at > NOW()`,
+      [tokenHash]
+    );
+    return rows[0] || null;
+  },
+
+  async findById(id) {
+    return readRow(null, 'portal_tokens', id);
+  },
+
+  async listByPatient(patientId) {
+    const [rows] = await pool.query('SELECT * FROM portal_tokens WHERE patient_id = ? ORDER BY id', [patientId]);
+    return rows;
+  },
+
+  async insert(columns, { db } = {}) {
+    return insertRow(db, 'portal_tokens', columns);
+  },
+
+  async touch(id) {
+    await pool.query('UPDATE portal_tokens SET last_used_at = NOW() WHERE id = ?', [id]);
+  },
+
+  async revoke(id) {
+    await pool.query('UPDATE portal_tokens SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL', [id]);
+  }
+};
+
+const waitlistEntries = {
+  // Locked with `forUpdate` on a transaction's connection
+  async findById(id, { tenantId, forUpdate = false, db } = {}) {
+    const [rows] = await on(db).query(
+      `SELECT * FROM waitlist_entries WHERE id = ? AND organization_id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+      [id, tenantId]
+    );
+    return rows[0] || null;
+  },
+
+  // `scope` limits to one patient or provider like appointments.list
+  async list({ tenantId, scope = {}, status, patientId, providerId, limit, offset }) {
+    const where = ['organization_id = ?'];
+    const params = [tenantId];
+    for (const [column, value] of [
+      ['patient_id', scope.patientId], ['provider_id', scope.providerId],
+      ['status', status], ['patient_id', patientId], ['provider_id', providerId]
+    ]) {
+      if (value === undefined || value === null) continue;
+      where.push(`${column} = ?`);
+      params.push(value);
+    }
+    const [[{ total }]] = await pool.query(
+      `SELECT COUNT(*) AS total FROM waitlist_entries WHERE ${where.join(' AND ')}`,
+      params
+    );
+    const [rows] = await pool.query(
+      `SELECT * FROM waitlist_entries WHERE ${where.join(' AND ')}
+       ORDER BY priority DESC, created_at, id LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return { rows, total };
+  },
+
+  async findAll({ patientId, status }, { db } = {}) {
+    const [rows] = await on(db).query(
+      'SELECT * FROM waitlist_entries WHERE patient_id = ? AND status = ? ORDER BY id',
+      [patientId, status]
+    );
+    return rows;
+  },
+
+  async insert(columns) {
+    return insertRow(null, 'waitlist_entries', columns);
+  },
+
+  // Only while the entry is in `status` when given
+  async update(id, columns, { status = null, db } = {}) {
+    await on(db).query(
+      `UPDATE waitlist_entries SET ? WHERE id = ?${status ? ' AND status = ?' : ''}`,
+      [columns, id, ...(status ? [status] : [])]
+    );
+  },
+
+  // The waiting entry a freed slot goes to (see offerSlot in waitlist.js):
+  // of the provider's organization, for this provider or any, the slot
+  // within its dates, preferred times and length, not offered this slot
+  // before, and the patient live and free at that time. Highest priority
+  // first, then longest waiting. Locked, skipping entries other
+  // transactions are offering.
+  async findNextForSlot(slot, { db }) {
+    const [rows] = await on(db).query(
+      `SELECT w.* FROM waitlist_entries w
+       JOIN patients p ON p.id = w.patient_id AND p.deleted_at IS NULL
+       WHERE w.status = 'waiting'
+         AND w.organization_id = (SELECT organization_id FROM providers WHERE id = ?)
+         AND (w.provider_id = ? OR w.provider_id IS NULL)
+         AND ? BETWEEN w.date_from AND w.date_to
+         AND (w.preferred_time_from IS NULL OR ? >= w.preferred_time_from)
+         AND (w.preferred_time_to IS NULL OR ? <= w.preferred_time_to)
+         AND COALESCE(w.duration_minutes, ?) <= ?
+         AND NOT EXISTS (
+           SELECT 1 FROM slot_holds h
+           WHERE h.waitlist_entry_id = w.id AND h.provider_id = ? AND h.appointment_date = ? AND h.appointment_time = ?
+         )
+         AND NOT EXISTS (
+           SELECT 1 FROM appointments a
+           WHERE a.patient_id = w.patient_id AND a.status <> 'cancelled' AND a.archived_at IS NULL
+             AND a.starts_at < ? + INTERVAL COALESCE(w.duration_minutes, ?) MINUTE AND a.ends_at > ?
+         )
+       ORDER BY w.priority DESC, w.created_at, w.id
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED`,
+      [slot.providerId, slot.providerId, slot.date, slot.time, slot.time, slot.durationMinutes, slot.durationMinutes,
+        slot.providerId, slot.date, slot.time, sqlUtc(slot.startsAt), slot.durationMinutes, sqlUtc(slot.startsAt)]
+    );
+    return rows[0] || null;
+  }
+};
+
+const slotHolds = {
+  async findById(id, { forUpdate = false, db } = {}) {
+    const [rows] = await on(db).query(`SELECT * FROM slot_holds WHERE id = ?${forUpdate ? ' FOR UPDATE' : ''}`, [id]);
+    return rows[0] || null;
+  },
+
+  // Holds of a patient or of waitlist entries in `status`, locked with
+  // `forUpdate` on a transaction's connection
+  async findAll({ patientId, waitlistEntryIds, status }, { forUpdate = false, db } = {}) {
+    if (waitlistEntryIds && waitlistEntryIds.length === 0) return [];
+    const [column, value] = waitlistEntryIds ? ['waitlist_entry_id IN (?)', waitlistEntryIds] : ['patient_id = ?', patientId];
+    const [rows] = await on(db).query(
+      `SELECT * FROM slot_holds WHERE ${column} AND status = ? ORDER BY id${forUpdate ? ' FOR UPDATE' : ''}`,
+      [value, status]
+    );
+    return rows;
+  },
+
+  // Held, unexpired holds of the provider overlapping [startsAt, endsAt)
+  // (Dates), except those of `excludePatientId`. On a transaction's
+  // connection this is a locking read, like appointment overlaps.
+  async findActive({ providerId, startsAt, endsAt, excludePatientId = null }, { db } = {}) {
+    const [rows] = await on(db).query(
+      `SELECT * FROM slot_holds
+       WHERE status = 'held' AND expires_at > NOW()
+         AND provider_id = ? AND patient_id <> ?
+         AND starts_at < ? AND ends_at > ?
+       ORDER BY id${db ? ' FOR SHARE' : ''}`,
+      [providerId, excludePatientId || 0, sqlUtc(endsAt), sqlUtc(startsAt)]
+    );
+    return rows;
+  },
+
+  // The patient's portal holds: how many are active, how many were placed in
+  // the last hour, and the seconds until the oldest of those is an hour old
+  async portalUsage(patientId, { db } = {}) {
+    const [[usage]] = await on(db).query(
+      `SELECT
+         COUNT(CASE WHEN status = 'held' AND expires_at > NOW() THEN 1 END) AS active,
+         COUNT(CASE WHEN created_at > NOW() - INTERVAL 1 HOUR THEN 1 END) AS recent,
+         TIMESTAMPDIFF(SECOND, NOW(),
+           MIN(CASE WHEN created_at > NOW() - INTERVAL 1 HOUR THEN created_at END) + INTERVAL 1 HOUR) AS retry_after
+       FROM slot_holds WHERE patient_id = ? AND portal_token_id IS NOT NULL`,
+      [patientId]
+    );
+    return usage;
+  },
+
+  async insert(columns, { db } = {}) {
+    return insertRow(db, 'slot_holds', columns);
+  },
+
+  // Only while the hold is in `status` when given
+  async update(id, columns, { status = null, db } = {}) {
+    await on(db).query(
+      `UPDATE slot_holds SET ? WHERE id = ?${status ? ' AND status = ?' : ''}`,
+      [columns, id, ...(status ? [status] : [])]
+    );
+  },
+
+  // The held slot that expired longest ago, locked, skipping those other
+  // workers are expiring
+  async nextExpired({ db }) {
+    const [rows] = await on(db).query(
+      `SELECT * FROM slot_holds WHERE status = 'held' AND expires_at <= NOW()
+       ORDER BY expires_at LIMIT 1 FOR UPDATE SKIP LOCKED`
+    );
+    return rows[0] || null;
+  }
+};
+
+const auditLog = {
+  async insert(columns, { db } = {}) {
+    await on(db).query('INSERT INTO audit_log SET ?', [encode(columns)]);
+  },
+
+  // Newest first. `from` and `to` (Dates) bound created_at inclusively,
+  // `before` exclusively.
+  async list({ tenantId, entity, entityId, actorUserId, from, to, before, limit, offset }) {
+    const conditions = [
+      [tenantId, 'organization_id = ?'], [entity, 'entity = ?'], [entityId, 'entity_id = ?'],
+      [actorUserId, 'actor_user_id = ?'], [from, 'created_at >= ?'], [to, 'created_at <= ?'], [before, 'created_at < ?']
+    ].filter(([value]) => value !== undefined);
+    const where = conditions.map(([, condition]) => condition).join(' AND ');
+    const params = conditions.map(([value]) => value);
+    const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM audit_log WHERE ${where}`, params);
+    const [rows] = await pool.query(
+      `SELECT * FROM audit_log WHERE ${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return { rows, total };
+  },
+
+  // Oldest first
+  async listForEntity(entity, entityId, { tenantId }) {
+    const [rows] = await pool.query(
+      'SELECT * FROM audit_log WHERE entity = ? AND entity_id = ? AND organization_id = ? ORDER BY id',
+      [entity, entityId, tenantId]
+    );
+    return rows;
+  }
+};
+
+const idempotencyKeys = {
+  async find(userId, key) {
+    const [rows] = await pool.query(
+      'SELECT * FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ?',
+      [userId, key]
+    );
+    return rows[0] || null;
+  },
+
+  // Returns the new ID; throws an error with code ER_DUP_ENTRY when the user
+  // already has the key
+  async insert(columns) {
+    const [result] = await pool.query('INSERT INTO idempotency_keys SET ?', [columns]);
+    return result.insertId;
+  },
+
+  async update(id, columns) {
+    await pool.query('UPDATE idempotency_keys SET ? WHERE id = ?', [encode(columns), id]);
+  },
+
+  async delete(id) {
+    await pool.query('DELETE FROM idempotency_keys WHERE id = ?', [id]);
+  },
+
+  // Deletes keys older than `hours`, only the user's `key` when given.
+  // Returns the number deleted.
+  async deleteExpired(hours, { userId, key } = {}) {
+    const [result] = userId
+      ? await pool.query(
+        'DELETE FROM idempotency_keys WHERE user_id = ? AND idempotency_key = ? AND created_at < NOW() - INTERVAL ? HOUR',
+        [userId, key, hours]
+      )
+      : await pool.query('DELETE FROM idempotency_keys WHERE created_at < NOW() - INTERVAL ? HOUR', [hours]);
+    return result.affectedRows;
+  }
+};
+
+const webhooks = {
+  ...tenantTable('webhooks'),
+
+  async list(tenantId) {
+    const [rows] = await pool.query('SELECT * FROM webhooks WHERE organization_id = ? ORDER BY id', [tenantId]);
+    return rows;
+  }
+};
+
+const webhookDeliveries = {
+  // One pending delivery per active webhook of the organization subscribed
+  // to `event` (see webhooks.js)
+  async queue({ organizationId, event, payload }, { db } = {}) {
+    await on(db).query(
+      `INSERT INTO webhook_deliveries (webhook_id, event, payload, next_attempt_at)
+       SELECT id, ?, ?, UTC_TIMESTAMP() FROM webhooks
+       WHERE organization_id = ? AND active AND JSON_CONTAINS(events, JSON_QUOTE(?))`,
+      [event, JSON.stringify(payload), organizationId, event]
+    );
+  },
+
+  // Newest first
+  async list({ webhookId, status, event, limit, offset }) {
+    const where = ['webhook_id = ?'];
+    const params = [webhookId];
+    for (const [column, value] of [['status', status], ['event', event]]) {
+      if (value === undefined) continue;
+      where.push(`${column} = ?`);
+      params.push(value);
+    }
+    const condition = where.join(' AND ');
+    const [[{ total }]] = await pool.query(`SELECT COUNT(*) AS total FROM webhook_deliveries WHERE ${condition}`, params);
+    const [rows] = await pool.query(
+      `SELECT * FROM webhook_deliveries WHERE ${condition} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return { rows, total };
+  },
+
+  async findById(id, { webhookId }) {
+    const [rows] = await pool.query('SELECT * FROM webhook_deliveries WHERE id = ? AND webhook_id = ?', [id, webhookId]);
+    return rows[0] || null;
+  },
+
+  async insert(columns, { db } = {}) {
+    return insertRow(db, 'webhook_deliveries', columns);
+  },
+
+  async update(id, columns, { db } = {}) {
+    await on(db).query('UPDATE webhook_deliveries SET ? WHERE id = ?', [columns, id]);
+  },
+
+  // The next delivery due of an active webhook, locked, with the webhook's
+  // url and secret. SKIP LOCKED lets several workers run side by side.
+  async claimDue({ db }) {
+    const [rows] = await on(db).query(
+      `SELECT d.*, w.url, w.secret
+       FROM webhook_deliveries d
+       JOIN webhooks w ON w.id = d.webhook_id AND w.active
+       WHERE d.status = 'pending' AND d.next_attempt_at <= UTC_TIMESTAMP()
+       ORDER BY d.next_attempt_at, d.id
+       LIMIT 1
+       FOR UPDATE OF d SKIP LOCKED`
+    );
+    return rows[0] || null;
+  }
+};
+
+const appointmentEvents = {
+  async insert(columns, { db } = {}) {
+    await on(db).query('INSERT INTO appointment_events SET ?', [encode(columns)]);
+  },
+
+  // Events with an ID above `afterId`, oldest first; all organizations when
+  // `organizationId` is null
+  async listAfter(afterId, { organizationId = null, limit }) {
+    const [rows] = organizationId
+      ? await pool.query(
+        'SELECT * FROM appointment_events WHERE organization_id = ? AND id > ? ORDER BY id LIMIT ?',
+        [organizationId, afterId, limit]
+      )
+      : await pool.query('SELECT * FROM appointment_events WHERE id > ? ORDER BY id LIMIT ?', [afterId, limit]);
+    return rows;
+  },
+
+  // Lowest and highest event ID still kept (0 when there are none)
+  async idRange() {
+    const [[range]] = await pool.query('SELECT MIN(id) AS first, MAX(id) AS last FROM appointment_events');
+    return { first: range.first || 0, last: range.last || 0 };
+  },
+
+  // Returns the number deleted
+  async deleteOlderThan(hours) {
+    const [result] = await pool.query(
+      'DELETE FROM appointment_events WHERE created_at < NOW() - INTERVAL ? HOUR',
+      [hours]
+    );
+    return result.affectedRows;
+  }
+};
+
+// SQL of the period a DATE column falls in, named by its first day
+const REPORT_PERIODS = {
+  day: (column) => column,
+  week: (column) => `DATE_SUB(${column}, INTERVAL WEEKDAY(${column}) DAY)`,
+  month: (column) => `DATE_FORMAT(${column}, '%Y-%m-01')`
+};
+
+// WHERE conditions shared by the reports: the organization's live
+// appointments between two dates, optionally of one provider
+function reportScope({ tenantId, dateFrom, dateTo, providerId }) {
+  const where = ['a.organization_id = ?', 'a.appointment_date BETWEEN ? AND ?', 'a.archived_at IS NULL'];
+  const params = [tenantId, dateFrom, dateTo];
+  if (providerId !== undefined) {
+    where.push('a.provider_id = ?');
+    params.push(providerId);
+  }
+  return [where.join(' AND '), params];
+}
+
+// SELECT, JOIN, GROUP BY and ORDER BY parts for grouping by provider
+// (provider_id, provider_name) or by day, week or month (period)
+function reportGrouping(groupBy) {
+  if (groupBy === 'provider') {
+    return {
+      select: 'a.provider_id, pr.name AS provider_name',
+      join: 'LEFT JOIN providers pr ON pr.id = a.provider_id',
+      groupBy: 'a.provider_id, pr.name',
+      orderBy: 'pr.name, a.provider_id'
+    };
+  }
+  return { select: `${REPORT_PERIODS[groupBy]('a.appointment_date')} AS period`, join: '', groupBy: 'period', orderBy: 'period' };
+}
+
+const reports = {
+  // Appointments per group and status
+  async statusCounts(scope, groupBy) {
+    const [where, params] = reportScope(scope);
+    const group = reportGrouping(groupBy);
+    const [rows] = await pool.query(
+      `SELECT ${group.select}, COUNT(*) AS total,
+         SUM(a.status = 'scheduled') AS scheduled, SUM(a.status = 'confirmed') AS confirmed,
+         SUM(a.status = 'checked_in') AS checked_in, SUM(a.status = 'completed') AS completed,
+         SUM(a.status = 'cancelled') AS cancelled, SUM(a.status = 'no_show') AS no_show
+       FROM appointments a ${group.join}
+       WHERE ${where}
+       GROUP BY ${group.groupBy}
+       ORDER BY ${group.orderBy}`,
+      params
+    );
+    return rows;
+  },
+
+  // Appointments and booked minutes per provider and day, cancelled ones left out
+  async bookedByProviderDay(scope) {
+    const [where, params] = reportScope(scope);
+    const [rows] = await pool.query(
+      `SELECT a.provider_id, a.appointment_date, COUNT(*) AS appointments, SUM(a.duration_minutes) AS minutes
+       FROM appointments a
+       WHERE ${where} AND a.status <> 'cancelled'
+       GROUP BY a.provider_id, a.appointment_date`,
+      params
+    );
+    return rows;
+  },
+
+  // Minutes between booking and start per group: average, min, max and a
+  // histogram
+  async leadTimes(scope, groupBy) {
+    const [where, params] = reportScope(scope);
+    const group = reportGrouping(groupBy);
+    // created_at is in the server's time zone and starts_at in UTC; each
+    // created_at is converted with the offset that applied at that time
+    const [rows] = await pool.query(
+      `SELECT ${group.select}, COUNT(*) AS appointments,
+         AVG(a.lead_minutes) AS average, MIN(a.lead_minutes) AS min, MAX(a.lead_minutes) AS max,
+         SUM(a.lead_minutes < 1440) AS under_1_day,
+         SUM(a.lead_minutes >= 1440 AND a.lead_minutes < 10080) AS days_1_to_7,
+         SUM(a.lead_minutes >= 10080 AND a.lead_minutes < 43200) AS days_7_to_30,
+         SUM(a.lead_minutes >= 43200) AS over_30_days
+       FROM (
+         SELECT a.*, TIMESTAMPDIFF(MINUTE, CONVERT_TZ(a.created_at, @@session.time_zone, '+00:00'), a.starts_at)
+           AS lead_minutes
+         FROM appointments a
+         WHERE ${where}
+       ) a ${group.join}
+       GROUP BY ${group.groupBy}
+       ORDER BY ${group.orderBy}`,
+      params
+    );
+    return rows;
+  },
+
+  // Appointments and booked minutes per weekday (0 = Sunday) and starting
+  // hour, busiest first; cancelled ones left out
+  async busiestHours(scope) {
+    const [where, params] = reportScope(scope);
+    const [rows] = await pool.query(
+      `SELECT DAYOFWEEK(a.appointment_date) - 1 AS weekday, HOUR(a.appointment_time) AS hour,
+         COUNT(*) AS appointments, SUM(a.duration_minutes) AS minutes
+       FROM appointments a
+       WHERE ${where} AND a.status <> 'cancelled'
+       GROUP BY weekday, hour
+       ORDER BY appointments DESC, weekday, hour`,
+      params
+    );
+    return rows;
+  }
+};
+
+module.exports = {
+  withTransaction,
+  now,
+  organizations,
+  locations,
+  users,
+  patients,
+  providers,
+  workingHours,
+  breaks,
+  closures,
+  appointments,
+  series,
+  notifications,
+  calendarTokens,
+  portalTokens,
+  waitlistEntries,
+  slotHolds,
+  auditLog,
+  idempotencyKeys,
+  webhooks,
+  webhookDeliveries,
+  appointmentEvents,
+  reports
+};
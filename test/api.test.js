@@ -0,0 +1,441 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, tokenFor, request, readStream, clientFor, createOrganization } = require('./helpers');
+
+// Every route once, in the order a clinic would use them, on the memory backend
+
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+const today = new Date().toISOString().slice(0, 10);
+// A Monday at least two weeks out, so portal changes are outside the cutoff
+const monday = addDays(today, 14 + ((8 - new Date(`${today}T00:00:00Z`).getUTCDay()) % 7));
+const tuesday = addDays(monday, 1);
+
+let admin;
+let organizationId;
+const ids = {};
+
+before(async () => {
+  await start();
+  ({ id: organizationId, admin } = await createOrganization('Test Clinic'));
+});
+after(stop);
+
+test('GET / answers without a token', async () => {
+  const res = await request('GET', '/');
+  assert.equal(res.status, 200);
+});
+
+test('organizations are listed for platform admins only', async () => {
+  const platform = clientFor(tokenFor({ role: 'admin' }));
+  const res = await platform.get('/organizations');
+  assert.equal(res.status, 200);
+  assert.ok(res.body.some((row) => row.OrganizationId === organizationId));
+  assert.equal((await admin.get('/organizations')).status, 403);
+});
+
+test('locations can be created, listed, renamed and deleted', async () => {
+  const created = await admin.post('/locations', { body: { Name: 'Main street', Address: '1 Main St' } });
+  assert.equal(created.status, 201);
+  ids.location = created.body.LocationId;
+  const spare = await admin.post('/locations', { body: { Name: 'Annex' } });
+
+  const listed = await admin.get('/locations');
+  assert.deepEqual(listed.body.map((row) => row.Name), ['Annex', 'Main street']);
+  const renamed = await admin.put(`/locations/${ids.location}`, { body: { Name: 'Main Street', Address: '1 Main St' } });
+  assert.equal(renamed.body.Name, 'Main Street');
+  assert.equal((await admin.delete(`/locations/${spare.body.LocationId}`)).status, 204);
+});
+
+test('patients can be created, listed, searched and updated', async () => {
+  const created = await admin.post('/patients', {
+    body: { FirstName: 'Jane', LastName: 'Doe', Email: 'jane@example.com', Phone: '+15550100', Mrn: 'MRN-1' }
+  });
+  assert.equal(created.status, 201);
+  ids.patient = created.body.PatientId;
+  const other = await admin.post('/patients', { body: { name: 'John Smith', contact: 'john@example.com' } });
+  ids.otherPatient = other.body.PatientId;
+
+  const taken = await admin.post('/patients', { body: { name: 'Copy', Mrn: 'MRN-1' } });
+  assert.equal(taken.status, 409);
+  assert.equal(taken.body.error.code, 'MRN_IN_USE');
+
+  const listed = await admin.get('/patients?q=jane');
+  assert.equal(listed.status, 200);
+  assert.deepEqual(listed.body.data.map((row) => row.PatientId), [ids.patient]);
+  assert.equal((await admin.get(`/patients/${ids.patient}`)).body.Name, 'Jane Doe');
+
+  const updated = await admin.put(`/patients/${ids.patient}`, {
+    body: { FirstName: 'Jane', LastName: 'Doe', Email: 'jane.doe@example.com', Mrn: 'MRN-1' }
+  });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.Email, 'jane.doe@example.com');
+});
+
+test('duplicate patients are found and merged', async () => {
+  const duplicate = await admin.post('/patients', { body: { FirstName: 'Jayne', LastName: 'Doe', Email: 'jane.doe@example.com' } });
+  const probe = await admin.get('/patients/duplicates?firstName=Jane&lastName=Doe&email=jane.doe@example.com');
+  assert.equal(probe.status, 200);
+  assert.ok(probe.body.length >= 2);
+  const candidates = await admin.get(`/patients/${ids.patient}/duplicates`);
+  assert.ok(candidates.body.some((row) => row.Patient.PatientId === duplicate.body.PatientId));
+
+  const merged = await admin.post(`/patients/${ids.patient}/merge`, { body: { DuplicateId: duplicate.body.PatientId } });
+  assert.equal(merged.status, 200);
+  assert.equal((await admin.get(`/patients/${duplicate.body.PatientId}`)).status, 404);
+});
+
+test('providers, working hours, breaks and closures can be managed', async () => {
+  const created = await admin.post('/providers', {
+    body: { Name: 'Dr. Who', Specialty: 'General', TimeZone: 'UTC', DefaultDurationMinutes: 30, LocationId: ids.location }
+  });
+  assert.equal(created.status, 201);
+  ids.provider = created.body.ProviderId;
+  const spare = await admin.post('/providers', { body: { Name: 'Dr. Spare', TimeZone: 'UTC' } });
+
+  assert.equal((await admin.get('/providers')).body.length, 2);
+  assert.equal((await admin.get(`/providers?locationId=${ids.location}`)).body.length, 1);
+  assert.equal((await admin.get(`/providers/${ids.provider}`)).body.Name, 'Dr. Who');
+  const renamed = await admin.put(`/providers/${ids.provider}`, {
+    body: { Name: 'Dr. Who', Specialty: 'Family medicine', TimeZone: 'UTC', DefaultDurationMinutes: 30, LocationId: ids.location }
+  });
+  assert.equal(renamed.body.Specialty, 'Family medicine');
+  assert.equal((await admin.delete(`/locations/${ids.location}`)).status, 409);
+  assert.equal((await admin.delete(`/providers/${spare.body.ProviderId}`)).status, 204);
+
+  const weekdays = [1, 2, 3, 4, 5].map((weekday) => ({ Weekday: weekday, StartTime: '09:00', EndTime: '17:00' }));
+  const hours = await admin.put(`/providers/${ids.provider}/working-hours`, { body: weekdays });
+  assert.equal(hours.status, 200);
+  assert.equal((await admin.get(`/providers/${ids.provider}/working-hours`)).body.length, 5);
+
+  const lunch = await admin.post(`/providers/${ids.provider}/breaks`, {
+    body: { Weekday: 1, StartTime: '12:00', EndTime: '13:00', Label: 'Lunch' }
+  });
+  assert.equal(lunch.status, 201);
+  const coffee = await admin.post(`/providers/${ids.provider}/breaks`, { body: { Weekday: 2, StartTime: '10:00', EndTime: '10:15' } });
+  assert.equal((await admin.get(`/providers/${ids.provider}/breaks`)).body.length, 2);
+  assert.equal((await admin.delete(`/providers/${ids.provider}/breaks/${coffee.body.BreakId}`)).status, 204);
+
+  const closure = await admin.post('/closures', { body: { ProviderId: ids.provider, Date: addDays(monday, 3), Reason: 'Training' } });
+  assert.equal(closure.status, 201);
+  const holiday = await admin.post('/closures', { body: { Date: addDays(monday, 4) } });
+  const listed = await admin.get(`/closures?providerId=${ids.provider}&from=${monday}&to=${addDays(monday, 6)}`);
+  assert.equal(listed.body.length, 2);
+  assert.equal((await admin.delete(`/closures/${holiday.body.ClosureId}`)).status, 204);
+});
+
+test('availability leaves out breaks, closures and bookings', async () => {
+  const res = await admin.get(`/availability?providerId=${ids.provider}&from=${monday}&to=${addDays(monday, 3)}`);
+  assert.equal(res.status, 200);
+  const slots = res.body.Slots || res.body;
+  assert.ok(slots.length > 0);
+  assert.ok(!slots.some((slot) => slot.Date === monday && slot.StartTime === '12:00'));
+  assert.ok(!slots.some((slot) => slot.Date === addDays(monday, 3)));
+});
+
+test('users can be created, log in and be deleted', async () => {
+  const created = await admin.post('/users', { body: { Email: 'Front.Desk@example.com', Password: 'secret123', Role: 'receptionist' } });
+  assert.equal(created.status, 201);
+  const taken = await admin.post('/users', { body: { Email: 'front.desk@example.com', Password: 'secret123', Role: 'receptionist' } });
+  assert.equal(taken.status, 409);
+
+  const login = await request('POST', '/auth/login', { body: { Email: 'front.desk@example.com', Password: 'secret123' } });
+  assert.equal(login.status, 200);
+  const me = await clientFor(login.body.Token).get('/auth/me');
+  assert.equal(me.body.Role, 'receptionist');
+  const wrong = await request('POST', '/auth/login', { body: { Email: 'front.desk@example.com', Password: 'nope' } });
+  assert.equal(wrong.status, 401);
+
+  const patientUser = await admin.post('/users', {
+    body: { Email: 'jane@example.com', Password: 'secret123', Role: 'patient', PatientId: ids.patient }
+  });
+  assert.equal(patientUser.status, 201);
+  assert.equal((await admin.get('/users')).body.length, 2);
+  assert.equal((await admin.delete(`/users/${created.body.UserId}`)).status, 204);
+});
+
+test('appointments can be booked, listed, moved and read as iCalendar', async () => {
+  const created = await admin.post('/appointments', {
+    body: { PatientId: ids.patient, ProviderId: ids.provider, AppointmentDate: monday, AppointmentTime: '09:00', Reason: 'Checkup' }
+  });
+  assert.equal(created.status, 201);
+  ids.appointment = created.body.AppointmentId;
+  assert.equal(created.body.StartsAt, `${monday}T09:00:00Z`);
+
+  const clash = await admin.post('/appointments', {
+    body: { PatientId: ids.otherPatient, ProviderId: ids.provider, AppointmentDate: monday, AppointmentTime: '09:15', Reason: 'Checkup' }
+  });
+  assert.equal(clash.status, 409);
+  const closed = await admin.post('/appointments', {
+    body: { PatientId: ids.otherPatient, ProviderId: ids.provider, AppointmentDate: monday, AppointmentTime: '12:00', Reason: 'Checkup' }
+  });
+  assert.equal(closed.status, 422);
+
+  const listed = await admin.get(`/appointments?patientId=${ids.patient}`);
+  assert.equal(listed.status, 200);
+  assert.equal(listed.body.pagination.total, 1);
+  assert.equal((await admin.get(`/appointments/${ids.appointment}`)).body.Reason, 'Checkup');
+
+  const moved = await admin.put(`/appointments/${ids.appointment}`, {
+    body: { ProviderId: ids.provider, AppointmentDate: monday, AppointmentTime: '10:00', Reason: 'Checkup' }
+  });
+  assert.equal(moved.status, 200);
+  assert.equal(moved.body.AppointmentTime, '10:00');
+
+  const reminders = await admin.get(`/appointments/${ids.appointment}/reminders`);
+  assert.equal(reminders.status, 200);
+  assert.ok(reminders.body.length > 0);
+
+  const ics = await admin.get(`/appointments/${ids.appointment}.ics`);
+  assert.equal(ics.status, 200);
+  assert.match(ics.body, /BEGIN:VEVENT/);
+});
+
+test('appointments go through their statuses', async () => {
+  const created = await admin.post('/appointments', {
+    body: { PatientId: ids.otherPatient, ProviderId: ids.provider, AppointmentDate: tuesday, AppointmentTime: '09:00', Reason: 'Follow-up' }
+  });
+  const id = created.body.AppointmentId;
+  for (const [action, status] of [['confirm', 'confirmed'], ['check-in', 'checked_in'], ['complete', 'completed']]) {
+    const res = await admin.post(`/appointments/${id}/${action}`);
+    assert.equal(res.status, 200, action);
+    assert.equal(res.body.Status, status);
+  }
+  assert.equal((await admin.post(`/appointments/${id}/cancel`, { body: { Reason: 'Too late' } })).status, 409);
+
+  const missed = await admin.post('/appointments', {
+    body: { PatientId: ids.otherPatient, ProviderId: ids.provider, AppointmentDate: tuesday, AppointmentTime: '11:00', Reason: 'Follow-up' }
+  });
+  assert.equal((await admin.post(`/appointments/${missed.body.AppointmentId}/no-show`)).body.Status, 'no_show');
+
+  const cancelled = await admin.post('/appointments', {
+    body: { PatientId: ids.otherPatient, ProviderId: ids.provider, AppointmentDate: tuesday, AppointmentTime: '14:00', Reason: 'Follow-up' }
+  });
+  const res = await admin.post(`/appointments/${cancelled.body.AppointmentId}/cancel`, { body: { Reason: 'Feeling better' } });
+  assert.equal(res.body.Status, 'cancelled');
+  const deleted = await admin.post('/appointments', {
+    body: { PatientId: ids.otherPatient, ProviderId: ids.provider, AppointmentDate: tuesday, AppointmentTime: '15:00', Reason: 'Follow-up' }
+  });
+  assert.equal((await admin.delete(`/appointments/${deleted.body.AppointmentId}`)).status, 200);
+});
+
+test('the appointment stream replays events after Last-Event-ID', async () => {
+  const { status, text } = await readStream('/appointments/stream', tokenFor({ role: 'admin', organizationId }), {
+    'Last-Event-ID': '0'
+  });
+  assert.equal(status, 200);
+  assert.match(text, /^retry: /);
+  assert.match(text, /event: appointment\.created/);
+});
+
+test('series can be created, edited and cancelled', async () => {
+  const created = await admin.post('/appointment-series', {
+    body: {
+      PatientId: ids.otherPatient,
+      ProviderId: ids.provider,
+      StartDate: addDays(monday, 7),
+      AppointmentTime: '16:00',
+      Reason: 'Physiotherapy',
+      Recurrence: { Frequency: 'weekly', Count: 3 }
+    }
+  });
+  assert.equal(created.status, 201);
+  const seriesId = created.body.SeriesId;
+  const fetched = await admin.get(`/appointment-series/${seriesId}`);
+  assert.equal(fetched.body.Occurrences.length, 3);
+
+  const edited = await admin.put(`/appointment-series/${seriesId}`, { body: { Scope: 'all', AppointmentTime: '15:00' } });
+  assert.equal(edited.status, 200);
+  const cancelled = await admin.post(`/appointment-series/${seriesId}/cancel`, { body: { Scope: 'all', Reason: 'Done' } });
+  assert.equal(cancelled.status, 200);
+});
+
+test('calendar feeds are served with a token and stop once revoked', async () => {
+  const created = await admin.post(`/providers/${ids.provider}/calendar-tokens`, { body: { Label: 'Phone' } });
+  assert.equal(created.status, 201);
+  const feed = await request('GET', `/providers/${ids.provider}/calendar.ics?token=${created.body.Token}`);
+  assert.equal(feed.status, 200);
+  assert.match(feed.body, /BEGIN:VCALENDAR/);
+
+  const patientToken = await admin.post(`/patients/${ids.patient}/calendar-tokens`, { body: {} });
+  assert.equal((await request('GET', `/patients/${ids.patient}/calendar.ics?token=${patientToken.body.Token}`)).status, 200);
+  assert.equal((await admin.get(`/providers/${ids.provider}/calendar-tokens`)).body.length, 1);
+  assert.equal((await admin.get(`/patients/${ids.patient}/calendar-tokens`)).body.length, 1);
+
+  assert.equal((await admin.delete(`/calendar-tokens/${created.body.TokenId}`)).status, 204);
+  assert.equal((await request('GET', `/providers/${ids.provider}/calendar.ics?token=${created.body.Token}`)).status, 401);
+});
+
+test('freed slots are offered to the waitlist, which can decline or accept them', async () => {
+  const walt = await admin.post('/patients', { body: { FirstName: 'Walt', LastName: 'Waiting', Phone: '+15550100' } });
+  ids.waitingPatient = walt.body.PatientId;
+  const window = { ProviderId: ids.provider, DateFrom: tuesday, DateTo: tuesday, Reason: 'Follow-up' };
+  const first = await admin.post('/waitlist', { body: { ...window, PatientId: ids.otherPatient, Priority: 10 } });
+  assert.equal(first.status, 201);
+  const second = await admin.post('/waitlist', { body: { ...window, PatientId: ids.waitingPatient } });
+  assert.equal((await admin.get('/waitlist?status=waiting')).body.pagination.total, 2);
+
+  const booked = await admin.post('/appointments', {
+    body: { PatientId: ids.patient, ProviderId: ids.provider, AppointmentDate: tuesday, AppointmentTime: '10:30', Reason: 'Checkup' }
+  });
+  await admin.post(`/appointments/${booked.body.AppointmentId}/cancel`, { body: { Reason: 'Away' } });
+  const offered = await admin.get(`/waitlist/${first.body.WaitlistEntryId}`);
+  assert.equal(offered.body.Status, 'offered');
+  assert.equal(offered.body.Offer.AppointmentTime, '10:30');
+
+  const declined = await admin.post(`/waitlist/${first.body.WaitlistEntryId}/decline`);
+  assert.equal(declined.body.Status, 'waiting');
+  assert.equal((await admin.get(`/waitlist/${second.body.WaitlistEntryId}`)).body.Status, 'offered');
+  const accepted = await admin.post(`/waitlist/${second.body.WaitlistEntryId}/accept`);
+  assert.equal(accepted.status, 201);
+  assert.equal(accepted.body.PatientId, ids.waitingPatient);
+  assert.equal(accepted.body.AppointmentTime, '10:30');
+  assert.equal((await admin.post(`/waitlist/${second.body.WaitlistEntryId}/accept`)).status, 409);
+
+  assert.equal((await admin.delete(`/waitlist/${first.body.WaitlistEntryId}`)).status, 204);
+  assert.equal((await admin.get(`/waitlist?status=booked`)).body.pagination.total, 1);
+});
+
+test('patients book, move and cancel through the portal', async () => {
+  const wednesday = addDays(monday, 2);
+  const issued = await admin.post(`/patients/${ids.patient}/portal-tokens`, { body: {} });
+  assert.equal(issued.status, 201);
+  assert.equal((await admin.get(`/patients/${ids.patient}/portal-tokens`)).body.length, 1);
+  const portal = clientFor(issued.body.Token);
+
+  assert.deepEqual((await portal.get('/portal/providers')).body.map((row) => row.ProviderId), [ids.provider]);
+  const slotsUrl = `/portal/slots?providerId=${ids.provider}&from=${wednesday}&to=${wednesday}`;
+  const { body: { Slots: slots } } = await portal.get(slotsUrl);
+  assert.equal(slots[0].StartsAt, `${wednesday}T09:00:00Z`);
+
+  const hold = await portal.post('/portal/holds', { body: { ProviderId: ids.provider, StartsAt: slots[0].StartsAt, Reason: 'Checkup' } });
+  assert.equal(hold.status, 201);
+  assert.ok(!(await portal.get(slotsUrl)).body.Slots.some((slot) => slot.StartsAt === slots[0].StartsAt));
+  const confirmed = await portal.post(`/portal/holds/${hold.body.SlotHoldId}/confirm`);
+  assert.equal(confirmed.status, 201);
+  const id = confirmed.body.AppointmentId;
+
+  const released = await portal.post('/portal/holds', { body: { ProviderId: ids.provider, StartsAt: `${wednesday}T11:00:00Z`, Reason: 'Checkup' } });
+  assert.equal((await portal.delete(`/portal/holds/${released.body.SlotHoldId}`)).status, 204);
+
+  const moveHold = await portal.post('/portal/holds', { body: { ProviderId: ids.provider, StartsAt: `${wednesday}T10:00:00Z`, AppointmentId: id } });
+  const moved = await portal.put(`/portal/appointments/${id}`, { body: { SlotHoldId: moveHold.body.SlotHoldId } });
+  assert.equal(moved.status, 200);
+  assert.equal(moved.body.AppointmentTime, '10:00');
+  assert.ok((await portal.get('/portal/appointments')).body.data.some((row) => row.AppointmentId === id));
+  assert.equal((await portal.delete(`/portal/appointments/${id}`)).body.Status, 'cancelled');
+
+  assert.equal((await portal.delete('/portal/session')).status, 204);
+  assert.equal((await portal.get('/portal/providers')).status, 401);
+  const other = await admin.post(`/patients/${ids.patient}/portal-tokens`, { body: {} });
+  assert.equal((await admin.delete(`/portal-tokens/${other.body.PortalTokenId}`)).status, 204);
+  assert.equal((await clientFor(other.body.Token).get('/portal/appointments')).status, 401);
+});
+
+test('patients and appointments are imported and exported as CSV', async () => {
+  const friday = addDays(monday, 4);
+  const patients = 'FirstName,LastName,Email\nAnn,Import,ann@example.com\nBob,,bob@example.com\n';
+  const dryRun = await admin.post('/import/patients?dryRun=true', { csv: patients });
+  assert.equal(dryRun.status, 200);
+  assert.equal(dryRun.body.Committed, false);
+  assert.deepEqual(dryRun.body.Rows.map((row) => row.Status), ['valid', 'failed']);
+  assert.equal((await admin.post('/import/patients?atomic=true', { csv: patients })).body.Committed, false);
+  const imported = await admin.post('/import/patients', { csv: patients });
+  assert.equal(imported.body.Committed, true);
+  assert.equal(imported.body.Succeeded, 1);
+
+  const exported = await admin.get('/export/patients');
+  assert.equal(exported.status, 200);
+  assert.match(exported.headers.get('content-type'), /text\/csv/);
+  assert.match(exported.body, /^PatientId,Name,/);
+  assert.match(exported.body, /Ann Import/);
+  assert.doesNotMatch(exported.body, /bob@example\.com/);
+
+  const appointments = `PatientId,ProviderId,AppointmentDate,AppointmentTime,Reason\n${ids.patient},${ids.provider},${friday},09:00,Imported\n`
+    + `${ids.otherPatient},${ids.provider},${friday},09:00,Imported\n`;
+  const result = await admin.post('/import/appointments', { csv: appointments });
+  assert.deepEqual(result.body.Rows.map((row) => row.Status), ['created', 'failed']);
+  assert.equal(result.body.Rows[1].Error.code, 'SLOT_CONFLICT');
+  const rows = (await admin.get(`/export/appointments?dateFrom=${friday}&dateTo=${friday}`)).body.trim().split('\n');
+  assert.equal(rows.length, 2);
+  assert.match(rows[1], /Imported/);
+});
+
+test('changes are audited and kept in each record\'s history', async () => {
+  const audit = await admin.get(`/audit?entity=patient&entityId=${ids.patient}`);
+  assert.equal(audit.status, 200);
+  assert.ok(audit.body.pagination.total > 0);
+  assert.ok(audit.body.data.every((row) => row.EntityId === ids.patient));
+  assert.equal((await admin.get(`/audit?from=${today}&to=${today}`)).body.data.length > 0, true);
+
+  const history = await admin.get(`/patients/${ids.patient}/history`);
+  assert.equal(history.status, 200);
+  assert.equal(history.body[0].Action, 'create');
+  assert.equal((await admin.get(`/appointments/${ids.appointment}/history`)).body[0].Action, 'create');
+  assert.equal((await admin.get('/patients/999999/history')).status, 404);
+});
+
+test('reports count appointments, utilization, lead times and busy hours', async () => {
+  const range = `dateFrom=${monday}&dateTo=${addDays(monday, 6)}`;
+  const statuses = await admin.get(`/reports/appointments?${range}&groupBy=provider`);
+  assert.equal(statuses.status, 200);
+  assert.equal(statuses.body[0].ProviderId, ids.provider);
+  assert.ok(statuses.body[0].Cancelled > 0);
+
+  const utilization = await admin.get(`/reports/utilization?${range}`);
+  assert.equal(utilization.status, 200);
+  assert.ok(utilization.body[0].BookedMinutes > 0);
+  assert.equal((await admin.get(`/reports/lead-time?${range}&groupBy=week`)).status, 200);
+  assert.ok((await admin.get(`/reports/busiest-hours?${range}`)).body.length > 0);
+
+  const csv = await admin.get(`/reports/appointments?${range}&format=csv`);
+  assert.match(csv.headers.get('content-type'), /text\/csv/);
+  assert.match(csv.body, /^Period,Total,/);
+  assert.equal((await admin.get(`/reports/appointments?dateFrom=${tuesday}&dateTo=${monday}`)).status, 400);
+});
+
+test('webhooks are managed and their deliveries listed and redelivered', async () => {
+  const created = await admin.post('/webhooks', { body: { Url: 'http://127.0.0.1:9/hook', Events: ['patient.created'] } });
+  assert.equal(created.status, 201);
+  assert.ok(created.body.Secret);
+  const id = created.body.WebhookId;
+  assert.equal((await admin.get('/webhooks')).body.length, 1);
+  assert.deepEqual((await admin.get(`/webhooks/${id}`)).body.Events, ['patient.created']);
+
+  await admin.post('/patients', { body: { name: 'Hook Test' } });
+  const deliveries = await admin.get(`/webhooks/${id}/deliveries`);
+  assert.equal(deliveries.body.pagination.total, 1);
+  const [delivery] = deliveries.body.data;
+  assert.equal(delivery.Event, 'patient.created');
+  const again = await admin.post(`/webhooks/${id}/deliveries/${delivery.DeliveryId}/redeliver`);
+  assert.equal(again.status, 202);
+  assert.equal(again.body.RedeliveryOf, delivery.DeliveryId);
+
+  const updated = await admin.put(`/webhooks/${id}`, { body: { Url: 'http://127.0.0.1:9/other', Events: ['patient.updated'], Active: false } });
+  assert.equal(updated.body.Active, false);
+  assert.equal(updated.body.Secret, undefined);
+  assert.equal((await admin.delete(`/webhooks/${id}`)).status, 204);
+  assert.equal((await admin.get(`/webhooks/${id}`)).status, 404);
+});
+
+test('patients and providers with appointments are only deleted on request', async () => {
+  const blocked = await admin.delete(`/patients/${ids.waitingPatient}`);
+  assert.equal(blocked.status, 409);
+  assert.equal(blocked.body.error.code, 'PATIENT_HAS_APPOINTMENTS');
+  assert.equal((await admin.delete(`/patients/${ids.waitingPatient}?appointments=cancel-future`)).status, 204);
+  assert.equal((await admin.get(`/patients/${ids.waitingPatient}`)).status, 404);
+  assert.equal((await admin.get(`/patients/${ids.waitingPatient}?includeDeleted=true`)).status, 200);
+
+  const restored = await admin.post(`/patients/${ids.waitingPatient}/restore`);
+  assert.equal(restored.status, 200);
+  assert.equal((await admin.post(`/patients/${ids.waitingPatient}/restore`)).status, 409);
+  const upcoming = await admin.get(`/appointments?patientId=${ids.waitingPatient}`);
+  assert.ok(upcoming.body.data.every((row) => row.Status === 'cancelled'));
+
+  const provider = await admin.delete(`/providers/${ids.provider}`);
+  assert.equal(provider.status, 409);
+  assert.equal(provider.body.error.code, 'PROVIDER_HAS_APPOINTMENTS');
+});
@@ -0,0 +1,83 @@
+// Runs the API in-process on the memory backend. The app reads its settings
+// when it is loaded, so they are set before requiring it.
+process.env.STORAGE_BACKEND = 'memory';
+process.env.JWT_SECRET = 'test-secret';
+
+const { once } = require('events');
+const jwt = require('jsonwebtoken');
+const app = require('../index');
+
+let server = null;
+let baseUrl = null;
+
+async function start() {
+  server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+async function stop() {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+}
+
+// A bearer token with the claims /auth/login puts in one
+function tokenFor({ id = 1, role = 'admin', organizationId = null, patientId = null, providerId = null } = {}) {
+  return jwt.sign({ sub: id, role, organizationId, patientId, providerId }, process.env.JWT_SECRET);
+}
+
+// Sends a request as the holder of `token`. `body` is sent as JSON, or as
+// CSV with `csv`. Returns the status, the headers and the body, parsed when
+// it is JSON.
+async function request(method, path, { token, body, csv, headers = {} } = {}) {
+  const init = { method, headers: { ...headers } };
+  if (token) init.headers.Authorization = `Bearer ${token}`;
+  if (csv !== undefined) {
+    init.headers['Content-Type'] = 'text/csv';
+    init.body = csv;
+  } else if (body !== undefined) {
+    init.headers['Content-Type'] = 'application/json';
+    init.body = JSON.stringify(body);
+  }
+  const res = await fetch(`${baseUrl}${path}`, init);
+  const text = await res.text();
+  const json = (res.headers.get('content-type') || '').includes('application/json');
+  return { status: res.status, headers: res.headers, body: json && text ? JSON.parse(text) : text };
+}
+
+// Opens an event stream and returns what arrived in its first `ms`
+async function readStream(path, token, headers = {}, ms = 200) {
+  const controller = new AbortController();
+  const res = await fetch(`${baseUrl}${path}`, {
+    headers: { ...headers, Authorization: `Bearer ${token}` },
+    signal: controller.signal
+  });
+  const decoder = new TextDecoder();
+  let text = '';
+  const timer = setTimeout(() => controller.abort(), ms);
+  try {
+    for await (const chunk of res.body) text += decoder.decode(chunk, { stream: true });
+  } catch (err) {
+    if (err.name !== 'AbortError') throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+  return { status: res.status, text };
+}
+
+// A client bound to one token, with a method per HTTP verb
+function clientFor(token, headers = {}) {
+  const send = (method) => (path, options = {}) =>
+    request(method, path, { token, ...options, headers: { ...headers, ...options.headers } });
+  return { get: send('GET'), post: send('POST'), put: send('PUT'), delete: send('DELETE') };
+}
+
+// A new organization with an admin, as a platform admin would set it up
+async function createOrganization(name) {
+  const platform = clientFor(tokenFor({ role: 'admin', organizationId: null }));
+  const { body: organization } = await platform.post('/organizations', { body: { Name: name } });
+  const id = organization.OrganizationId;
+  return { id, admin: clientFor(tokenFor({ id: 1000 + id, role: 'admin', organizationId: id })) };
+}
+
+module.exports = { start, stop, tokenFor, request, readStream, clientFor, createOrganization };
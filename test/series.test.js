@@ -0,0 +1,116 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const { start, stop, createOrganization } = require('./helpers');
+const storage = require('../storage');
+
+// Series edits and cancellations on the memory backend, including requests
+// that race with another change to the same occurrences
+
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+const today = new Date().toISOString().slice(0, 10);
+const monday = addDays(today, 14 + ((8 - new Date(`${today}T00:00:00Z`).getUTCDay()) % 7));
+
+let admin;
+const ids = {};
+
+before(async () => {
+  await start();
+  ({ admin } = await createOrganization('Series Clinic'));
+  const provider = await admin.post('/providers', { body: { Name: 'Dr. Weekly', TimeZone: 'UTC' } });
+  ids.provider = provider.body.ProviderId;
+  const weekdays = [1, 2, 3, 4, 5].map((weekday) => ({ Weekday: weekday, StartTime: '09:00', EndTime: '17:00' }));
+  await admin.put(`/providers/${ids.provider}/working-hours`, { body: weekdays });
+  const patient = await admin.post('/patients', { body: { name: 'Jane Doe' } });
+  ids.patient = patient.body.PatientId;
+});
+after(stop);
+
+// Three weekly occurrences at `time` from `startDate`
+async function createSeries(startDate, time) {
+  const res = await admin.post('/appointment-series', {
+    body: {
+      PatientId: ids.patient,
+      ProviderId: ids.provider,
+      StartDate: startDate,
+      AppointmentTime: time,
+      Reason: 'Physiotherapy',
+      Recurrence: { Frequency: 'weekly', Count: 3 }
+    }
+  });
+  assert.equal(res.status, 201);
+  return { seriesId: res.body.SeriesId, occurrenceIds: res.body.Occurrences.map((occ) => occ.AppointmentId) };
+}
+
+// Sends a request that reads before `change` and writes after it: the
+// memory backend runs transactions one at a time, so holding one back keeps
+// the request waiting for its own until `change` has committed
+async function raceWith(send, change) {
+  let release;
+  const held = storage.withTransaction(async () => {
+    await new Promise((resolve) => { release = resolve; });
+    await change();
+  });
+  const sent = send();
+  await sleep(200);
+  release();
+  await held;
+  return sent;
+}
+
+const cancelDirectly = (id) => storage.appointments.update(id, {
+  status: 'cancelled', cancelled_at: storage.now(), cancellation_reason: 'Cancelled elsewhere'
+}, { bumpSequence: true });
+
+test('a series edit changes nothing when an occurrence was cancelled meanwhile', async () => {
+  const { seriesId, occurrenceIds } = await createSeries(monday, '10:00');
+
+  const edited = await raceWith(
+    () => admin.put(`/appointment-series/${seriesId}`, { body: { Scope: 'all', AppointmentTime: '11:00' } }),
+    () => cancelDirectly(occurrenceIds[1])
+  );
+  assert.equal(edited.status, 409);
+  assert.equal(edited.body.error.code, 'CONCURRENT_UPDATE');
+
+  const { body: series } = await admin.get(`/appointment-series/${seriesId}`);
+  assert.deepEqual(series.Occurrences.map((occ) => occ.AppointmentTime), ['10:00', '10:00', '10:00']);
+  assert.equal(series.AppointmentTime, '10:00');
+  const history = await admin.get(`/appointments/${occurrenceIds[0]}/history`);
+  assert.deepEqual(history.body.map((entry) => entry.Action), ['create']);
+});
+
+test('a series cancellation reports only the occurrences it cancelled', async () => {
+  const { seriesId, occurrenceIds } = await createSeries(addDays(monday, 1), '10:00');
+
+  const cancelled = await raceWith(
+    () => admin.post(`/appointment-series/${seriesId}/cancel`, { body: { Scope: 'all', Reason: 'Treatment finished' } }),
+    () => cancelDirectly(occurrenceIds[1])
+  );
+  assert.equal(cancelled.status, 200);
+  assert.deepEqual(cancelled.body.CancelledAppointmentIds, [occurrenceIds[0], occurrenceIds[2]]);
+
+  const { body: series } = await admin.get(`/appointment-series/${seriesId}`);
+  assert.deepEqual(series.Occurrences.map((occ) => occ.Status), ['cancelled', 'cancelled', 'cancelled']);
+  assert.equal(series.Occurrences[1].CancellationReason, 'Cancelled elsewhere');
+  const history = await admin.get(`/appointments/${occurrenceIds[1]}/history`);
+  assert.deepEqual(history.body.map((entry) => entry.Action), ['create']);
+});
+
+test('a series whose Until is before StartDate or too far ahead is rejected', async () => {
+  const body = (Recurrence) => ({
+    PatientId: ids.patient, ProviderId: ids.provider, StartDate: monday, AppointmentTime: '12:00',
+    Reason: 'Physiotherapy', Recurrence
+  });
+
+  const early = await admin.post('/appointment-series', { body: body({ Frequency: 'weekly', Until: addDays(monday, -7) }) });
+  assert.equal(early.status, 400);
+  assert.match(early.body.error.message, /before StartDate/);
+
+  const long = await admin.post('/appointment-series', { body: body(`FREQ=DAILY;UNTIL=${addDays(monday, 200).replace(/-/g, '')}`) });
+  assert.equal(long.status, 400);
+  assert.match(long.body.error.message, /at most 200 occurrences/);
+});
@@ -0,0 +1,75 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { start, stop, tokenFor, clientFor, createOrganization } = require('./helpers');
+
+// Two organizations on one deployment: neither sees the other's records, which
+// answer 404 like missing ones
+
+let north;
+let south;
+const ids = {};
+
+before(async () => {
+  await start();
+  north = await createOrganization('North Clinic');
+  south = await createOrganization('South Clinic');
+
+  const patient = await north.admin.post('/patients', { body: { name: 'Jane Doe' } });
+  ids.patient = patient.body.PatientId;
+  const provider = await north.admin.post('/providers', { body: { Name: 'Dr. North', TimeZone: 'UTC' } });
+  ids.provider = provider.body.ProviderId;
+  const weekdays = [0, 1, 2, 3, 4, 5, 6].map((weekday) => ({ Weekday: weekday, StartTime: '09:00', EndTime: '17:00' }));
+  await north.admin.put(`/providers/${ids.provider}/working-hours`, { body: weekdays });
+  const date = new Date(Date.now() + 7 * 86400000).toISOString().slice(0, 10);
+  const appointment = await north.admin.post('/appointments', {
+    body: { PatientId: ids.patient, ProviderId: ids.provider, AppointmentDate: date, AppointmentTime: '09:00', Reason: 'Checkup' }
+  });
+  assert.equal(appointment.status, 201);
+  ids.appointment = appointment.body.AppointmentId;
+  ids.date = date;
+});
+after(stop);
+
+test('patients of another organization cannot be read, changed or deleted', async () => {
+  assert.equal((await south.admin.get(`/patients/${ids.patient}`)).status, 404);
+  assert.equal((await south.admin.put(`/patients/${ids.patient}`, { body: { name: 'Taken Over' } })).status, 404);
+  assert.equal((await south.admin.delete(`/patients/${ids.patient}`)).status, 404);
+  assert.equal((await south.admin.get('/patients')).body.pagination.total, 0);
+  assert.equal((await north.admin.get(`/patients/${ids.patient}`)).body.Name, 'Jane Doe');
+});
+
+test('providers of another organization cannot be read, changed or booked', async () => {
+  assert.equal((await south.admin.get(`/providers/${ids.provider}`)).status, 404);
+  assert.equal((await south.admin.put(`/providers/${ids.provider}`, { body: { Name: 'Dr. South', TimeZone: 'UTC' } })).status, 404);
+  assert.equal((await south.admin.get(`/providers/${ids.provider}/working-hours`)).status, 404);
+  assert.deepEqual((await south.admin.get('/providers')).body, []);
+
+  const patient = await south.admin.post('/patients', { body: { name: 'John Roe' } });
+  const booked = await south.admin.post('/appointments', {
+    body: { PatientId: patient.body.PatientId, ProviderId: ids.provider, AppointmentDate: ids.date, AppointmentTime: '10:00', Reason: 'Checkup' }
+  });
+  assert.equal(booked.status, 404);
+});
+
+test('appointments of another organization cannot be read, changed or cancelled', async () => {
+  assert.equal((await south.admin.get(`/appointments/${ids.appointment}`)).status, 404);
+  assert.equal((await south.admin.post(`/appointments/${ids.appointment}/cancel`, { body: { Reason: 'Nope' } })).status, 404);
+  assert.equal((await south.admin.delete(`/appointments/${ids.appointment}`)).status, 404);
+  assert.equal((await south.admin.get('/appointments')).body.pagination.total, 0);
+  assert.equal((await north.admin.get(`/appointments/${ids.appointment}`)).body.Status, 'scheduled');
+});
+
+test('X-Organization-Id picks the organization for platform admins only', async () => {
+  const platform = clientFor(tokenFor({ role: 'admin' }));
+  assert.equal((await platform.get('/patients')).body.error.code, 'TENANT_REQUIRED');
+  const asNorth = await platform.get(`/patients/${ids.patient}`, { headers: { 'X-Organization-Id': String(north.id) } });
+  assert.equal(asNorth.status, 200);
+  const asSouth = await platform.get(`/patients/${ids.patient}`, { headers: { 'X-Organization-Id': String(south.id) } });
+  assert.equal(asSouth.status, 404);
+
+  const mismatch = await south.admin.get(`/patients/${ids.patient}`, { headers: { 'X-Organization-Id': String(north.id) } });
+  assert.equal(mismatch.status, 403);
+  assert.equal(mismatch.body.error.code, 'TENANT_MISMATCH');
+  const own = await south.admin.get('/patients', { headers: { 'X-Organization-Id': String(south.id) } });
+  assert.equal(own.status, 200);
+});
@@ -0,0 +1,96 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveLocalTime } = require('../timezones');
+const { start, stop, createOrganization } = require('./helpers');
+
+// Europe/Berlin skips 02:00-03:00 on the last Sunday of March and repeats it on
+// the last Sunday of October
+
+const instantOf = (result) => result.instant.toISOString();
+
+test('a local time in a DST gap is rejected unless disambiguated', () => {
+  assert.equal(resolveLocalTime('2025-03-30', '02:30', 'Europe/Berlin').error, 'NONEXISTENT_LOCAL_TIME');
+  assert.equal(resolveLocalTime('2025-03-30', '02:30', 'Europe/Berlin', 'reject').error, 'NONEXISTENT_LOCAL_TIME');
+  // 01:30 CET and 03:30 CEST, either side of the gap
+  assert.equal(instantOf(resolveLocalTime('2025-03-30', '02:30', 'Europe/Berlin', 'earlier')), '2025-03-30T00:30:00.000Z');
+  assert.equal(instantOf(resolveLocalTime('2025-03-30', '02:30', 'Europe/Berlin', 'later')), '2025-03-30T01:30:00.000Z');
+});
+
+test('a local time in a DST overlap is rejected unless disambiguated', () => {
+  assert.equal(resolveLocalTime('2025-10-26', '02:30', 'Europe/Berlin').error, 'AMBIGUOUS_LOCAL_TIME');
+  assert.equal(resolveLocalTime('2025-10-26', '02:30', 'Europe/Berlin', 'reject').error, 'AMBIGUOUS_LOCAL_TIME');
+  // 02:30 CEST, then 02:30 CET an hour later
+  assert.equal(instantOf(resolveLocalTime('2025-10-26', '02:30', 'Europe/Berlin', 'earlier')), '2025-10-26T00:30:00.000Z');
+  assert.equal(instantOf(resolveLocalTime('2025-10-26', '02:30', 'Europe/Berlin', 'later')), '2025-10-26T01:30:00.000Z');
+});
+
+test('local times away from a DST change resolve the same way for every option', () => {
+  for (const disambiguation of ['reject', 'earlier', 'later']) {
+    assert.equal(instantOf(resolveLocalTime('2025-07-01', '09:00', 'Europe/Berlin', disambiguation)), '2025-07-01T07:00:00.000Z');
+    assert.equal(instantOf(resolveLocalTime('2025-03-30', '03:30', 'Europe/Berlin', disambiguation)), '2025-03-30T01:30:00.000Z');
+  }
+});
+
+test('bookings at DST changes answer 422 or take the instant asked for', async (t) => {
+  await start();
+  t.after(stop);
+  const { admin } = await createOrganization('Berlin Clinic');
+  const provider = await admin.post('/providers', { body: { Name: 'Dr. Berlin', TimeZone: 'Europe/Berlin' } });
+  await admin.put(`/providers/${provider.body.ProviderId}/working-hours`, {
+    body: [{ Weekday: 0, StartTime: '00:00', EndTime: '06:00' }]
+  });
+  const patient = await admin.post('/patients', { body: { name: 'Jane Doe' } });
+  const book = (date, Disambiguation) => admin.post('/appointments', {
+    body: {
+      PatientId: patient.body.PatientId,
+      ProviderId: provider.body.ProviderId,
+      AppointmentDate: date,
+      AppointmentTime: '02:30',
+      Reason: 'Checkup',
+      ...(Disambiguation && { Disambiguation })
+    }
+  });
+
+  // Last Sundays of March and October 2027
+  const gap = await book('2027-03-28');
+  assert.equal(gap.status, 422);
+  assert.equal(gap.body.error.code, 'NONEXISTENT_LOCAL_TIME');
+  const overlap = await book('2027-10-31');
+  assert.equal(overlap.status, 422);
+  assert.equal(overlap.body.error.code, 'AMBIGUOUS_LOCAL_TIME');
+
+  const later = await book('2027-03-28', 'later');
+  assert.equal(later.status, 201);
+  assert.equal(later.body.StartsAt, '2027-03-28T03:30:00+02:00');
+  const earlier = await book('2027-10-31', 'earlier');
+  assert.equal(earlier.status, 201);
+  assert.equal(earlier.body.StartsAt, '2027-10-31T02:30:00+02:00');
+});
+
+test('an update with a TimeZone but no local date or time is rejected', async (t) => {
+  await start();
+  t.after(stop);
+  const { admin } = await createOrganization('Lisbon Clinic');
+  const provider = await admin.post('/providers', { body: { Name: 'Dr. Lisbon', TimeZone: 'Europe/Lisbon' } });
+  await admin.put(`/providers/${provider.body.ProviderId}/working-hours`, {
+    body: [{ Weekday: 1, StartTime: '08:00', EndTime: '18:00' }]
+  });
+  const patient = await admin.post('/patients', { body: { name: 'Jane Doe' } });
+  const booked = await admin.post('/appointments', {
+    body: {
+      PatientId: patient.body.PatientId,
+      ProviderId: provider.body.ProviderId,
+      AppointmentDate: '2027-06-07',
+      AppointmentTime: '10:00',
+      Reason: 'Checkup'
+    }
+  });
+  assert.equal(booked.status, 201);
+
+  const updated = await admin.put(`/appointments/${booked.body.AppointmentId}`, {
+    body: { ProviderId: provider.body.ProviderId, TimeZone: 'America/New_York' }
+  });
+  assert.equal(updated.status, 400);
+  const { body: unchanged } = await admin.get(`/appointments/${booked.body.AppointmentId}`);
+  assert.equal(unchanged.StartsAt, booked.body.StartsAt);
+});
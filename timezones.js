@@ -0,0 +1,87 @@
+const { DateTime, IANAZone } = require('luxon');
+
+// Appointments are stored as UTC instants (starts_at/ends_at) plus the IANA
+// zone they were booked in; appointment_date/appointment_time keep the
+// provider's wall-clock time for working-hour checks. Providers without a
+// zone of their own use CLINIC_TIME_ZONE.
+
+const DEFAULT_TIME_ZONE = process.env.CLINIC_TIME_ZONE || 'UTC';
+
+// How a local time that does not exist (spring-forward gap) or exists twice
+// (fall-back overlap) is turned into an instant: 'reject' refuses it,
+// 'earlier'/'later' pick the instant before/after the transition.
+const DISAMBIGUATIONS = ['reject', 'earlier', 'later'];
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const isValidTimeZone = (zone) => typeof zone === 'string' && IANAZone.isValidZone(zone);
+
+// Every UTC instant at which the wall clock of `zone` reads date + time:
+// none in a gap, two in an overlap. Offsets are taken a day either side,
+// which covers every real-world transition.
+function instantsFor(date, time, zone) {
+  const iana = IANAZone.create(zone);
+  const [y, m, d] = date.split('-').map(Number);
+  const [h, min] = String(time).split(':').map(Number);
+  const wall = Date.UTC(y, m - 1, d, h, min);
+  const offsets = [...new Set([iana.offset(wall - DAY), iana.offset(wall), iana.offset(wall + DAY)])];
+  const instants = offsets
+    .map((offset) => wall - offset * MINUTE)
+    .filter((ts) => (wall - ts) / MINUTE === iana.offset(ts));
+  return { wall, offsets, instants: [...new Set(instants)].sort((a, b) => a - b) };
+}
+
+// Resolves a local date and time in `zone` to an instant. Returns { instant }
+// (a Date) or { error, message } where error is NONEXISTENT_LOCAL_TIME or
+// AMBIGUOUS_LOCAL_TIME.
+function resolveLocalTime(date, time, zone, disambiguation = 'reject') {
+  const { wall, offsets, instants } = instantsFor(date, time, zone);
+  const label = `${date} ${String(time).slice(0, 5)}`;
+  if (instants.length === 1) return { instant: new Date(instants[0]) };
+
+  if (instants.length === 0) {
+    if (disambiguation === 'reject') {
+      return {
+        error: 'NONEXISTENT_LOCAL_TIME',
+        message: `${label} does not exist in ${zone} (clocks move forward); pick another time or set Disambiguation`
+      };
+    }
+    // 'later' reads the time with the offset before the jump, which lands
+    // after the gap (02:30 -> 03:30); 'earlier' does the opposite
+    const [offsetBefore, offsetAfter] = [Math.min(...offsets), Math.max(...offsets)];
+    return { instant: new Date(wall - (disambiguation === 'later' ? offsetBefore : offsetAfter) * MINUTE) };
+  }
+
+  if (disambiguation === 'reject') {
+    return {
+      error: 'AMBIGUOUS_LOCAL_TIME',
+      message: `${label} occurs twice in ${zone} (clocks move back); send StartsAt with an offset or set Disambiguation`
+    };
+  }
+  return { instant: new Date(disambiguation === 'later' ? instants[instants.length - 1] : instants[0]) };
+}
+
+// The wall-clock date ('YYYY-MM-DD') and time ('HH:MM') of an instant in `zone`
+function toLocal(instant, zone) {
+  const local = DateTime.fromJSDate(instant, { zone });
+  return { date: local.toISODate(), time: local.toFormat('HH:mm') };
+}
+
+// ISO-8601 with the zone's offset, e.g. 2025-03-30T09:00:00+02:00
+const formatInstant = (instant, zone) => (instant
+  ? DateTime.fromJSDate(instant, { zone }).toISO({ suppressMilliseconds: true })
+  : null);
+
+// DATETIME literal in UTC for starts_at/ends_at; db.js reads them back as UTC
+const sqlUtc = (instant) => instant.toISOString().slice(0, 19).replace('T', ' ');
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  DISAMBIGUATIONS,
+  isValidTimeZone,
+  resolveLocalTime,
+  toLocal,
+  formatInstant,
+  sqlUtc
+};
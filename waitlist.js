@@ -0,0 +1,96 @@
+const storage = require('./storage');
+const { sqlUtc } = require('./timezones');
+
+// Slot holds and waitlist offers. When an appointment frees its slot, the
+// best matching waitlist entry gets a hold on it for WAITLIST_OFFER_MINUTES.
+// A hold that is declined or expires rolls the slot over to the next entry.
+
+const OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES, 10) || 120;
+
+const endOf = ({ startsAt, durationMinutes }) => new Date(startsAt.getTime() + durationMinutes * 60000);
+
+// IDs of active holds of other patients overlapping the slot. `startsAt` is
+// the slot's UTC start (a Date). A locking read on a transaction's connection,
+// like appointment overlaps.
+async function findHeldSlots(db, { patientId, providerId, startsAt, durationMinutes }) {
+  const holds = await storage.slotHolds.findActive({
+    providerId, startsAt, endsAt: endOf({ startsAt, durationMinutes }), excludePatientId: patientId
+  }, { db });
+  return holds.map((hold) => hold.id);
+}
+
+// Offers a free slot to the first matching waitlist entry of the provider's
+// organization: highest priority, then longest waiting. Entries are skipped when the slot is outside their
+// window, too short, already offered to them, or when the patient is busy at
+// that time. Returns the new hold's ID, or null when nobody gets it.
+// `slot` is { providerId, date, time, startsAt, durationMinutes,
+// sourceAppointmentId }; date and time are the provider's wall clock, which
+// the entries' preferred times refer to.
+async function offerSlot(db, slot) {
+  // Same lock as a booking (see lockBookingParties in index.js), so the slot
+  // cannot be booked and offered at the same time
+  await storage.providers.lock([slot.providerId], { db });
+  if (slot.startsAt <= new Date()) return null;
+  const endsAt = endOf(slot);
+  const booked = await storage.appointments.findOverlapping({
+    providerId: slot.providerId, startsAt: sqlUtc(slot.startsAt), endsAt: sqlUtc(endsAt), db
+  });
+  const held = await storage.slotHolds.findActive({ providerId: slot.providerId, startsAt: slot.startsAt, endsAt }, { db });
+  if (booked.length > 0 || held.length > 0) return null;
+
+  const entry = await storage.waitlistEntries.findNextForSlot(slot, { db });
+  if (!entry) return null;
+  const durationMinutes = entry.duration_minutes || slot.durationMinutes;
+
+  const hold = await storage.slotHolds.insert({
+    patient_id: entry.patient_id,
+    provider_id: slot.providerId,
+    appointment_date: slot.date,
+    appointment_time: slot.time,
+    starts_at: sqlUtc(slot.startsAt),
+    ends_at: sqlUtc(endOf({ startsAt: slot.startsAt, durationMinutes })),
+    duration_minutes: durationMinutes,
+    waitlist_entry_id: entry.id,
+    source_appointment_id: slot.sourceAppointmentId || null,
+    expires_at: storage.now(OFFER_MINUTES)
+  }, { db });
+  await storage.waitlistEntries.update(entry.id, { status: 'offered' }, { db });
+  return hold.id;
+}
+
+// Ends an active hold as declined, expired or released. Its waitlist entry
+// goes back to waiting (or to `entryStatus`) and the slot is offered to the
+// next entry.
+async function releaseHold(db, hold, status, entryStatus = 'waiting') {
+  await storage.slotHolds.update(hold.id, { status, resolved_at: storage.now() }, { status: 'held', db });
+  if (hold.waitlist_entry_id) {
+    await storage.waitlistEntries.update(hold.waitlist_entry_id, { status: entryStatus }, { status: 'offered', db });
+  }
+  return offerSlot(db, {
+    providerId: hold.provider_id,
+    date: hold.appointment_date,
+    time: hold.appointment_time,
+    startsAt: hold.starts_at,
+    durationMinutes: hold.duration_minutes,
+    sourceAppointmentId: hold.source_appointment_id
+  });
+}
+
+// Expires holds past their deadline, one per transaction like the
+// notification outbox, and rolls their slots over. Returns the number expired.
+async function expireHolds(limit = 50) {
+  let expired = 0;
+  while (expired < limit) {
+    const released = await storage.withTransaction(async (conn) => {
+      const hold = await storage.slotHolds.nextExpired({ db: conn });
+      if (!hold) return false;
+      await releaseHold(conn, hold, 'expired');
+      return true;
+    });
+    if (!released) break;
+    expired += 1;
+  }
+  return expired;
+}
+
+module.exports = { findHeldSlots, offerSlot, releaseHold, expireHolds, OFFER_MINUTES };
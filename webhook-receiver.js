@@ -0,0 +1,43 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const http = require('http');
+
+// Stand-in for a system receiving our webhooks, for trying them out locally:
+// point a webhook at http://localhost:WEBHOOK_RECEIVER_PORT/ and set
+// WEBHOOK_SECRET to its secret. Every delivery is printed with the result of
+// the signature check. `--fail` answers 500 to everything, to watch retries.
+const PORT = parseInt(process.env.WEBHOOK_RECEIVER_PORT, 10) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+const MAX_AGE_SECONDS = 5 * 60;
+const fail = process.argv.includes('--fail');
+
+// The check a real receiver should make (see webhooks.js)
+function verify(headers, body) {
+  if (!SECRET) return 'not checked (WEBHOOK_SECRET is not set)';
+  const timestamp = Number(headers['x-webhook-timestamp']);
+  if (!Number.isInteger(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > MAX_AGE_SECONDS) {
+    return 'invalid (timestamp missing or too old)';
+  }
+  const expected = Buffer.from(
+    `sha256=${crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex')}`
+  );
+  const given = Buffer.from(String(headers['x-webhook-signature'] || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given) ? 'valid' : 'invalid';
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const signature = verify(req.headers, body);
+    console.log(`${new Date().toISOString()} ${req.headers['x-webhook-event']} `
+      + `delivery ${req.headers['x-webhook-delivery']}, signature ${signature}`);
+    console.log(body);
+    if (fail) res.statusCode = 500;
+    else res.statusCode = signature.startsWith('invalid') ? 401 : 204;
+    res.end();
+  });
+});
+
+server.listen(PORT, () => console.log(`Webhook receiver listening on http://localhost:${PORT}/${fail ? ' (failing)' : ''}`));
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const storage = require('./storage');
+const { sqlUtc } = require('./timezones');
+
+// Outbound webhooks. Changes to patients and appointments queue one delivery
+// per subscribed webhook of the organization, in the transaction making the
+// change; the worker (worker.js) posts them. Each POST carries
+//   X-Webhook-Event      the event name
+//   X-Webhook-Delivery   the delivery ID (the same on retries)
+//   X-Webhook-Timestamp  Unix seconds when the attempt was made
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+// keyed with the webhook's secret. Receivers should check the signature and
+// reject old timestamps.
+
+const WEBHOOK_EVENTS = [
+  'patient.created',
+  'patient.updated',
+  'patient.deleted',
+  'patient.restored',
+  'appointment.created',
+  'appointment.updated',
+  'appointment.rescheduled',
+  'appointment.status_changed',
+  'appointment.cancelled',
+  'appointment.deleted',
+  'appointment.restored'
+];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const MAX_BACKOFF_MINUTES = 60;
+const TIMEOUT_MS = 10000;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Queues `event` for every active webhook of the organization subscribed to
+// it. `data` is the record in its API shape; `previous` is its state before
+// an update. `db` is the connection of the change's transaction, or null.
+async function queueEvent(db, organizationId, event, data, previous = null) {
+  const payload = {
+    Event: event,
+    OccurredAt: new Date().toISOString(),
+    OrganizationId: organizationId,
+    Data: data,
+    ...(previous && { Previous: previous })
+  };
+  await storage.webhookDeliveries.queue({ organizationId, event, payload }, { db });
+}
+
+async function post(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const response = await fetch(delivery.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': String(delivery.id),
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': signPayload(delivery.secret, timestamp, body)
+    },
+    body,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw Object.assign(new Error(`Receiver answered ${response.status}`), { status: response.status });
+  }
+  return response.status;
+}
+
+// Posts what is due, one row per transaction like the notification outbox.
+// Any 2xx answer counts as delivered; anything else is retried with
+// exponential backoff until WEBHOOK_MAX_ATTEMPTS, then the row is marked
+// failed. Deliveries of disabled webhooks wait until they are enabled again.
+// Returns the number processed.
+async function processDeliveries(limit = 50) {
+  let processed = 0;
+  while (processed < limit) {
+    const claimed = await storage.withTransaction(async (conn) => {
+      const delivery = await storage.webhookDeliveries.claimDue({ db: conn });
+      if (!delivery) return false;
+      try {
+        const status = await post(delivery);
+        await storage.webhookDeliveries.update(delivery.id, {
+          status: 'delivered',
+          delivered_at: storage.now(),
+          attempts: delivery.attempts + 1,
+          response_status: status,
+          last_error: null
+        }, { db: conn });
+      } catch (err) {
+        const attempts = delivery.attempts + 1;
+        await storage.webhookDeliveries.update(delivery.id, {
+          attempts,
+          response_status: err.status || null,
+          last_error: err.message,
+          status: attempts >= MAX_ATTEMPTS ? 'failed' : 'pending',
+          next_attempt_at: sqlUtc(new Date(Date.now() + Math.min(2 ** attempts, MAX_BACKOFF_MINUTES) * 60000))
+        }, { db: conn });
+      }
+      return true;
+    });
+    if (!claimed) break;
+    processed += 1;
+  }
+  return processed;
+}
+
+// Queues a fresh copy of a delivery (same event and payload) to go out now;
+// the original stays in the log as it was. Returns the new delivery.
+async function redeliver(db, delivery) {
+  return storage.webhookDeliveries.insert({
+    webhook_id: delivery.webhook_id,
+    event: delivery.event,
+    payload: delivery.payload,
+    next_attempt_at: sqlUtc(new Date()),
+    redelivery_of: delivery.id
+  }, { db });
+}
+
+module.exports = { WEBHOOK_EVENTS, generateSecret, queueEvent, processDeliveries, redeliver };
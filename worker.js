@@ -0,0 +1,55 @@
+require('dotenv').config();
+const { pool } = require('./db');
+const { processOutbox } = require('./notifications');
+const { expireHolds } = require('./waitlist');
+const { purgeExpiredKeys } = require('./idempotency');
+const { processDeliveries } = require('./webhooks');
+const { purgeOldEvents } = require('./events');
+
+// Delivers queued notifications and webhooks, expires slot holds (rolling
+// their slots over to the next waitlist entry) and forgets old idempotency
+// keys and appointment events. `node worker.js` polls every
+// NOTIFY_POLL_SECONDS; `node worker.js --once` does what is due and exits,
+// for running from cron.
+const POLL_SECONDS = parseInt(process.env.NOTIFY_POLL_SECONDS, 10) || 60;
+
+async function tick() {
+  const expired = await expireHolds();
+  if (expired > 0) console.log(`Expired ${expired} slot hold(s)`);
+  const sent = await processOutbox();
+  if (sent > 0) console.log(`Processed ${sent} notification(s)`);
+  const posted = await processDeliveries();
+  if (posted > 0) console.log(`Processed ${posted} webhook delivery(ies)`);
+  await purgeExpiredKeys();
+  await purgeOldEvents();
+}
+
+if (process.argv.includes('--once')) {
+  tick()
+    .catch((err) => {
+      console.error('Worker failed:', err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+} else {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await tick();
+    } catch (err) {
+      console.error('Worker failed:', err.message);
+    } finally {
+      running = false;
+    }
+  }, POLL_SECONDS * 1000);
+
+  const stop = () => {
+    clearInterval(timer);
+    pool.end().finally(() => process.exit(0));
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+  console.log(`Worker polling every ${POLL_SECONDS}s`);
+}